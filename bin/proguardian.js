@@ -17,12 +17,17 @@
  */
 
 import { program } from 'commander'
-import { initCommand } from '../src/commands/init.js'
+import { initCommand, uninitCommand } from '../src/commands/init.js'
 import { checkCommand } from '../src/commands/check.js'
+import { renderCommand } from '../src/commands/render.js'
+import { upgradeCommand } from '../src/commands/upgrade.js'
+import { restoreCommand } from '../src/commands/restore.js'
+import { doctorCommand } from '../src/commands/doctor.js'
 import { installWrapper } from '../src/commands/install-wrapper.js'
 import chalk from 'chalk'
 import { handleError } from '../src/utils/errors.js'
 import { error } from '../src/utils/logger.js'
+import { printJSONReport, startJSONReport } from '../src/utils/report.js'
 import { checkForUpdatesInBackground } from '../src/utils/version-check.js'
 
 // Global error handling
@@ -40,12 +45,33 @@ program
   .name('proguardian')
   .description('Guardian supervision for AI coding assistants')
   .version('1.0.0')
+  .option('--json', 'Print one JSON result on stdout instead of human-readable output')
+
+// With --json every command collects its checks and written files into a single result
+program.hook('preAction', (_program, actionCommand) => {
+  if (program.opts().json) {
+    startJSONReport(actionCommand.name())
+  }
+})
+program.hook('postAction', () => printJSONReport())
 
 program
   .command('init')
   .description('Initialize Guardian supervision in your project')
   .option('-f, --force', 'Overwrite existing configuration')
-  .option('-c, --cli <type>', 'Specify CLI type (claude or gemini)')
+  .option('-c, --cli <types>', 'Specify CLI type (claude, gemini, or a comma-separated list)')
+  .option('--all-detected', 'Configure every assistant CLI found on PATH')
+  .option('-p, --profile <name>', 'Guardian profile: strict, standard, or light')
+  .option('-t, --template <path>', 'Render a custom Guardian template instead of the bundled one')
+  .option('-w, --workspaces', 'Also add a scoped context file to every monorepo workspace package')
+  .option('-s, --scope <dir>', 'Add a nested context file for a directory, with its own --profile')
+  .option('-u, --user', 'Install in ~/.claude/CLAUDE.md and ~/.gemini/GEMINI.md for every project')
+  .option(
+    '--link',
+    'Write the protocol to .proguardian.d/protocol/ and import it from the context file',
+  )
+  .option('-y, --yes', 'Skip the setup wizard and accept every detected default')
+  .option('--dry-run', 'Preview changes as a unified diff without writing (exits 1 if pending)')
   .option('-v, --verbose', 'Show detailed error information')
   .action(async (options) => {
     try {
@@ -58,7 +84,66 @@ program
         delete options.gemini
       }
 
-      await initCommand(options)
+      const result = await initCommand(options)
+      if (result?.pendingChanges) {
+        process.exitCode = 1
+      }
+    } catch (error) {
+      handleError(error, { exit: true, verbose: options.verbose })
+    }
+  })
+
+program
+  .command('uninit')
+  .description('Remove Guardian supervision from your project')
+  .option('-u, --user', 'Remove the user-level Guardian installed with init --user')
+  .option('-v, --verbose', 'Show detailed error information')
+  .action(async (options) => {
+    try {
+      await uninitCommand(options)
+    } catch (error) {
+      handleError(error, { exit: true, verbose: options.verbose })
+    }
+  })
+
+program
+  .command('render')
+  .description('Re-render the Guardian section from .proguardian variables')
+  .option('-v, --verbose', 'Show detailed error information')
+  .action(async (options) => {
+    try {
+      await renderCommand(options)
+    } catch (error) {
+      handleError(error, { exit: true, verbose: options.verbose })
+    }
+  })
+
+program
+  .command('upgrade')
+  .description('Merge the current Guardian template into your locally edited sections')
+  .option('--dry-run', 'Preview the merge as a unified diff without writing (exits 1 if pending)')
+  .option('-v, --verbose', 'Show detailed error information')
+  .action(async (options) => {
+    try {
+      const result = await upgradeCommand(options)
+      // Unresolved conflicts fail like a conflicted git merge
+      if (result?.conflicts > 0 || result?.pendingChanges) {
+        process.exitCode = 1
+      }
+    } catch (error) {
+      handleError(error, { exit: true, verbose: options.verbose })
+    }
+  })
+
+program
+  .command('restore')
+  .description('Roll Guardian files back to an automatic backup')
+  .option('-l, --list', 'List the backups, newest first')
+  .option('--at <timestamp>', 'Restore the backup taken at this time (default: the newest)')
+  .option('-v, --verbose', 'Show detailed error information')
+  .action(async (options) => {
+    try {
+      await restoreCommand(options)
     } catch (error) {
       handleError(error, { exit: true, verbose: options.verbose })
     }
@@ -67,11 +152,38 @@ program
 program
   .command('check')
   .description('Verify Guardian setup')
-  .option('--fix', 'Attempt to fix issues automatically')
+  .option('--fix', 'Repair the marker, Guardian sections, templates and wrappers it can')
+  .option('--dry-run', 'With --fix, list the planned repairs without applying them')
+  .option('--path <dir>', 'Show which context files and Guardian rules apply in a directory')
+  .option('--tokens', 'Estimate the tokens each context file and its Guardian section cost')
+  .option('--budget <tokens>', 'Token budget per context file for --tokens (default: 2000)')
+  .option('--strict', 'Fail on warnings too, such as an over-budget context file')
+  .option('--format <type>', 'Also write the checks to a report file: sarif or junit')
+  .option(
+    '--output <file>',
+    'Report file for --format (default: proguardian-check.sarif/.junit.xml)',
+  )
+  .option('-v, --verbose', 'Show detailed error information')
+  .action(async (options) => {
+    try {
+      const result = await checkCommand(options)
+      // 0 configured, 1 misconfigured, 2 outdated template, 3 assistant CLI missing
+      if (result) {
+        process.exitCode = result.exitCode
+      }
+    } catch (error) {
+      handleError(error, { exit: true, verbose: options.verbose })
+    }
+  })
+
+program
+  .command('doctor')
+  .description('Print environment diagnostics for bug reports')
+  .option('--bundle [file]', 'Also write a redacted JSON bundle (default: proguardian-doctor.json)')
   .option('-v, --verbose', 'Show detailed error information')
   .action(async (options) => {
     try {
-      await checkCommand(options)
+      await doctorCommand(options)
     } catch (error) {
       handleError(error, { exit: true, verbose: options.verbose })
     }
@@ -1,139 +1,997 @@
+import path from 'path'
 import chalk from 'chalk'
 import which from 'which'
 import { getTargetFilename, CLI_CLAUDE, CLI_GEMINI } from '../utils/cli-detector.js'
-import { secureReadFile, securePathExists, secureReadJSON } from '../utils/file-security.js'
+import { secureReadFile, securePathExists, secureWriteFile } from '../utils/file-security.js'
+import {
+  TEMPLATE_VERSION,
+  findGuardianSection,
+  hashContent,
+  renderGuardianSection,
+} from '../utils/guardian-section.js'
+import { colorizeDiff, createUnifiedDiff } from '../utils/diff.js'
+import { hasConflictMarkers } from '../utils/merge.js'
+import {
+  getMarkerAssistants,
+  getMarkerPath,
+  getMarkerScopes,
+  getMarkerTemplateOptions,
+  inspectMarker,
+  MARKER_FILENAME,
+} from '../utils/marker.js'
+import {
+  loadTemplate,
+  renderGuardianTemplate,
+  resolveTemplateVariables,
+} from '../utils/template-compiler.js'
+import {
+  DEFAULT_PROFILE,
+  PROFILE_LIGHT,
+  PROFILE_STANDARD,
+  PROFILE_STRICT,
+} from '../utils/profiles.js'
+import { estimateTokens, measureContextTokens, parseTokenBudget } from '../utils/tokens.js'
+import { discoverWorkspaces } from '../utils/workspaces.js'
+import { resolveLayers } from '../utils/scopes.js'
+import { readLinkedProtocol } from '../utils/linked-protocol.js'
+import { readSectionBase } from '../utils/section-base.js'
+import {
+  findInstalledSections,
+  findSetupConflicts,
+  formatUserPath,
+  getUserHome,
+  inspectUserSetup,
+} from '../utils/user-setup.js'
 import { validateOptions, validateSafePath } from '../utils/validation.js'
-import { handleError } from '../utils/errors.js'
-import { log, success, error, warn } from '../utils/logger.js'
+import { getCurrentVersion, isNewerVersion } from '../utils/version-check.js'
+import { inspectWrapper, probeOriginal } from '../utils/wrappers.js'
+import { handleError, ValidationError } from '../utils/errors.js'
+import { log, success, warn } from '../utils/logger.js'
+import {
+  SEVERITY_ERROR,
+  SEVERITY_OK,
+  SEVERITY_WARNING,
+  finishCollectingChecks,
+  recordCheck,
+  recordFile,
+  reportCheck,
+  startCollectingChecks,
+} from '../utils/report.js'
+import {
+  DEFAULT_REPORT_FILES,
+  FORMAT_NAMES,
+  FORMAT_SARIF,
+  formatJUnit,
+  formatSarif,
+} from '../utils/report-formats.js'
+import { fixSetup } from './fix.js'
 
-export async function checkCommand(options = {}) {
+const CLI_NAMES = {
+  [CLI_CLAUDE]: 'Claude Code',
+  [CLI_GEMINI]: 'Gemini CLI',
+}
+
+const INSTALL_COMMANDS = {
+  [CLI_CLAUDE]: 'npm install -g @anthropic/claude-code',
+  [CLI_GEMINI]: 'npm install -g @google/gemini-cli',
+}
+
+// Profiles from the full workflow down to the most compact one
+const PROFILES_BY_SIZE = [PROFILE_STRICT, PROFILE_STANDARD, PROFILE_LIGHT]
+
+// Exit codes of `proguardian check`; when several apply, the lowest non-zero code wins
+export const EXIT_CONFIGURED = 0
+export const EXIT_MISCONFIGURED = 1
+export const EXIT_OUTDATED = 2
+export const EXIT_CLI_MISSING = 3
+
+/**
+ * Combines the exit codes of several checks into the one `check` exits with
+ * @param {number[]} codes - Exit codes of the individual checks
+ * @returns {number} The most severe code, EXIT_CONFIGURED when every check passed
+ */
+function combineExitCodes(codes) {
+  const failed = codes.filter((code) => code !== EXIT_CONFIGURED)
+  return failed.length > 0 ? Math.min(...failed) : EXIT_CONFIGURED
+}
+
+/**
+ * Inspects a context file, and the protocol file it imports with `init --link`, without reporting
+ * A current section is 'pristine' while it hashes to the sectionHash recorded at install time
+ * and 'modified' after local edits; without a recorded hash it is only 'ok'
+ * @returns {Promise<'ok'|'pristine'|'modified'|'missing'|'no-section'|'missing-link'|'conflict'|
+ *   'legacy'|'outdated'>} Context file status
+ */
+async function inspectContextFile(targetPath, baseDir, linkedFile = null, sectionHash = null) {
+  if (!(await securePathExists(targetPath, { baseDir }))) {
+    return 'missing'
+  }
+  const content = await secureReadFile(targetPath, { maxSize: 5 * 1024 * 1024, baseDir })
+  const section = findGuardianSection(content)
+  if (!section) {
+    return 'no-section'
+  }
+
+  const protocol = linkedFile ? await readLinkedProtocol(baseDir, linkedFile) : section.body
+  if (protocol === null) {
+    return 'missing-link'
+  }
+  // Left behind by `upgrade` until the user resolves them
+  if (hasConflictMarkers(protocol)) {
+    return 'conflict'
+  }
+  if (section.legacy) {
+    return 'legacy'
+  }
+  if (isNewerVersion(section.version, TEMPLATE_VERSION)) {
+    return 'outdated'
+  }
+  if (!sectionHash) {
+    return 'ok'
+  }
+  return hashContent(protocol) === sectionHash ? 'pristine' : 'modified'
+}
+
+/**
+ * Summarizes the context files of one workspace package for the status table
+ * @returns {Promise<{problems: string[], outdated: string[]}>} Both empty when the package is
+ *   configured and current
+ */
+async function inspectWorkspace(scope, baseDir, sectionHashes) {
+  if (!scope || scope.assistants.length === 0) {
+    return { problems: ['not initialized'], outdated: [], modified: [] }
+  }
+
+  const problems = []
+  const outdated = []
+  const modified = []
+  for (const assistant of scope.assistants) {
+    const targetFilename = assistant.targetFile || getTargetFilename(assistant.cliType)
+    const label = path.posix.join(scope.dir, targetFilename)
+    const targetPath = validateSafePath(label, baseDir)
+    const sectionHash = sectionHashes?.[label]
+    const status = await inspectContextFile(targetPath, baseDir, assistant.linkedFile, sectionHash)
+    if (status === 'missing') problems.push(`${targetFilename} missing`)
+    if (status === 'missing-link') problems.push(`${assistant.linkedFile} missing`)
+    if (status === 'no-section') problems.push(`${targetFilename} has no Guardian section`)
+    if (status === 'conflict') problems.push(`${targetFilename} has unresolved conflicts`)
+    if (status === 'legacy' || status === 'outdated') outdated.push(`${targetFilename} outdated`)
+    if (status === 'modified') modified.push(`${targetFilename} modified locally`)
+  }
+  return { problems, outdated, modified }
+}
+
+/**
+ * Records the status of one workspace package for --json and report files
+ * The status table already shows it, so nothing is printed
+ */
+function recordWorkspacePackage(row) {
+  const check = { id: 'workspace-package', file: row.dir }
+  const findings = [...row.problems, ...row.outdated, ...row.modified].join(', ')
+  if (row.problems.length > 0) {
+    recordCheck({
+      ...check,
+      severity: SEVERITY_ERROR,
+      message: `${row.name}: ${findings}`,
+      remediation: 'Run: proguardian init --workspaces',
+    })
+  } else if (row.outdated.length > 0) {
+    recordCheck({
+      ...check,
+      severity: SEVERITY_ERROR,
+      message: `${row.name}: ${findings}`,
+      remediation: 'Run: proguardian upgrade',
+    })
+  } else if (row.modified.length > 0) {
+    recordCheck({
+      ...check,
+      severity: SEVERITY_WARNING,
+      message: `${row.name}: ${findings}`,
+      remediation: 'Keep them, or restore the installed sections with: proguardian check --fix',
+    })
+  } else {
+    recordCheck({ ...check, severity: SEVERITY_OK, message: `${row.name} configured` })
+  }
+}
+
+/**
+ * Checks every workspace package and prints a per-package status table
+ * Packages added to the monorepo since init are reported as not initialized
+ * @returns {Promise<number>} Exit code of the workspace checks
+ */
+async function checkWorkspaces(markerData, baseDir) {
+  const recorded = getMarkerScopes(markerData).filter((scope) => scope.kind === 'workspace')
+  const discovered = await discoverWorkspaces(baseDir)
+  const packages = [
+    ...recorded,
+    ...discovered.filter((pkg) => !recorded.some((scope) => scope.dir === pkg.dir)),
+  ]
+
+  const rows = []
+  for (const pkg of packages) {
+    const scope = recorded.find((item) => item.dir === pkg.dir)
+    rows.push({
+      name: pkg.name || pkg.dir,
+      dir: pkg.dir,
+      ...(await inspectWorkspace(scope, baseDir, markerData.sectionHashes)),
+    })
+  }
+
+  log()
+  log(chalk.cyan('Workspace packages:'))
+  const nameWidth = Math.max('Package'.length, ...rows.map((row) => row.name.length))
+  const dirWidth = Math.max('Directory'.length, ...rows.map((row) => row.dir.length))
+  log(chalk.gray(`  ${'Package'.padEnd(nameWidth)}  ${'Directory'.padEnd(dirWidth)}  Status`))
+  for (const row of rows) {
+    let status = chalk.green('✓ ok')
+    if (row.problems.length > 0) {
+      status = chalk.red(`✗ ${[...row.problems, ...row.outdated, ...row.modified].join(', ')}`)
+    } else if (row.outdated.length > 0 || row.modified.length > 0) {
+      status = chalk.yellow(`⚠ ${[...row.outdated, ...row.modified].join(', ')}`)
+    }
+    log(`  ${row.name.padEnd(nameWidth)}  ${row.dir.padEnd(dirWidth)}  ${status}`)
+    recordWorkspacePackage(row)
+  }
+
+  const failing = rows.filter((row) => row.problems.length > 0).length
+  if (failing > 0) {
+    reportCheck({
+      id: 'workspaces',
+      severity: SEVERITY_ERROR,
+      message: `${failing} of ${rows.length} workspace package(s) need attention`,
+      remediation: 'Run: proguardian init --workspaces',
+    })
+    return EXIT_MISCONFIGURED
+  }
+
+  const outdated = rows.filter((row) => row.outdated.length > 0).length
+  if (outdated > 0) {
+    reportCheck({
+      id: 'workspaces',
+      severity: SEVERITY_ERROR,
+      message: `${outdated} of ${rows.length} workspace package(s) carry an older Guardian protocol`,
+      remediation: 'Run: proguardian upgrade',
+    })
+    return EXIT_OUTDATED
+  }
+  reportCheck({
+    id: 'workspaces',
+    severity: SEVERITY_OK,
+    message: `All ${rows.length} workspace package(s) configured`,
+  })
+  return EXIT_CONFIGURED
+}
+
+// Failed checks for each problem inspectContextFile() finds in a context file that exists
+const CONTEXT_FILE_FAILURES = {
+  'no-section': (assistant, targetFilename) => ({
+    id: 'guardian-section',
+    message: `${targetFilename} exists but is not Guardian version`,
+    remediation: `Run: proguardian init --force --cli ${assistant.cliType}`,
+  }),
+  'missing-link': (assistant, targetFilename) => ({
+    id: 'linked-protocol',
+    message: `${assistant.linkedFile} not found; ${targetFilename} imports the Guardian protocol from it`,
+    remediation: 'Run: proguardian render',
+  }),
+  conflict: (assistant, targetFilename) => ({
+    id: 'upgrade-conflicts',
+    message: `${assistant.linkedFile || targetFilename} has unresolved upgrade conflicts in its Guardian protocol`,
+    remediation: 'Resolve the <<<<<<< / >>>>>>> markers left by proguardian upgrade',
+  }),
+  legacy: (assistant, targetFilename) => ({
+    id: 'guardian-section',
+    message: `${targetFilename} carries a legacy Guardian section without version markers`,
+    remediation: `Run: proguardian init --force --cli ${assistant.cliType}`,
+    exitCode: EXIT_OUTDATED,
+  }),
+  outdated: (assistant, targetFilename) => ({
+    id: 'guardian-section',
+    message: `${targetFilename} carries an older Guardian protocol than v${TEMPLATE_VERSION}`,
+    remediation: 'Run: proguardian upgrade',
+    exitCode: EXIT_OUTDATED,
+  }),
+}
+
+/**
+ * Reports a Guardian section edited since it was installed, with a diff against the installed copy
+ */
+async function reportModifiedSection(assistant, targetFilename, baseDir) {
+  const file = targetFilename
+  reportCheck({
+    id: 'guardian-section',
+    severity: SEVERITY_WARNING,
+    message: `${targetFilename} has local changes to its Guardian section`,
+    remediation: 'Keep them, or restore the installed section with: proguardian check --fix',
+    file,
+  })
+
+  // The stored copy is what was installed; sections from before the store show no diff
+  const base = await readSectionBase(baseDir, targetFilename)
+  if (base === null) {
+    return
+  }
+  const { linkedFile } = assistant
+  const content = await secureReadFile(validateSafePath(file, baseDir), {
+    maxSize: 5 * 1024 * 1024,
+    baseDir,
+  })
+  const local = linkedFile
+    ? await readLinkedProtocol(baseDir, linkedFile)
+    : findGuardianSection(content).body
+  const protocolFile = linkedFile || targetFilename
+  const diff = createUnifiedDiff(base, local, {
+    oldLabel: `installed/${protocolFile}`,
+    newLabel: `local/${protocolFile}`,
+  })
+  log(colorizeDiff(diff))
+}
+
+/**
+ * Checks that an assistant's context file exists and carries the current Guardian section
+ * @param {Object} sectionHashes - Hashes recorded by init, keyed by context file
+ * @returns {Promise<{file: string, status: string, exitCode: number}>} Status from
+ *   inspectContextFile() and exit code of the context file checks
+ */
+async function checkContextFile(assistant, baseDir, sectionHashes) {
+  const targetFilename = assistant.targetFile || getTargetFilename(assistant.cliType)
+  const targetPath = validateSafePath(targetFilename, baseDir)
+  const sectionHash = sectionHashes?.[targetFilename]
+  const status = await inspectContextFile(targetPath, baseDir, assistant.linkedFile, sectionHash)
+
+  const file = targetFilename
+  const result = { file, status, exitCode: EXIT_CONFIGURED }
+  if (status === 'missing') {
+    reportCheck({
+      id: 'context-file',
+      severity: SEVERITY_ERROR,
+      message: `${targetFilename} not found`,
+      remediation: 'Run: proguardian init',
+      file,
+    })
+    return { ...result, exitCode: EXIT_MISCONFIGURED }
+  }
+  reportCheck({
+    id: 'context-file',
+    severity: SEVERITY_OK,
+    message: `${targetFilename} found`,
+    file,
+  })
+
+  const failure = CONTEXT_FILE_FAILURES[status]?.(assistant, targetFilename)
+  if (failure) {
+    const { exitCode = EXIT_MISCONFIGURED, ...check } = failure
+    reportCheck({ severity: SEVERITY_ERROR, file, ...check })
+    return { ...result, exitCode }
+  }
+  if (status === 'modified') {
+    await reportModifiedSection(assistant, targetFilename, baseDir)
+    return result
+  }
+  reportCheck({
+    id: 'guardian-section',
+    severity: SEVERITY_OK,
+    message:
+      status === 'pristine'
+        ? 'Guardian protocol detected, unchanged since it was installed'
+        : 'Guardian protocol detected',
+    file,
+  })
+  return result
+}
+
+/**
+ * Checks the nested context files of directory scopes added with `init --scope`
+ * @returns {Promise<Array>} Results of checkContextFile()
+ */
+async function checkDirectoryScopes(markerData, baseDir) {
+  const results = []
+  for (const scope of getMarkerScopes(markerData).filter((item) => item.kind === 'directory')) {
+    for (const assistant of scope.assistants) {
+      const targetFilename = assistant.targetFile || getTargetFilename(assistant.cliType)
+      const targetFile = path.posix.join(scope.dir, targetFilename)
+      const { sectionHashes } = markerData
+      results.push(await checkContextFile({ ...assistant, targetFile }, baseDir, sectionHashes))
+    }
+  }
+  return results
+}
+
+/**
+ * Prints which context files an assistant loads when working in a directory
+ * Assistants read every context file from the project root down; the deepest Guardian section
+ * is the most specific and takes precedence
+ */
+async function reportLayering(markerData, dir, baseDir) {
+  const results = await resolveLayers(markerData, dir, baseDir)
+
+  log()
+  log(chalk.cyan(`Context files that apply in ${dir}:`))
+  for (const { cliType, layers } of results) {
+    log(`  ${CLI_NAMES[cliType] || cliType}`)
+    if (layers.length === 0) {
+      log(chalk.gray('    no context files'))
+      continue
+    }
+
+    const effective = layers.filter((layer) => layer.guardian).pop()
+    const width = Math.max(...layers.map((layer) => layer.file.length))
+    for (const layer of layers) {
+      const rules = layer.guardian
+        ? `Guardian, ${layer.profile || 'unrecorded'} profile`
+        : 'no Guardian section'
+      const precedence = layer === effective ? chalk.green('  ← takes precedence') : ''
+      log(`    ${layer.file.padEnd(width)}  ${rules}${precedence}`)
+    }
+  }
+}
+
+/**
+ * Reports user-level Guardian from `init --user` next to the project's own setup
+ * Assistants load both context files, so a differing protocol version or profile conflicts
+ * @returns {Promise<Object|null>} Levels found, or null when the project is the home directory
+ */
+async function reportUserSetup(markerData, baseDir, homeDir) {
+  if (path.resolve(baseDir) === homeDir) {
+    return null
+  }
+  const user = await inspectUserSetup(homeDir)
+  const projectFiles = getMarkerAssistants(markerData).map((assistant) => ({
+    cliType: assistant.cliType,
+    targetFile: assistant.targetFile || getTargetFilename(assistant.cliType),
+  }))
+  const project = {
+    profile: markerData?.profile || null,
+    sections: await findInstalledSections(projectFiles, baseDir),
+  }
+
+  log()
+  log(chalk.cyan('Checking user-level Guardian...'))
+  if (user.sections.length === 0) {
+    log(`${chalk.gray('○')} User-level Guardian not installed`)
+    return { user: false, project: project.sections.length > 0, conflicts: [] }
+  }
+  for (const section of user.sections) {
+    success(`User-level Guardian active in ${formatUserPath(section.file)}`)
+  }
+
+  const conflicts = findSetupConflicts(user, project)
+  for (const conflict of conflicts) {
+    reportCheck({
+      id: 'user-level-conflict',
+      severity: SEVERITY_WARNING,
+      message: `${CLI_NAMES[conflict.cliType]}: user-level and project Guardian conflict`,
+      remediation: `${conflict.reason}; the project section takes precedence`,
+      subject: conflict.cliType,
+    })
+  }
+  if (conflicts.length > 0) {
+    const profile = project.profile ? ` --profile ${project.profile}` : ''
+    log(chalk.gray(`   To align them, run: proguardian init --user --force${profile}`))
+  } else if (project.sections.length > 0) {
+    log(chalk.gray('   User-level and project Guardian are both active and agree'))
+  }
+  return { user: true, project: project.sections.length > 0, conflicts }
+}
+
+/**
+ * Reports which template the project was initialized from and whether it still matches
+ * @returns {Promise<number>} Exit code; EXIT_OUTDATED when init would now use another template
+ */
+async function checkTemplate(markerData, baseDir) {
+  const recorded = markerData?.template
+  if (!recorded) {
+    return EXIT_CONFIGURED
+  }
+  log(
+    chalk.gray(
+      `   Template: ${recorded.path} (${recorded.source}, sha256 ${String(recorded.hash).slice(0, 12)})`,
+    ),
+  )
+
+  let current
+  try {
+    current = await loadTemplate(getMarkerTemplateOptions(markerData, baseDir))
+  } catch (err) {
+    reportCheck({
+      id: 'template',
+      severity: SEVERITY_ERROR,
+      message: `Template ${recorded.path} cannot be used: ${err.message}`,
+    })
+    return EXIT_MISCONFIGURED
+  }
+
+  if (current.path !== recorded.path || current.hash !== recorded.hash) {
+    reportCheck({
+      id: 'template',
+      severity: SEVERITY_ERROR,
+      message: `Template changed since init: now ${current.path} (${current.source})`,
+      remediation: 'Run: proguardian render',
+    })
+    return EXIT_OUTDATED
+  }
+  return EXIT_CONFIGURED
+}
+
+/**
+ * Formats a token count for display, e.g. `1,234`
+ */
+function formatTokens(tokens) {
+  return tokens.toLocaleString('en-US')
+}
+
+/**
+ * Estimates the tokens of each existing context file, counting an imported protocol file too
+ * @returns {Promise<Array<{cliType: string, file: string, section: number, total: number}>>}
+ */
+async function measureAssistants(assistants, baseDir) {
+  const estimates = []
+  for (const { cliType, targetFile, linkedFile } of assistants) {
+    const file = targetFile || getTargetFilename(cliType)
+    const filePath = validateSafePath(file, baseDir)
+    // Missing context files are already reported
+    if (!(await securePathExists(filePath, { baseDir }))) {
+      continue
+    }
+    const content = await secureReadFile(filePath, { maxSize: 5 * 1024 * 1024, baseDir })
+    const protocol = linkedFile ? await readLinkedProtocol(baseDir, linkedFile) : null
+    estimates.push({ cliType, file, ...measureContextTokens(content, protocol) })
+  }
+  return estimates
+}
+
+/**
+ * Finds the most detailed profile that brings a context file within the budget
+ * Falls back to the most compact profile when none fits, as long as it saves tokens
+ * @returns {Promise<{profile: string, total: number}|null>} Suggested profile and estimated total
+ */
+async function suggestCompactProfile(estimate, markerData, budget, baseDir) {
+  const current = PROFILES_BY_SIZE.indexOf(markerData?.profile || DEFAULT_PROFILE)
+  const variables = resolveTemplateVariables(markerData?.stack || null, markerData?.variables)
+  const templateOptions = getMarkerTemplateOptions(markerData, baseDir)
+
+  let suggestion = null
+  for (const profile of PROFILES_BY_SIZE.slice(current + 1)) {
+    const template = await loadTemplate({ ...templateOptions, profile })
+    const guardianContent = await renderGuardianTemplate(estimate.cliType, variables, { template })
+    const section = estimateTokens(renderGuardianSection(guardianContent))
+    const total = estimate.total - estimate.section + section
+    if (total < estimate.total) {
+      suggestion = { profile, total }
+    }
+    if (total <= budget) {
+      break
+    }
+  }
+  return suggestion
+}
+
+/**
+ * Reports the estimated tokens of each context file against the token budget
+ * Over-budget files come with a more compact profile to switch to
+ * @returns {Promise<Array|undefined>} Estimates with `budget`, `overBudget` and any `suggestion`,
+ *   or undefined without --tokens or --budget
+ */
+async function reportTokens(markerData, assistants, options, baseDir) {
+  if (!options.tokens && !options.budget) {
+    return undefined
+  }
+  const budget = parseTokenBudget(options.budget ?? markerData?.tokenBudget)
+  log()
+  log(chalk.cyan(`Estimating context tokens (budget ${formatTokens(budget)} per context file)...`))
+
+  const results = []
+  for (const estimate of await measureAssistants(assistants, baseDir)) {
+    const summary = `${estimate.file}: ~${formatTokens(estimate.total)} tokens, Guardian section ~${formatTokens(estimate.section)}`
+    const { file } = estimate
+    if (estimate.total <= budget) {
+      reportCheck({ id: 'token-budget', severity: SEVERITY_OK, message: summary, file })
+      results.push({ ...estimate, budget, overBudget: false })
+      continue
+    }
+
+    const suggestion = await suggestCompactProfile(estimate, markerData, budget, baseDir)
+    reportCheck({
+      id: 'token-budget',
+      severity: SEVERITY_WARNING,
+      message: `${summary}; over the budget`,
+      remediation:
+        suggestion &&
+        `The ${suggestion.profile} profile would bring it to ~${formatTokens(suggestion.total)} tokens; run: proguardian init --force --profile ${suggestion.profile}`,
+      file,
+    })
+    results.push({ ...estimate, budget, overBudget: true, suggestion })
+  }
+  return results
+}
+
+/**
+ * Looks up each supported assistant CLI on PATH
+ * @returns {Promise<Object>} Whether each CLI was found, keyed by CLI type
+ */
+async function findAssistantCLIs(whichFn) {
+  const found = {}
+  for (const cliType of [CLI_CLAUDE, CLI_GEMINI]) {
+    try {
+      await whichFn(cliType)
+      found[cliType] = true
+      reportCheck({
+        id: 'assistant-cli',
+        severity: SEVERITY_OK,
+        message: `${CLI_NAMES[cliType]} CLI found`,
+        subject: cliType,
+      })
+    } catch {
+      found[cliType] = false
+      log(`${chalk.gray('○')} ${CLI_NAMES[cliType]} CLI not found`)
+    }
+  }
+  return found
+}
+
+/**
+ * Diagnoses the wrapper `install-wrapper` put in place of an assistant CLI
+ * @returns {Promise<Object|null>} Check to report, or null when the CLI was never wrapped
+ */
+async function diagnoseWrapper(wrapper, packageVersion) {
+  const { cliType, cliPath, originalPath } = wrapper
+  const name = CLI_NAMES[cliType]
+  if (!wrapper.isWrapper && wrapper.shadowedWrapper) {
+    return {
+      severity: SEVERITY_WARNING,
+      message: `${cliPath} shadows the Guardian wrapper for ${name} at ${wrapper.shadowedWrapper}`,
+      remediation: `Put ${path.dirname(wrapper.shadowedWrapper)} before ${path.dirname(cliPath)} in PATH, or remove ${cliPath}`,
+    }
+  }
+  if (!wrapper.isWrapper && wrapper.hasOriginal) {
+    return {
+      severity: SEVERITY_WARNING,
+      message: `${cliType} resolves to the ${name} binary at ${cliPath}; an update replaced the Guardian wrapper`,
+      remediation: 'Run: proguardian check --fix',
+    }
+  }
+  if (!wrapper.isWrapper) {
+    return null
+  }
+
+  // The wrapper hands every run to the vendor binary it backed up
+  const reinstall = `Reinstall with: ${INSTALL_COMMANDS[cliType]}, then run: proguardian install-wrapper`
+  if (!wrapper.hasOriginal) {
+    return {
+      severity: SEVERITY_ERROR,
+      message: `Guardian wrapper at ${cliPath} has no ${cliType}-original to run`,
+      remediation: reinstall,
+      exitCode: EXIT_CLI_MISSING,
+    }
+  }
+  const probe = await probeOriginal(originalPath)
+  if (!probe.ok) {
+    return {
+      severity: SEVERITY_ERROR,
+      message: `${originalPath} does not run: ${probe.output}`,
+      remediation: reinstall,
+      exitCode: EXIT_CLI_MISSING,
+    }
+  }
+  if (wrapper.version !== packageVersion) {
+    const installed = wrapper.version ? `v${wrapper.version}` : 'an unversioned release'
+    return {
+      severity: SEVERITY_WARNING,
+      message: `Guardian wrapper for ${name} is from ${installed}, proguardian is v${packageVersion}`,
+      remediation: 'Run: proguardian install-wrapper --force',
+    }
+  }
+  return {
+    severity: SEVERITY_OK,
+    message: `Guardian wrapper active for ${name}, ${cliType}-original runs (${probe.output})`,
+  }
+}
+
+/**
+ * Verifies the Guardian wrapper of each assistant CLI found on PATH
+ * Wrappers are optional, so CLIs that were never wrapped are only noted
+ * @returns {Promise<{exitCode: number, warnings: number}>} Exit code and number of warnings
+ */
+async function checkWrappers(found, whichFn) {
+  const packageVersion = await getCurrentVersion()
+  const codes = []
+  let warnings = 0
+  for (const cliType of [CLI_CLAUDE, CLI_GEMINI].filter((item) => found[item])) {
+    const finding = await diagnoseWrapper(await inspectWrapper(cliType, whichFn), packageVersion)
+    if (!finding) {
+      log(`${chalk.gray('○')} ${CLI_NAMES[cliType]} runs without the Guardian wrapper`)
+      log(chalk.gray('   Optional: proguardian install-wrapper'))
+      continue
+    }
+    const { exitCode = EXIT_CONFIGURED, ...check } = finding
+    reportCheck({ id: 'wrapper', subject: cliType, ...check })
+    codes.push(exitCode)
+    if (check.severity === SEVERITY_WARNING) {
+      warnings += 1
+    }
+  }
+  return { exitCode: combineExitCodes(codes), warnings }
+}
+
+/**
+ * Verifies that an assistant CLI is installed for every configured assistant
+ * @returns {number} EXIT_CLI_MISSING unless the configured assistants can run
+ */
+function checkAssistantCLIs(found, recorded) {
+  if (!found[CLI_CLAUDE] && !found[CLI_GEMINI]) {
+    log()
+    reportCheck({
+      id: 'assistant-cli',
+      severity: SEVERITY_ERROR,
+      message: 'No AI assistant CLIs found',
+      remediation: `Install with: ${Object.values(INSTALL_COMMANDS).join(' or ')}`,
+    })
+    return EXIT_CLI_MISSING
+  }
+
+  // Every configured assistant needs its CLI to benefit from Guardian
+  let exitCode = EXIT_CONFIGURED
+  for (const { cliType } of recorded) {
+    if (found[cliType] === false) {
+      reportCheck({
+        id: 'assistant-cli',
+        severity: SEVERITY_ERROR,
+        message: `${CLI_NAMES[cliType]} is configured but its CLI was not found`,
+        remediation: `Install with: ${INSTALL_COMMANDS[cliType]}`,
+        subject: cliType,
+      })
+      exitCode = EXIT_CLI_MISSING
+    }
+  }
+  return exitCode
+}
+
+/**
+ * Formats a marker field that breaks the schema, e.g. `assistants[0].cliType must be ...`
+ */
+function formatSchemaError({ path: field, expected, value }) {
+  if (value === undefined) {
+    return `${field} is missing (expected ${expected})`
+  }
+  return `${field} must be ${expected} (got: ${JSON.stringify(value)})`
+}
+
+/**
+ * Reads the .proguardian marker and reports every field that breaks its schema
+ * An unreadable or invalid marker is not trusted at all, so the checks below fall back to the
+ * defaults and --fix recreates it
+ * @returns {Promise<{markerData: Object|null, readable: boolean, exitCode: number,
+ *   warnings: number}>} Marker data, or null when it cannot be read or is invalid
+ */
+async function checkMarkerSchema(baseDir, verbose) {
+  let inspected
   try {
+    inspected = await inspectMarker(baseDir)
+  } catch (err) {
+    reportCheck({
+      id: 'marker',
+      severity: SEVERITY_ERROR,
+      message: 'Could not read .proguardian file',
+      remediation: 'Correct the JSON, or recreate the marker with: proguardian check --fix',
+      file: MARKER_FILENAME,
+    })
+    if (verbose) {
+      log(chalk.gray(`   Error: ${err.message}`))
+    }
+    return { markerData: null, readable: false, exitCode: EXIT_MISCONFIGURED, warnings: 0 }
+  }
+
+  const { markerData, errors, unknown } = inspected
+  for (const problem of errors) {
+    reportCheck({
+      id: 'marker-schema',
+      severity: SEVERITY_ERROR,
+      message: `Invalid field in .proguardian: ${formatSchemaError(problem)}`,
+      remediation: 'Correct the field, or recreate the marker with: proguardian check --fix',
+      file: MARKER_FILENAME,
+      subject: problem.path,
+    })
+  }
+  for (const field of unknown) {
+    reportCheck({
+      id: 'marker-schema',
+      severity: SEVERITY_WARNING,
+      message: `Unknown field in .proguardian: ${field}`,
+      remediation: 'Check the name for typos, or remove the field',
+      file: MARKER_FILENAME,
+      subject: field,
+    })
+  }
+  return {
+    markerData,
+    readable: true,
+    exitCode: errors.length > 0 ? EXIT_MISCONFIGURED : EXIT_CONFIGURED,
+    warnings: unknown.length,
+  }
+}
+
+/**
+ * Reports whether the .proguardian marker exists and which assistants it configures
+ * A marker that could not be parsed was already reported by checkMarkerSchema()
+ * @returns {number} Exit code of the marker check
+ */
+function checkMarker(markerExists, markerReadable, markerData) {
+  if (!markerExists) {
+    reportCheck({
+      id: 'marker',
+      severity: SEVERITY_ERROR,
+      message: '.proguardian marker missing',
+      remediation: 'Run: proguardian init',
+    })
+    return EXIT_MISCONFIGURED
+  }
+  if (!markerReadable) {
+    return EXIT_MISCONFIGURED
+  }
+
+  reportCheck({ id: 'marker', severity: SEVERITY_OK, message: '.proguardian configuration found' })
+  const recorded = getMarkerAssistants(markerData)
+  if (recorded.length > 0) {
+    const names = recorded.map((assistant) => CLI_NAMES[assistant.cliType] || assistant.cliType)
+    log(chalk.gray(`   Configured for: ${names.join(', ')}`))
+  }
+  return EXIT_CONFIGURED
+}
+
+/**
+ * Prints the outcome of a check run
+ */
+function printSummary(exitCode, context) {
+  const { assistants, found, warnings, strict } = context
+  log()
+  if (exitCode === EXIT_CONFIGURED) {
+    success('Guardian is fully configured and ready!')
+    log()
+    log(chalk.cyan('You can now use:'))
+    for (const { cliType } of assistants) {
+      if (found[cliType]) log(`  • ${chalk.bold(cliType)} - With Guardian supervision`)
+    }
+    return
+  }
+
+  warn('Guardian setup incomplete')
+  if (strict && warnings > 0) {
+    log(chalk.gray(`   ${warnings} warning(s) fail the check with --strict`))
+  }
+  log(chalk.gray('   Follow the suggestions above to complete setup'))
+}
+
+/**
+ * Writes the checks collected since startCollectingChecks() as a SARIF or JUnit report
+ * @returns {Promise<string>} Absolute path of the report file
+ */
+async function writeReportFile(options, baseDir) {
+  const checks = finishCollectingChecks()
+  const file = options.output || DEFAULT_REPORT_FILES[options.format]
+  const content =
+    options.format === FORMAT_SARIF
+      ? formatSarif(checks, await getCurrentVersion())
+      : formatJUnit(checks, { strict: options.strict })
+  const reportPath = validateSafePath(file, baseDir)
+  await secureWriteFile(reportPath, content, { baseDir })
+  recordFile(reportPath)
+  log(
+    chalk.gray(`   Wrote ${checks.length} check(s) as ${FORMAT_NAMES[options.format]} to ${file}`),
+  )
+  return reportPath
+}
+
+/**
+ * Verifies the Guardian setup of a project
+ * @returns {Promise<{ok: boolean, exitCode: number, sections: Array, levels: Object|null,
+ *   tokens: Array|undefined, fixes: Array|undefined, reportFile: string|undefined}>} Outcome;
+ *   exitCode is one of the EXIT_* codes, and --strict turns warnings, such as locally modified
+ *   sections, into EXIT_MISCONFIGURED. exitCode and the --format report describe the setup
+ *   before any --fix repairs
+ */
+export async function checkCommand(options = {}, deps = {}) {
+  try {
+    const { which: _which = which } = deps
+
     // Validate command options
     validateOptions('check', options)
+    if (options.output && !options.format) {
+      throw new ValidationError('output', 'Requires --format sarif or --format junit')
+    }
 
     log(chalk.cyan('🔍 Checking Guardian setup...\n'))
 
-    let allGood = true
-    let cliType = CLI_CLAUDE // Default to Claude for backward compatibility
-    let targetFilename = 'CLAUDE.md'
-
-    // Check for .proguardian marker to determine CLI type
-    const markerPath = validateSafePath('.proguardian', process.cwd())
-    if (await securePathExists(markerPath)) {
-      try {
-        const markerData = await secureReadJSON(markerPath)
-        if (markerData.cliType) {
-          cliType = markerData.cliType
-          targetFilename = getTargetFilename(cliType)
-        }
-      } catch (err) {
-        warn('Could not read .proguardian file')
-        if (options.verbose) {
-          log(chalk.gray(`   Error: ${err.message}`))
-        }
-      }
-    }
-
-    // Check for target file (CLAUDE.md or GEMINI.md)
-    const targetPath = validateSafePath(targetFilename, process.cwd())
-    if (await securePathExists(targetPath)) {
-      success(`${targetFilename} found`)
-
-      // Verify it's the Guardian version
-      const content = await secureReadFile(targetPath, { maxSize: 5 * 1024 * 1024 })
-      if (content.includes('GUARDIAN - Senior Developer Protocol')) {
-        success('Guardian protocol detected')
-      } else {
-        warn(`${targetFilename} exists but is not Guardian version`)
-        log(chalk.gray('   Run: proguardian init --force'))
-        allGood = false
-      }
-    } else {
-      error(`${targetFilename} not found`)
-      log(chalk.gray('   Run: proguardian init'))
-      allGood = false
-    }
-
-    // Check for .proguardian marker
-    if (await securePathExists(markerPath)) {
-      success('.proguardian configuration found')
-      try {
-        const markerData = await secureReadJSON(markerPath)
-        if (markerData.cliType) {
-          const cliName = markerData.cliType === CLI_CLAUDE ? 'Claude Code' : 'Gemini CLI'
-          log(chalk.gray(`   Configured for: ${cliName}`))
-        }
-      } catch {
-        // Already logged above
-      }
-    } else {
-      warn('.proguardian marker missing')
-      allGood = false
+    // Every check below is also written to a report file with --format
+    if (options.format) {
+      startCollectingChecks()
     }
 
-    // Check for Claude Code or Gemini CLI
-    log()
-    log(chalk.cyan('Checking for AI assistants...'))
+    const baseDir = options.baseDir || process.cwd()
+    const codes = []
+    let warnings = 0
+    let markerData = null
+    let markerReadable = false
 
-    let claudeFound = false
-    let geminiFound = false
+    // Check for .proguardian marker to determine the configured assistants
+    const markerExists = await securePathExists(getMarkerPath(baseDir), { baseDir })
+    if (markerExists) {
+      const marker = await checkMarkerSchema(baseDir, options.verbose)
+      markerData = marker.markerData
+      markerReadable = marker.readable
+      codes.push(marker.exitCode)
+      warnings += marker.warnings
+    }
 
-    try {
-      await which('claude')
-      claudeFound = true
-      success('Claude Code CLI found')
-    } catch {
-      log(`${chalk.gray('○')} Claude Code CLI not found`)
+    // Default to Claude for backward compatibility
+    const recorded = getMarkerAssistants(markerData)
+    const assistants = recorded.length > 0 ? recorded : [{ cliType: CLI_CLAUDE }]
+
+    // Check each context file (CLAUDE.md, GEMINI.md)
+    const sections = []
+    for (const assistant of assistants) {
+      sections.push(await checkContextFile(assistant, baseDir, markerData?.sectionHashes))
+    }
+    codes.push(checkMarker(markerExists, markerReadable, markerData))
+    if (markerExists) {
+      codes.push(await checkTemplate(markerData, baseDir))
     }
 
-    try {
-      await which('gemini')
-      geminiFound = true
-      success('Gemini CLI found')
-    } catch {
-      log(`${chalk.gray('○')} Gemini CLI not found`)
+    // Monorepos initialized with --workspaces get a per-package status table
+    if (Array.isArray(markerData?.workspaces)) {
+      codes.push(await checkWorkspaces(markerData, baseDir))
     }
 
-    if (!claudeFound && !geminiFound) {
-      log()
-      warn('No AI assistant CLIs found')
-      log(chalk.gray('   Install with:'))
-      log(chalk.gray('   npm install -g @anthropic/claude-code'))
-      log(chalk.gray('   npm install -g @google/gemini-cli'))
-      allGood = false
+    // Nested context files from `init --scope`
+    sections.push(...(await checkDirectoryScopes(markerData, baseDir)))
+    codes.push(...sections.map((section) => section.exitCode))
+    warnings += sections.filter((section) => section.status === 'modified').length
+    if (options.path) {
+      await reportLayering(markerData, options.path, baseDir)
     }
 
-    // Summary
+    // Estimated cost of what each assistant loads, against the token budget
+    const tokens = await reportTokens(markerData, assistants, options, baseDir)
+
+    // Guardian installed with `init --user` applies here too
+    const levels = await reportUserSetup(markerData, baseDir, getUserHome(options.homeDir))
+    warnings += (tokens || []).filter((item) => item.overBudget).length
+    warnings += levels?.conflicts.length || 0
+
+    // Check for Claude Code or Gemini CLI
     log()
-    if (allGood) {
-      success('Guardian is fully configured and ready!')
-      log()
-      log(chalk.cyan('You can now use:'))
-      if (cliType === CLI_CLAUDE && claudeFound) {
-        log(`  • ${chalk.bold('claude')} - With Guardian supervision`)
-      } else if (cliType === CLI_GEMINI && geminiFound) {
-        log(`  • ${chalk.bold('gemini')} - With Guardian supervision`)
-      } else {
-        // Show available CLI that matches configuration
-        if (claudeFound) log(`  • ${chalk.bold('claude')} - With Guardian supervision`)
-        if (geminiFound) log(`  • ${chalk.bold('gemini')} - With Guardian supervision`)
-      }
-    } else {
-      warn('Guardian setup incomplete')
-      log(chalk.gray('   Follow the suggestions above to complete setup'))
-    }
-
-    // If fix option is provided, attempt to fix issues
-    if (options.fix && !allGood) {
-      log()
-      log(chalk.cyan('Attempting to fix issues...'))
-
-      // If no target file exists, suggest running init
-      if (!(await securePathExists(targetPath))) {
-        warn('Run: proguardian init')
-      }
+    log(chalk.cyan('Checking for AI assistants...'))
+
+    const found = await findAssistantCLIs(_which)
+    codes.push(checkAssistantCLIs(found, recorded))
+
+    // Wrappers from `install-wrapper` that updates or PATH order have undone
+    const wrappers = await checkWrappers(found, _which)
+    codes.push(wrappers.exitCode)
+    warnings += wrappers.warnings
+
+    if (options.strict && warnings > 0) {
+      codes.push(EXIT_MISCONFIGURED)
+    }
+    const exitCode = combineExitCodes(codes)
+    printSummary(exitCode, { assistants, found, warnings, strict: options.strict })
+    const reportFile = options.format ? await writeReportFile(options, baseDir) : undefined
+
+    // Repair what can be repaired, or only list the repairs with --dry-run
+    const fixes = options.fix
+      ? await fixSetup(options, { baseDir, markerData, which: _which })
+      : undefined
+
+    return {
+      ok: exitCode === EXIT_CONFIGURED,
+      exitCode,
+      sections: sections.map(({ file, status }) => ({ file, status })),
+      levels,
+      tokens,
+      fixes,
+      reportFile,
     }
   } catch (err) {
+    finishCollectingChecks()
     handleError(err, { exit: true, verbose: options.verbose })
   }
 }
@@ -0,0 +1,187 @@
+import os from 'os'
+import chalk from 'chalk'
+import { collectDiagnostics, redactBundle } from '../utils/diagnostics.js'
+import { secureWriteFile } from '../utils/file-security.js'
+import { validateOptions, validateSafePath } from '../utils/validation.js'
+import { handleError, ValidationError } from '../utils/errors.js'
+import { log } from '../utils/logger.js'
+import { SEVERITY_OK, recordFile, reportCheck } from '../utils/report.js'
+
+// Written to the project directory by `doctor --bundle` without a file name
+export const DEFAULT_BUNDLE_FILE = 'proguardian-doctor.json'
+
+/**
+ * Prints a heading and its indented lines
+ */
+function printSection(title, lines) {
+  log(chalk.cyan(title))
+  for (const line of lines) {
+    log(`  ${line}`)
+  }
+  log()
+}
+
+/**
+ * Describes an assistant binary, its real location and the vendor binary behind a wrapper
+ */
+function describeBinaryLines(binary) {
+  if (!binary.path) {
+    return [`${binary.cliType}: not found on PATH`]
+  }
+  const kind = binary.isWrapper
+    ? `Guardian wrapper ${binary.wrapperVersion || '(unversioned)'}`
+    : 'vendor binary'
+  const lines = [`${binary.cliType}: ${binary.path} → ${binary.realpath} (${kind})`]
+  const { original } = binary
+  lines.push(
+    original.exists
+      ? `  ${binary.cliType}-original: ${original.path} → ${original.realpath}`
+      : `  ${binary.cliType}-original: not found`,
+  )
+  for (const other of binary.onPath.filter((item) => item !== binary.path)) {
+    lines.push(`  also on PATH: ${other}`)
+  }
+  return lines
+}
+
+/**
+ * Describes the marker, the fields that break its schema and its contents
+ */
+function describeMarkerLines(marker) {
+  if (!marker.exists) {
+    return [`${marker.file}: not found (Guardian is not initialized here)`]
+  }
+  if (!marker.readable) {
+    return [`${marker.file}: could not be read (${marker.error})`]
+  }
+  if (marker.error) {
+    return [`${marker.file}: not valid JSON (${marker.error})`]
+  }
+
+  const lines = [`${marker.file}: ${marker.valid ? 'valid' : 'invalid'}`]
+  for (const problem of marker.errors) {
+    lines.push(`  ${problem.path}: expected ${problem.expected}`)
+  }
+  for (const field of marker.unknown) {
+    lines.push(`  ${field}: unknown field`)
+  }
+  lines.push(...JSON.stringify(marker.content, null, 2).split('\n'))
+  return lines
+}
+
+/**
+ * Describes the protocol version of the bundle, the marker and each context file
+ */
+function describeTemplateLines(templates) {
+  const lines = [
+    `Bundled protocol: v${templates.bundled}`,
+    `Recorded in .proguardian: ${templates.recorded ? `v${templates.recorded}` : 'none'}`,
+  ]
+  if (templates.template) {
+    lines.push(`Template: ${templates.template.source} ${templates.template.path || ''}`.trim())
+  }
+  for (const section of templates.sections) {
+    let state = section.version ? `v${section.version}` : 'legacy section without a version'
+    if (section.error) state = `could not be read (${section.error})`
+    else if (!section.exists) state = 'missing'
+    else if (!section.hasSection) state = 'no Guardian section'
+    lines.push(`${section.file}: ${state}`)
+  }
+  return lines
+}
+
+/**
+ * Describes the update check cache
+ */
+function describeUpdateLines(updateCheck) {
+  const lines = [`Cache: ${updateCheck.path}${updateCheck.exists ? '' : ' (not created yet)'}`]
+  if (updateCheck.exists && !updateCheck.readable) {
+    lines.push('Cache is not valid JSON; the next check rewrites it')
+  }
+  if (updateCheck.lastCheck) {
+    lines.push(`Last check: ${updateCheck.lastCheck}, latest version ${updateCheck.latestVersion}`)
+  }
+  if (updateCheck.disabled) {
+    lines.push('Disabled by PROGUARDIAN_NO_UPDATE_CHECK, NO_UPDATE_NOTIFIER or CI')
+  } else if (updateCheck.stale) {
+    lines.push('The next command checks the npm registry again')
+  }
+  return lines
+}
+
+/**
+ * Describes the mode and access of each directory
+ */
+function describePermissionLines(permissions) {
+  return permissions.map((dir) => {
+    if (!dir.exists) {
+      return `${dir.path}: does not exist`
+    }
+    const access = [dir.readable && 'readable', dir.writable && 'writable'].filter(Boolean)
+    return `${dir.path}: mode ${dir.mode}, uid ${dir.uid}, ${access.join(' and ') || 'no access'}`
+  })
+}
+
+/**
+ * Prints the collected diagnostics
+ */
+function printReport(diagnostics) {
+  printSection('Environment', [
+    `ProGuardian: ${diagnostics.proguardian || 'unknown'}`,
+    `Node.js: ${diagnostics.node}`,
+    `Platform: ${diagnostics.platform}`,
+    `npm global prefix: ${diagnostics.npmPrefix || 'unknown (npm not found)'}`,
+  ])
+  printSection(
+    'PATH, in lookup order',
+    diagnostics.path.map((dir, index) => `${index + 1}. ${dir}`),
+  )
+  printSection('Assistant binaries', diagnostics.binaries.flatMap(describeBinaryLines))
+  printSection('Marker', describeMarkerLines(diagnostics.marker))
+  printSection('Templates', describeTemplateLines(diagnostics.templates))
+  printSection('Update check', describeUpdateLines(diagnostics.updateCheck))
+  printSection('Permissions', describePermissionLines(diagnostics.permissions))
+}
+
+/**
+ * Collects what is needed to debug Guardian on this machine
+ * With --bundle the diagnostics are also written, redacted, to a JSON file to attach to an issue
+ * @returns {Promise<{diagnostics: Object, bundle: string|null}>} Unredacted diagnostics and the
+ *   bundle file that was written
+ */
+export async function doctorCommand(options = {}, deps = {}) {
+  try {
+    // Validate command options
+    validateOptions('doctor', options)
+    const { bundle } = options
+    if (bundle !== undefined && bundle !== true && typeof bundle !== 'string') {
+      throw new ValidationError('bundle', 'Must be a file name', bundle)
+    }
+
+    const baseDir = options.baseDir || process.cwd()
+    log(chalk.cyan('🩺 Collecting Guardian diagnostics...\n'))
+    const diagnostics = await collectDiagnostics({ baseDir, ...deps })
+    printReport(diagnostics)
+
+    if (!bundle) {
+      log(chalk.gray('Run: proguardian doctor --bundle to write a redacted copy for an issue'))
+      return { diagnostics, bundle: null }
+    }
+
+    const bundleFile = bundle === true ? DEFAULT_BUNDLE_FILE : bundle
+    const bundlePath = validateSafePath(bundleFile, baseDir)
+    const redacted = redactBundle(diagnostics, options.homeDir || os.homedir())
+    await secureWriteFile(bundlePath, `${JSON.stringify(redacted, null, 2)}\n`, { baseDir })
+    recordFile(bundlePath)
+    reportCheck({
+      id: 'doctor-bundle',
+      severity: SEVERITY_OK,
+      message: `Wrote a redacted support bundle to ${bundleFile}`,
+      remediation: 'Review it, then attach it to your issue',
+      file: bundleFile,
+    })
+    return { diagnostics, bundle: bundlePath }
+  } catch (err) {
+    handleError(err, { exit: true, verbose: options.verbose })
+  }
+}
@@ -0,0 +1,341 @@
+import path from 'path'
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import { CLI_CLAUDE, CLI_GEMINI, getTargetFilename } from '../utils/cli-detector.js'
+import { secureReadFile, securePathExists, secureWriteFile } from '../utils/file-security.js'
+import {
+  TEMPLATE_VERSION,
+  findGuardianSection,
+  hashContent,
+  removeGuardianSection,
+} from '../utils/guardian-section.js'
+import { hasConflictMarkers } from '../utils/merge.js'
+import {
+  MARKER_FILENAME,
+  buildMarkerVariables,
+  getMarkerScopes,
+  getMarkerTemplateOptions,
+  writeMarker,
+} from '../utils/marker.js'
+import { readSectionBase } from '../utils/section-base.js'
+import { parseLinkedImport, readLinkedProtocol } from '../utils/linked-protocol.js'
+import { backupFile, startBackupSession } from '../utils/backups.js'
+import { detectStack } from '../utils/stack-detector.js'
+import { PROFILE_LIGHT, PROFILE_STANDARD, PROFILE_STRICT, getProfile } from '../utils/profiles.js'
+import {
+  TEMPLATE_SOURCE_BUNDLED,
+  getBundledTemplatePath,
+  loadTemplate,
+  renderGuardianTemplate,
+  resolveTemplateVariables,
+} from '../utils/template-compiler.js'
+import { isNewerVersion } from '../utils/version-check.js'
+import { inspectWrapper } from '../utils/wrappers.js'
+import { validateSafePath } from '../utils/validation.js'
+import { log, success } from '../utils/logger.js'
+import { SEVERITY_OK, SEVERITY_WARNING, reportCheck } from '../utils/report.js'
+import { buildMarkerContent } from './init.js'
+import { getScopeContext, renderAssistant } from './render.js'
+import { installWrapperForCLI } from './install-wrapper.js'
+
+/**
+ * Reads a context file relative to the project root
+ * @returns {Promise<string|null>} Content, or null when the file is missing
+ */
+async function readContextFile(baseDir, file) {
+  const filePath = validateSafePath(file, baseDir)
+  if (!(await securePathExists(filePath, { baseDir }))) {
+    return null
+  }
+  return secureReadFile(filePath, { maxSize: 5 * 1024 * 1024, baseDir })
+}
+
+/**
+ * Guesses which profile a Guardian protocol was rendered from
+ * Picks the profile whose template shares the most lines with the protocol, so local edits
+ * and a changed stack still point to the right one
+ * @returns {Promise<string>} Profile name
+ */
+async function guessProfile(protocol, cliType, variables) {
+  const lines = new Set(protocol.split('\n').filter((line) => line.trim() !== ''))
+  let best = { profile: PROFILE_STRICT, shared: -1 }
+  for (const profile of [PROFILE_STRICT, PROFILE_STANDARD, PROFILE_LIGHT]) {
+    const rendered = await renderGuardianTemplate(cliType, variables, { profile })
+    const shared = rendered.split('\n').filter((line) => lines.has(line)).length
+    if (shared > best.shared) {
+      best = { profile, shared }
+    }
+  }
+  return best.profile
+}
+
+/**
+ * Plans recreating a missing or unreadable .proguardian from the Guardian sections of the root
+ * context files; workspace packages and directory scopes cannot be recovered this way
+ * @returns {Promise<Object|null>} Repair, or null when no context file carries a section
+ */
+async function planMarkerFix(state) {
+  const { baseDir } = state
+  const assistants = []
+  const sections = []
+  const sectionHashes = {}
+  for (const cliType of [CLI_CLAUDE, CLI_GEMINI]) {
+    const targetFile = getTargetFilename(cliType)
+    const content = await readContextFile(baseDir, targetFile)
+    const section = findGuardianSection(content)
+    if (!section) {
+      continue
+    }
+    const linkedFile = parseLinkedImport(section.body, targetFile)
+    const removed = removeGuardianSection(content)
+    assistants.push({
+      cliType,
+      targetFile,
+      createdFile: removed.guardianOnly,
+      originalHash: hashContent(removed.content),
+      ...(linkedFile && { linkedFile }),
+    })
+    const protocol = linkedFile ? await readLinkedProtocol(baseDir, linkedFile) : null
+    sections.push({ cliType, version: section.version, protocol: protocol ?? section.body })
+    // The stored copy is what was installed, so local edits stay detectable
+    const base = await readSectionBase(baseDir, targetFile)
+    if (base !== null) {
+      sectionHashes[targetFile] = hashContent(base)
+    }
+  }
+  if (assistants.length === 0) {
+    return null
+  }
+
+  const stack = await detectStack(baseDir)
+  const variables = buildMarkerVariables(undefined, stack)
+  const templateVariables = resolveTemplateVariables(stack, variables)
+  const profile = await guessProfile(sections[0].protocol, sections[0].cliType, templateVariables)
+  const template = await loadTemplate({ profile, baseDir })
+  const now = new Date().toISOString()
+  // Built like init builds it, with nothing newly installed on top of what was recovered
+  const recovered = { initialized: now, assistants, sectionHashes }
+  state.markerData = {
+    ...buildMarkerContent([], [], {
+      stack,
+      variables,
+      existingMarker: recovered,
+      profile,
+      template,
+      templateVersion: sections[0].version || TEMPLATE_VERSION,
+    }),
+    repaired: now,
+  }
+
+  const files = assistants.map((assistant) => assistant.targetFile).join(', ')
+  return {
+    id: 'fix-marker',
+    file: MARKER_FILENAME,
+    planned: `Would recreate ${MARKER_FILENAME} from ${files} (${profile} profile)`,
+    done: `Recreated ${MARKER_FILENAME} from ${files} (${profile} profile)`,
+    apply: () => {
+      state.markerChanged = true
+    },
+  }
+}
+
+/**
+ * Plans re-copying a project or custom template recorded in .proguardian that no longer exists
+ * The bundled template of the profile takes its place, as customizations cannot be recovered
+ * @returns {Promise<Object|null>} Repair, or null when the template is bundled or present
+ */
+async function planTemplateFix(state) {
+  const { baseDir, markerData } = state
+  const recorded = markerData?.template
+  if (!recorded?.path || recorded.source === TEMPLATE_SOURCE_BUNDLED) {
+    return null
+  }
+  const templatePath = validateSafePath(recorded.path, baseDir)
+  if (await securePathExists(templatePath, { baseDir })) {
+    return null
+  }
+
+  const { template } = getProfile(markerData.profile)
+  return {
+    id: 'fix-template',
+    file: recorded.path,
+    planned: `Would copy the bundled ${template} to the missing template ${recorded.path}`,
+    done: `Copied the bundled ${template} to the missing template ${recorded.path}`,
+    apply: async () => {
+      // Use fs directly for bundled templates, like loadTemplate()
+      const content = await fs.readFile(getBundledTemplatePath(template), 'utf-8')
+      await backupFile(baseDir, recorded.path)
+      await secureWriteFile(templatePath, content, { baseDir })
+      state.markerData = {
+        ...state.markerData,
+        template: { ...recorded, hash: hashContent(content) },
+      }
+      state.markerChanged = true
+    },
+  }
+}
+
+/**
+ * Finds what is wrong with the Guardian section of a context file
+ * Sections are compared with the hash recorded at install time, or the stored copy for markers
+ * that predate the hashes; protocols with unresolved `upgrade` conflicts are left alone
+ * @returns {Promise<string|null>} Problem, or null when the section is intact
+ */
+async function findSectionProblem(baseDir, label, linkedFile, sectionHash) {
+  const content = await readContextFile(baseDir, label)
+  if (content === null) {
+    return 'file missing'
+  }
+  const section = findGuardianSection(content)
+  if (!section) {
+    return 'section missing'
+  }
+  const protocol = linkedFile ? await readLinkedProtocol(baseDir, linkedFile) : section.body
+  if (protocol === null) {
+    return `${linkedFile} missing`
+  }
+
+  if (hasConflictMarkers(protocol)) {
+    return null
+  }
+  const expected = sectionHash ?? (await readSectionBase(baseDir, label))
+  if (!expected) {
+    return null
+  }
+  const intact = sectionHash ? hashContent(protocol) === sectionHash : protocol === expected
+  if (!intact) {
+    return 'changed since it was installed'
+  }
+  return isNewerVersion(section.version, TEMPLATE_VERSION) ? `outdated v${section.version}` : null
+}
+
+/**
+ * Builds the render context of the project once, after the marker and template are repaired
+ */
+async function getRenderContext(state) {
+  if (!state.renderContext) {
+    const { baseDir, markerData } = state
+    const stack = await detectStack(baseDir)
+    const variables = buildMarkerVariables(markerData.variables, stack)
+    const templateOptions = getMarkerTemplateOptions(markerData, baseDir)
+    const template = await loadTemplate(templateOptions)
+    state.renderContext = { baseDir, stack, variables, template, templateOptions }
+  }
+  return state.renderContext
+}
+
+/**
+ * Plans re-rendering every missing, incomplete, tampered or outdated Guardian section in the marker
+ * Replaced sections are backed up first, so `restore` brings local edits back
+ * @returns {Promise<Object[]>} Repairs
+ */
+async function planSectionFixes(state) {
+  const fixes = []
+  for (const scope of getMarkerScopes(state.markerData)) {
+    for (const assistant of scope.assistants) {
+      const targetFilename = assistant.targetFile || getTargetFilename(assistant.cliType)
+      const label = path.posix.join(scope.dir, targetFilename)
+      const recorded = state.markerData.sectionHashes?.[label]
+      const problem = await findSectionProblem(state.baseDir, label, assistant.linkedFile, recorded)
+      if (!problem) {
+        continue
+      }
+      fixes.push({
+        id: 'fix-section',
+        file: label,
+        planned: `Would re-insert the Guardian section in ${label} (${problem})`,
+        done: `Re-inserted the Guardian section in ${label} (${problem})`,
+        apply: async () => {
+          const scopeContext = await getScopeContext(scope, await getRenderContext(state))
+          const { sectionHash } = await renderAssistant(assistant, scopeContext)
+          state.markerData = {
+            ...state.markerData,
+            sectionHashes: { ...state.markerData.sectionHashes, [label]: sectionHash },
+          }
+          state.markerChanged = true
+        },
+      })
+    }
+  }
+  return fixes
+}
+
+/**
+ * Plans reinstalling wrappers that an update of the assistant CLI replaced
+ * Only CLIs whose `-original` backup exists were wrapped by `install-wrapper`
+ * @returns {Promise<Object[]>} Repairs
+ */
+async function planWrapperFixes(whichFn) {
+  const fixes = []
+  for (const cliType of [CLI_CLAUDE, CLI_GEMINI]) {
+    const wrapper = await inspectWrapper(cliType, whichFn)
+    if (!wrapper.hasOriginal || wrapper.isWrapper) {
+      continue
+    }
+    fixes.push({
+      id: 'fix-wrapper',
+      file: wrapper.cliPath,
+      planned: `Would reinstall the Guardian wrapper over ${wrapper.cliPath}`,
+      done: `Reinstalled the Guardian wrapper over ${wrapper.cliPath}`,
+      apply: () => installWrapperForCLI(cliType, `${cliType}-wrapper.js`, { force: true }),
+    })
+  }
+  return fixes
+}
+
+/**
+ * Repairs what `check` found broken, or lists the repairs with --dry-run
+ * Repairs run in order, as later ones rely on the marker and template restored before them
+ * @param {Object} options - { dryRun }
+ * @param {Object} context - { baseDir, markerData, which }; markerData is null when the marker
+ *   is missing or unreadable
+ * @returns {Promise<Array<{id: string, message: string, applied: boolean}>>} Planned or applied
+ *   repairs
+ */
+export async function fixSetup(options, context) {
+  const state = { baseDir: context.baseDir, markerData: context.markerData, markerChanged: false }
+
+  log()
+  log(chalk.cyan(options.dryRun ? 'Planning repairs...' : 'Repairing Guardian setup...'))
+
+  const markerFix = state.markerData ? null : await planMarkerFix(state)
+  const templateFix = await planTemplateFix(state)
+  const fixes = [markerFix, templateFix].filter(Boolean)
+  fixes.push(...(await planSectionFixes(state)), ...(await planWrapperFixes(context.which)))
+
+  if (!state.markerData) {
+    reportCheck({
+      id: 'fix-marker',
+      severity: SEVERITY_WARNING,
+      message: `Cannot recreate ${MARKER_FILENAME}: no context file carries a Guardian section`,
+      remediation: 'Run: proguardian init',
+    })
+  } else if (fixes.length === 0) {
+    success('Nothing to repair')
+  }
+
+  if (options.dryRun) {
+    for (const fix of fixes) {
+      reportCheck({ id: fix.id, severity: SEVERITY_WARNING, message: fix.planned, file: fix.file })
+    }
+    return fixes.map((fix) => ({ id: fix.id, message: fix.planned, applied: false }))
+  }
+
+  startBackupSession()
+  const applied = []
+  for (const fix of fixes) {
+    // install-wrapper reports why a wrapper could not be reinstalled
+    if ((await fix.apply()) === false) {
+      continue
+    }
+    reportCheck({ id: fix.id, severity: SEVERITY_OK, message: fix.done, file: fix.file })
+    applied.push({ id: fix.id, message: fix.done, applied: true })
+  }
+  if (state.markerChanged) {
+    await writeMarker(state.baseDir, state.markerData)
+  }
+  if (applied.length > 0) {
+    log(chalk.gray('   Run proguardian check again to verify'))
+  }
+  return applied
+}
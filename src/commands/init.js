@@ -1,136 +1,813 @@
 import path from 'path'
 import chalk from 'chalk'
-import { fileURLToPath } from 'url'
-import fs from 'fs-extra'
-import { determineCLI, getTargetFilename, CLI_CLAUDE } from '../utils/cli-detector.js'
+import {
+  detectCLI,
+  determineCLI,
+  determineCLIs,
+  getTargetFilename,
+  CLI_CLAUDE,
+  CLI_GEMINI,
+} from '../utils/cli-detector.js'
 import {
   secureReadFile,
   secureWriteFile,
   securePathExists,
-  secureWriteJSON,
+  secureRemoveFile,
 } from '../utils/file-security.js'
+import {
+  TEMPLATE_VERSION,
+  findGuardianSection,
+  hashContent,
+  removeGuardianSection,
+  renderGuardianSectionBody,
+  upsertGuardianSectionBody,
+} from '../utils/guardian-section.js'
+import {
+  TEMPLATE_SOURCE_BUNDLED,
+  loadTemplate,
+  renderGuardianTemplate,
+  resolveTemplateVariables,
+} from '../utils/template-compiler.js'
+import { detectStack } from '../utils/stack-detector.js'
+import { discoverWorkspaces, getWorkspaceVariables } from '../utils/workspaces.js'
+import { createPrompter, getWizardDefaults, runInitWizard } from '../utils/wizard.js'
+import { installGitHooks } from '../utils/git-hooks.js'
+import { getScopeVariables, mergeScopes, normalizeScopeDir } from '../utils/scopes.js'
+import {
+  USER_STACK,
+  getUserHome,
+  getUserTargetFilename,
+  getUserVariables,
+} from '../utils/user-setup.js'
+import { backupFile, startBackupSession } from '../utils/backups.js'
+import {
+  SECTION_BASE_DIR,
+  hashSectionBody,
+  removeSectionBases,
+  writeSectionBase,
+} from '../utils/section-base.js'
+import {
+  LINKED_PROTOCOL_DIR,
+  getLinkedProtocolFile,
+  readLinkedProtocol,
+  removeLinkedProtocols,
+  renderLinkedSectionBody,
+  writeLinkedProtocol,
+} from '../utils/linked-protocol.js'
+import { installWrapper } from './install-wrapper.js'
+import { getProfile } from '../utils/profiles.js'
+import { colorizeDiff, createUnifiedDiff } from '../utils/diff.js'
+import {
+  MARKER_FILENAME,
+  buildMarkerVariables,
+  getMarkerAssistants,
+  getMarkerPath,
+  getMarkerScopes,
+  getMarkerTemplateOptions,
+  readMarker,
+  writeMarker,
+} from '../utils/marker.js'
 import { validateOptions, validateSafePath } from '../utils/validation.js'
-import { handleError } from '../utils/errors.js'
+import { handleError, ValidationError } from '../utils/errors.js'
+import {
+  SEVERITY_OK,
+  SEVERITY_WARNING,
+  isJSONReport,
+  recordFile,
+  reportCheck,
+} from '../utils/report.js'
 import { log, success, warn } from '../utils/logger.js'
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
+/**
+ * Reports the detected project stack to the user
+ */
+function reportDetectedStack(stack) {
+  const fromMakefile = stack.ecosystem === 'unknown'
+  if (fromMakefile && !stack.testCommand && !stack.lintCommand) {
+    log(chalk.gray('No project manifest detected, using generic test and search commands'))
+    return
+  }
+
+  // Without a manifest, only Makefile targets provide commands
+  success(fromMakefile ? 'Detected Makefile targets' : `Detected ${stack.language} project`)
+  if (stack.testCommand) log(chalk.gray(`   Test command: ${stack.testCommand}`))
+  if (stack.lintCommand) log(chalk.gray(`   Lint command: ${stack.lintCommand}`))
+}
+
+/**
+ * Reads the .proguardian marker, tolerating a missing or corrupt file
+ */
+async function readMarkerSafely(baseDir, verbose) {
+  try {
+    return await readMarker(baseDir)
+  } catch (err) {
+    warn('Could not read .proguardian file')
+    if (verbose) {
+      log(chalk.gray(`   Error: ${err.message}`))
+    }
+    return null
+  }
+}
+
+/**
+ * Explains how to create a context file when the project has none yet
+ */
+function reportMissingContextFile(cliType, targetFilename) {
+  warn(`No ${targetFilename} found in this project.`)
+  log()
+  log('Recommended approach:')
+  const cliCommand = cliType === CLI_CLAUDE ? 'claude' : 'gemini'
+  log(`  1. Run ${chalk.cyan(`${cliCommand} init`)} to analyze your project`)
+  log(`  2. Run ${chalk.cyan('proguardian init')} to add Guardian mode`)
+  log()
+  log(`Or use ${chalk.cyan('proguardian init --force')} to create Guardian-only ${targetFilename}`)
+}
+
+/**
+ * Decides whether init should proceed for the current context file state
+ * Dry runs always preview the content `init --force` would write, so CI can assert it is current.
+ * The setup wizard creates the context files it was asked for and refreshes unedited sections,
+ * but like a plain `init` it needs --force to replace a section edited since it was installed.
+ * @returns {boolean} True if init should render and write the Guardian section
+ */
+function shouldProceed(existingContent, context) {
+  const { cliType, targetFilename, options, pristine } = context
+
+  if (existingContent === null) {
+    // `--workspaces`, `--scope`, `--user` and the wizard create the context files they ask for
+    if (options.workspaces || options.scope || options.user || options.wizard) return true
+    if (!options.dryRun) reportMissingContextFile(cliType, targetFilename)
+    return Boolean(options.force || options.dryRun)
+  }
+
+  const existingSection = findGuardianSection(existingContent)
+  if (existingSection?.legacy) {
+    // Legacy sections have no end marker, so migrate them before anything is appended below
+    warn(`Migrating legacy Guardian section in ${targetFilename} to bounded markers...`)
+  } else if (existingSection && !options.dryRun) {
+    warn(`Guardian mode is already active in ${targetFilename}`)
+    if (options.wizard && !options.force && pristine) {
+      warn('   Refreshing the unedited Guardian section with your answers...')
+      return true
+    }
+    if (!options.force) {
+      if (options.wizard) {
+        log(chalk.gray('   It was edited since it was installed; run: proguardian init --force'))
+      } else if (existingSection.version !== TEMPLATE_VERSION) {
+        log(chalk.gray(`   Run: proguardian upgrade to merge the v${TEMPLATE_VERSION} protocol`))
+      }
+      return false
+    }
+    warn('   Reinstalling Guardian section...')
+  }
+  return true
+}
+
+/**
+ * Reads a file for diffing, returning null when it does not exist
+ */
+async function readIfExists(filePath, baseDir) {
+  if (!(await securePathExists(filePath, { baseDir }))) {
+    return null
+  }
+  return secureReadFile(filePath, { maxSize: 5 * 1024 * 1024, baseDir }) // 5MB max for config files
+}
+
+/**
+ * Prints a unified diff of every pending change without touching disk
+ * @returns {{pendingChanges: boolean}}
+ */
+function previewChanges(changes) {
+  let pendingChanges = false
+
+  for (const { label, before, after } of changes) {
+    const diff = createUnifiedDiff(before, after, {
+      oldLabel: `a/${label}`,
+      newLabel: `b/${label}`,
+    })
+    if (!diff) {
+      success(`${label} is up to date`)
+      continue
+    }
+    pendingChanges = true
+    log(colorizeDiff(diff))
+  }
+
+  log()
+  if (pendingChanges) {
+    reportCheck({
+      id: 'pending-changes',
+      severity: SEVERITY_WARNING,
+      message: 'Dry run: changes pending, nothing was written',
+      remediation: 'Run: proguardian init --force',
+    })
+  } else {
+    success('Dry run: Guardian setup is up to date')
+  }
+  return { pendingChanges }
+}
+
+/**
+ * Lists every file an init run would write, with its current and new content, for --dry-run
+ */
+async function describeChanges(plans, markerContent, baseDir) {
+  const changes = []
+  for (const plan of plans) {
+    changes.push({ label: plan.label, before: plan.existingContent, after: plan.updatedContent })
+    if (plan.linkedFile) {
+      changes.push({
+        label: plan.linkedFile,
+        before: await readLinkedProtocol(baseDir, plan.linkedFile),
+        after: renderGuardianSectionBody(plan.guardianContent),
+      })
+    }
+  }
+  changes.push({
+    label: MARKER_FILENAME,
+    before: await readIfExists(getMarkerPath(baseDir), baseDir),
+    after: JSON.stringify(markerContent, null, 2),
+  })
+  return changes
+}
+
+/**
+ * Rejects option combinations that would write to an ambiguous place
+ */
+function validateInitCombination(options, cliTypes) {
+  if (options.path && cliTypes.length > 1) {
+    throw new ValidationError('path', 'Cannot be combined with multiple assistants')
+  }
+  for (const other of ['workspaces', 'path', 'template']) {
+    if (options.scope && options[other]) {
+      throw new ValidationError('scope', `Cannot be combined with --${other}`)
+    }
+  }
+  if (options.path && options.workspaces) {
+    throw new ValidationError('path', 'Cannot be combined with --workspaces')
+  }
+  for (const other of ['workspaces', 'scope', 'path', 'template']) {
+    if (options.user && options[other]) {
+      throw new ValidationError('user', `Cannot be combined with --${other}`)
+    }
+  }
+}
+
+/**
+ * Describes where init writes: the project, or the home directory with `--user`
+ * User-level files live in each assistant's config directory and use generic commands
+ */
+async function resolveInitTarget(options, getProjectTargetFilename) {
+  if (options.user) {
+    const baseDir = getUserHome(options.homeDir)
+    log(chalk.gray(`Installing user-level Guardian in ${baseDir}`))
+    return { baseDir, stack: USER_STACK, getTargetFilename: getUserTargetFilename }
+  }
+
+  const baseDir = options.baseDir || process.cwd()
+  // Detect the project's ecosystem so the protocol uses the right commands
+  const stack = await detectStack(baseDir)
+  reportDetectedStack(stack)
+  return { baseDir, stack, getTargetFilename: getProjectTargetFilename }
+}
+
+/**
+ * Runs the setup wizard on a terminal; `--yes`, `--dry-run`, `--json` and piped stdin skip it
+ * @returns {Promise<Object|null>} Wizard answers, or null when the wizard was skipped
+ */
+async function askSetup(context) {
+  const { options } = context
+  // The wizard's wrapper and git hook steps are project setup, so --user skips it too
+  if (options.yes || options.dryRun || options.user || isJSONReport() || !process.stdin.isTTY) {
+    return null
+  }
+
+  const available = await detectCLI()
+  const prompter = await createPrompter()
+  try {
+    return await runInitWizard(prompter, getWizardDefaults({ ...context, available }))
+  } finally {
+    prompter.close()
+  }
+}
+
+/**
+ * Turns wizard answers into init options
+ */
+function applySetupAnswers(options, answers) {
+  if (!answers) {
+    // --yes accepts every detected assistant instead of prompting for one
+    return options.yes && !options.cli ? { ...options, allDetected: true } : options
+  }
+
+  // The wizard chose every assistant explicitly, so create their context files and refresh
+  // unedited sections; edited ones still need --force
+  return { ...options, cli: answers.cliTypes.join(','), profile: answers.profile, wizard: true }
+}
+
+/**
+ * Gets the template variables answered in the wizard
+ */
+function getAnswerVariables(answers) {
+  return {
+    ...(answers?.testCommand && { testCommand: answers.testCommand }),
+    ...(answers?.lintCommand && { lintCommand: answers.lintCommand }),
+  }
+}
+
+/**
+ * Installs the wrapper and git hooks chosen in the wizard
+ */
+async function runSetupActions(answers, baseDir, installWrapperFn) {
+  if (answers?.installWrapper) {
+    log()
+    await installWrapperFn({})
+  }
+
+  if (answers?.gitHooks) {
+    const result = await installGitHooks(baseDir)
+    if (result.installed) {
+      recordFile(result.hookPath)
+    }
+    reportCheck({
+      id: 'git-hook',
+      severity: result.installed ? SEVERITY_OK : SEVERITY_WARNING,
+      message: result.installed
+        ? 'Git pre-commit hook installed'
+        : `Git pre-commit hook not installed: ${result.reason}`,
+    })
+  }
+}
+
+/**
+ * Tells whether a Guardian section still hashes to what the marker recorded when it was installed
+ */
+async function isPristineSection(existingContent, label, linkedFile, context) {
+  const recorded = context.existingMarker?.sectionHashes?.[label]
+  const section = findGuardianSection(existingContent)
+  if (!recorded || !section) {
+    return false
+  }
+  const protocol = linkedFile ? await readLinkedProtocol(context.baseDir, linkedFile) : section.body
+  return protocol !== null && hashContent(protocol) === recorded
+}
+
+/**
+ * Plans the Guardian section for one assistant's context file
+ * @returns {Promise<Object|null>} Planned write, or null when init skips this assistant
+ */
+async function planAssistant(cliType, context) {
+  const { baseDir, options, stack, variables, existingMarker, template, scope = '.' } = context
+
+  // Support custom path or use default based on CLI type
+  const targetFilename = options.path || context.getTargetFilename(cliType)
+  const targetPath = validateSafePath(targetFilename, baseDir)
+  const label = path.posix.join(scope, targetFilename)
+  const previous = getMarkerAssistants(existingMarker).find((item) => item.cliType === cliType)
+
+  const existingContent = await readIfExists(targetPath, baseDir)
+  const pristine =
+    options.wizard &&
+    (await isPristineSection(existingContent, label, previous?.linkedFile, context))
+  if (!shouldProceed(existingContent, { cliType, targetFilename: label, options, pristine })) {
+    return null
+  }
+
+  const guardianContent = await renderGuardianTemplate(
+    cliType,
+    resolveTemplateVariables(stack, variables),
+    { template },
+  )
+
+  // Like the profile, link mode stays on once chosen
+  const linked = Boolean(options.link || previous?.linkedFile)
+  const linkedFile = linked ? getLinkedProtocolFile(cliType, scope) : null
+  const sectionBody = linked
+    ? renderLinkedSectionBody(cliType, label, linkedFile)
+    : renderGuardianSectionBody(guardianContent)
+
+  return {
+    label,
+    targetPath,
+    existingContent,
+    guardianContent,
+    linkedFile,
+    // Only the text between the Guardian markers is replaced
+    updatedContent: upsertGuardianSectionBody(existingContent || '', sectionBody),
+    assistant: {
+      cliType,
+      targetFile: targetFilename,
+      createdFile: existingContent === null || Boolean(previous?.createdFile),
+      originalHash: hashContent(removeGuardianSection(existingContent || '').content),
+      ...(linked && { linkedFile }),
+    },
+  }
+}
+
+/**
+ * Plans every assistant's context file in one directory
+ */
+async function planScope(cliTypes, context) {
+  const plans = []
+  for (const cliType of cliTypes) {
+    const plan = await planAssistant(cliType, context)
+    if (plan) {
+      plans.push(plan)
+    }
+  }
+  return plans
+}
+
+/**
+ * Plans a scoped context file for each workspace package of a monorepo
+ * Packages get their own CONTEXT and detected commands; other variables come from the root
+ * @returns {Promise<Array<{pkg: Object, plans: Array}>>} Plans per package
+ */
+async function planWorkspaces(cliTypes, context) {
+  const packages = await discoverWorkspaces(context.baseDir)
+  if (packages.length === 0) {
+    warn('No workspace packages found in package.json, pnpm-workspace.yaml or lerna.json')
+    return []
+  }
+  success(`Found ${packages.length} workspace package(s)`)
+
+  const recorded = getMarkerScopes(context.existingMarker)
+  const results = []
+  for (const pkg of packages) {
+    const packageDir = validateSafePath(pkg.dir, context.baseDir)
+    const stack = await detectStack(packageDir)
+    const plans = await planScope(cliTypes, {
+      ...context,
+      baseDir: packageDir,
+      scope: pkg.dir,
+      stack,
+      variables: getWorkspaceVariables(pkg, stack, context.variables),
+      existingMarker: recorded.find((scope) => scope.dir === pkg.dir),
+    })
+    results.push({ pkg, plans })
+  }
+  return results
+}
+
+/**
+ * Plans the nested context files of a directory scope such as `payments/`
+ * The scope renders the template of its own profile; the root section is left alone
+ * @returns {Promise<{plans: Array, entry: Object}>} Plans and the scope to record in the marker
+ */
+async function planDirectoryScope(cliTypes, context) {
+  const { baseDir, options, existingMarker } = context
+  const dir = normalizeScopeDir(options.scope, baseDir)
+  const scopeDir = validateSafePath(dir, baseDir)
+  if (!(await securePathExists(scopeDir, { baseDir }))) {
+    throw new ValidationError('scope', 'Directory does not exist', options.scope)
+  }
+
+  const recorded = getMarkerScopes(existingMarker).find(
+    (scope) => scope.kind === 'directory' && scope.dir === dir,
+  )
+  // An explicit --profile wins, then the scope's earlier profile, then the project's
+  const profile = getProfile(options.profile || recorded?.profile || existingMarker?.profile)
+  log(chalk.gray(`Using ${profile.name} profile for ${dir}/: ${profile.description}`))
+
+  const template = await loadTemplate({
+    ...getMarkerTemplateOptions(existingMarker, baseDir),
+    profile: profile.name,
+  })
+  const plans = await planScope(cliTypes, {
+    ...context,
+    baseDir: scopeDir,
+    scope: dir,
+    variables: getScopeVariables(dir, context.stack, context.variables),
+    template,
+    existingMarker: recorded,
+  })
+
+  return {
+    plans,
+    entry: { dir, profile: profile.name, assistants: plans.map((plan) => plan.assistant) },
+  }
+}
+
+/**
+ * Merges freshly planned assistants into those recorded by earlier runs
+ */
+function mergeAssistants(recorded, plans) {
+  const assistants = recorded.map(
+    (item) => plans.find((plan) => plan.assistant.cliType === item.cliType)?.assistant || item,
+  )
+  for (const { assistant } of plans) {
+    if (!assistants.some((item) => item.cliType === assistant.cliType)) {
+      assistants.push(assistant)
+    }
+  }
+  return assistants
+}
+
+/**
+ * Merges planned workspace packages into those recorded by earlier runs
+ */
+function mergeWorkspaces(recorded, workspacePlans) {
+  const workspaces = recorded.map((pkg) => ({ ...pkg }))
+  for (const { pkg, plans } of workspacePlans) {
+    const existing = workspaces.find((item) => item.dir === pkg.dir)
+    const entry = {
+      name: pkg.name,
+      dir: pkg.dir,
+      assistants: mergeAssistants(getMarkerAssistants(existing), plans),
+    }
+    if (existing) {
+      Object.assign(existing, entry)
+    } else {
+      workspaces.push(entry)
+    }
+  }
+  return workspaces
+}
+
+/**
+ * Builds the .proguardian marker content for an init run
+ * Assistants, workspace packages and directory scopes configured by earlier runs stay configured.
+ * `check --fix` recreates a lost marker through here as well, passing what it recovered from the
+ * context files as existingMarker and the protocol version of their sections as templateVersion
+ */
+export function buildMarkerContent(plans, workspacePlans, context, scopePlan = null) {
+  const { stack, variables, existingMarker, profile, template } = context
+  const { templateVersion = TEMPLATE_VERSION } = context
+  const setup = context.setup || existingMarker?.setup
+
+  const assistants = mergeAssistants(getMarkerAssistants(existingMarker), plans)
+  const recordedWorkspaces = existingMarker?.workspaces || []
+  const workspaces = mergeWorkspaces(recordedWorkspaces, workspacePlans)
+  const recordedScopes = existingMarker?.scopes || []
+  const scopes = scopePlan?.plans.length
+    ? mergeScopes(recordedScopes, scopePlan.entry)
+    : recordedScopes
+  const sectionHashes = { ...existingMarker?.sectionHashes }
+  const installed = [
+    ...plans,
+    ...(scopePlan?.plans || []),
+    ...workspacePlans.flatMap((item) => item.plans),
+  ]
+  for (const plan of installed) {
+    sectionHashes[plan.label] = hashSectionBody(plan.guardianContent)
+  }
+
+  return {
+    version: '0.1.0',
+    templateVersion,
+    // Keep the original timestamp so re-running init on a current setup changes nothing
+    initialized: existingMarker?.initialized || new Date().toISOString(),
+    mode: 'guardian',
+    profile,
+    // The primary assistant stays at the top level for wrappers that predate `assistants`
+    cliType: assistants[0]?.cliType,
+    targetFile: assistants[0]?.targetFile,
+    enhanced: true,
+    assistants,
+    ...(workspaces.length > 0 && { workspaces }),
+    ...(scopes.length > 0 && { scopes }),
+    // Wizard answers that are not reflected anywhere else
+    ...(setup && { setup }),
+    // Set by hand for `check --tokens`
+    ...(existingMarker?.tokenBudget && { tokenBudget: existingMarker.tokenBudget }),
+    // Lets `check` tell which template the project was initialized from
+    template: { source: template.source, path: template.path, hash: template.hash },
+    // Lets `check` tell the installed Guardian sections from local edits
+    sectionHashes,
+    stack: {
+      ecosystem: stack.ecosystem,
+      testCommand: stack.testCommand,
+      lintCommand: stack.lintCommand,
+      searchCommands: stack.searchCommands,
+    },
+    variables,
+  }
+}
 
 export async function initCommand(options = {}, deps = {}) {
   try {
     // Extract dependencies with defaults
     const {
       determineCLI: _determineCLI = determineCLI,
+      determineCLIs: _determineCLIs = (opts) => determineCLIs(opts, _determineCLI),
       getTargetFilename: _getTargetFilename = getTargetFilename,
+      askSetup: _askSetup = askSetup,
+      installWrapper: _installWrapper = installWrapper,
     } = deps
 
     // Validate command options
     validateOptions('init', options)
+    // Every file this run writes is backed up under one timestamp
+    startBackupSession()
 
-    // Determine which CLI to configure for
-    const cliType = await _determineCLI(options)
-    if (!cliType) {
+    // The project directory, or the home directory with --user
+    const target = await resolveInitTarget(options, _getTargetFilename)
+    const { baseDir, stack } = target
+
+    // Variables already configured in .proguardian take precedence over detection
+    const existingMarker = await readMarkerSafely(baseDir, options.verbose)
+
+    // On a terminal, walk through the setup unless --yes accepts the defaults
+    const answers = await _askSetup({ options, stack, existingMarker })
+    const setupOptions = applySetupAnswers(options, answers)
+
+    // Determine which CLIs to configure for
+    const cliTypes = await _determineCLIs(setupOptions)
+    if (cliTypes.length === 0) {
       // No CLI available and user was already informed
       return
     }
+    validateInitCombination(options, cliTypes)
 
-    // Support custom path or use default based on CLI type
-    const targetFilename = options.path || _getTargetFilename(cliType)
-    // Support passing a base directory for testing
-    const baseDir = options.baseDir || process.cwd()
-    const targetPath = validateSafePath(targetFilename, baseDir)
-    const guardianMarker = '## 🛡️ GUARDIAN MODE ACTIVE'
+    const variables = buildMarkerVariables(
+      { ...existingMarker?.variables, ...getAnswerVariables(answers) },
+      stack,
+    )
 
-    // Check if target file already exists
-    if (await securePathExists(targetPath)) {
-      // Read existing file
-      let existingContent = await secureReadFile(targetPath, { maxSize: 5 * 1024 * 1024 }) // 5MB max for config files
+    // An explicit --profile wins, otherwise keep the profile chosen earlier
+    // With --scope, --profile applies to the scope and the root keeps its own
+    const profile = getProfile((!options.scope && setupOptions.profile) || existingMarker?.profile)
+    if (!options.scope) {
+      log(chalk.gray(`Using ${profile.name} profile: ${profile.description}`))
+    }
 
-      // Check if Guardian is already added
-      if (existingContent.includes(guardianMarker)) {
-        warn(`Guardian mode is already active in ${targetFilename}`)
-        if (!options.force) {
-          return
-        }
-        warn('   Reinstalling Guardian section...')
-        // Remove existing Guardian section
-        const guardianStart = existingContent.indexOf(guardianMarker)
-        existingContent = existingContent.substring(0, guardianStart).trim()
-      }
+    // An explicit --template wins, then a template pinned by an earlier run, then discovery
+    const template = await loadTemplate({
+      ...getMarkerTemplateOptions(existingMarker, baseDir),
+      profile: profile.name,
+      ...(options.template && { templatePath: options.template }),
+    })
+    if (template.source !== TEMPLATE_SOURCE_BUNDLED) {
+      log(chalk.gray(`Using ${template.source} template: ${template.path}`))
+    }
 
-      // Get the template path
-      const templatePath = path.resolve(__dirname, '..', '..', 'templates', targetFilename)
+    const context = {
+      baseDir,
+      options: setupOptions,
+      stack,
+      variables,
+      existingMarker,
+      profile: profile.name,
+      template,
+      setup: answers ? { wrapper: answers.installWrapper, gitHooks: answers.gitHooks } : null,
+      getTargetFilename: target.getTargetFilename,
+    }
 
-      // Ensure template exists (use fs directly for templates)
-      if (!(await fs.pathExists(templatePath))) {
-        throw new Error(`Template file not found: ${targetFilename}`)
-      }
+    const scopePlan = options.scope ? await planDirectoryScope(cliTypes, context) : null
+    const rootContext = options.user
+      ? { ...context, variables: getUserVariables(variables) }
+      : context
+    const plans = scopePlan ? [] : await planScope(cliTypes, rootContext)
+    const workspacePlans = options.workspaces ? await planWorkspaces(cliTypes, context) : []
+    const allPlans = [
+      ...plans,
+      ...(scopePlan?.plans || []),
+      ...workspacePlans.flatMap((item) => item.plans),
+    ]
+    if (allPlans.length === 0) {
+      return
+    }
 
-      // Read template directly (not subject to cwd validation)
-      const guardianContent = await fs.readFile(templatePath, 'utf-8')
+    const markerContent = buildMarkerContent(plans, workspacePlans, context, scopePlan)
 
-      const enhancedContent = `${existingContent}
+    if (options.dryRun) {
+      return previewChanges(await describeChanges(allPlans, markerContent, baseDir))
+    }
 
-${guardianMarker}
+    for (const plan of allPlans) {
+      await backupFile(baseDir, plan.label)
+      await secureWriteFile(plan.targetPath, plan.updatedContent, { baseDir })
+      if (plan.linkedFile) {
+        const protocol = renderGuardianSectionBody(plan.guardianContent)
+        await writeLinkedProtocol(baseDir, plan.linkedFile, protocol)
+        log(chalk.gray(`   Protocol linked from ${plan.linkedFile}`))
+      }
+      // `upgrade` merges from the text installed here
+      await writeSectionBase(baseDir, plan.label, plan.guardianContent)
+      if (plan.existingContent === null) {
+        success(`Created Guardian-only ${plan.label}`)
+      } else {
+        success(`Added Guardian mode to existing ${plan.label}`)
+      }
+    }
 
-${guardianContent}`
+    // Create .proguardian marker file
+    await writeMarker(baseDir, markerContent)
 
-      await secureWriteFile(targetPath, enhancedContent)
-      success(`Added Guardian mode to existing ${targetFilename}`)
-    } else {
-      // No target file exists, suggest running CLI init first
-      warn(`No ${targetFilename} found in this project.`)
-      log()
-      log('Recommended approach:')
-      const cliCommand = cliType === CLI_CLAUDE ? 'claude' : 'gemini'
-      log(`  1. Run ${chalk.cyan(`${cliCommand} init`)} to analyze your project`)
-      log(`  2. Run ${chalk.cyan('proguardian init')} to add Guardian mode`)
-      log()
+    success('Guardian supervision active!')
+    log()
+    log(chalk.cyan('What happened:'))
+    log(`  • Guardian instructions added to ${allPlans.map((plan) => plan.label).join(', ')}`)
+    log('  • Project knowledge preserved')
+    log('  • Quality gates now enforced')
+    log()
+    if (options.user) {
       log(
-        `Or use ${chalk.cyan('proguardian init --force')} to create Guardian-only ${targetFilename}`,
+        chalk.gray(
+          '   User-level Guardian applies to every project; project sections take precedence',
+        ),
       )
+    }
+    log(chalk.green('Guardian is now protecting your codebase! 🛡️'))
 
-      if (!options.force) {
-        return
-      }
+    await runSetupActions(answers, baseDir, _installWrapper)
+  } catch (err) {
+    handleError(err, { exit: true, verbose: options.verbose })
+  }
+}
 
-      // Force create Guardian-only file
-      const templatePath = path.resolve(__dirname, '..', '..', 'templates', targetFilename)
+/**
+ * Removes the Guardian section from a single context file
+ * Only files the marker says init created are deleted; any other file gets back what remains
+ * @param {Object} assistant - Assistant entry from the marker, with createdFile and originalHash
+ * @returns {Promise<string|null>} Description of the change, or null if untouched
+ */
+async function removeGuardianFromFile(targetFilename, baseDir, assistant) {
+  const targetPath = validateSafePath(targetFilename, baseDir)
+  if (!(await securePathExists(targetPath, { baseDir }))) {
+    return null
+  }
 
-      // Ensure template exists (use fs directly for templates)
-      if (!(await fs.pathExists(templatePath))) {
-        throw new Error(`Template file not found: ${targetFilename}`)
-      }
+  const content = await secureReadFile(targetPath, { maxSize: 5 * 1024 * 1024, baseDir })
+  const result = removeGuardianSection(content)
+  if (!result.removed) {
+    return null
+  }
+  await backupFile(baseDir, targetFilename)
+
+  // Files created by `init --force` hold nothing but Guardian, so remove them entirely
+  if (result.guardianOnly && assistant.createdFile) {
+    await secureRemoveFile(targetPath, { baseDir })
+    return `Deleted Guardian-only ${targetFilename}`
+  }
+
+  await secureWriteFile(targetPath, result.content, { baseDir })
+
+  if (assistant.originalHash && hashContent(result.content) === assistant.originalHash) {
+    return `Restored original ${targetFilename}`
+  }
+  return `Removed Guardian section from ${targetFilename}`
+}
+
+export async function uninitCommand(options = {}) {
+  try {
+    // Validate command options
+    validateOptions('uninit', options)
+    startBackupSession()
 
-      // Read template and add Guardian marker
-      const guardianContent = await fs.readFile(templatePath, 'utf-8')
-      const fullContent = `${guardianMarker}\n\n${guardianContent}`
+    const baseDir = options.user ? getUserHome(options.homeDir) : options.baseDir || process.cwd()
+    const markerPath = getMarkerPath(baseDir)
+    const markerData = await readMarkerSafely(baseDir, options.verbose)
 
-      // Write the complete file
-      await secureWriteFile(targetPath, fullContent)
-      success(`Created Guardian-only ${targetFilename}`)
+    // Prefer the files recorded at init time, otherwise inspect every supported assistant
+    const scopes = getMarkerScopes(markerData)
+    if (scopes[0].assistants.length === 0) {
+      scopes[0].assistants = [CLI_CLAUDE, CLI_GEMINI].map((cliType) => ({
+        cliType,
+        ...(options.user && { targetFile: getUserTargetFilename(cliType) }),
+      }))
     }
 
-    // Create .proguardian marker file
-    const markerPath = validateSafePath('.proguardian', baseDir)
-    const markerContent = {
-      version: '0.1.0',
-      initialized: new Date().toISOString(),
-      mode: 'guardian',
-      cliType: cliType,
-      targetFile: targetFilename,
-      enhanced: await securePathExists(targetPath),
+    const changes = []
+    for (const scope of scopes) {
+      for (const assistant of scope.assistants) {
+        const targetFilename = path.posix.join(
+          scope.dir,
+          assistant.targetFile || getTargetFilename(assistant.cliType),
+        )
+        const change = await removeGuardianFromFile(targetFilename, baseDir, assistant)
+        if (change) {
+          changes.push(change)
+        }
+      }
+    }
+
+    if (await securePathExists(markerPath, { baseDir })) {
+      await backupFile(baseDir, MARKER_FILENAME)
+      await secureRemoveFile(markerPath, { baseDir })
+      changes.push('Removed .proguardian marker')
+    }
+    if (await removeSectionBases(baseDir)) {
+      changes.push(`Removed installed section copies in ${SECTION_BASE_DIR}`)
+    }
+    if (await removeLinkedProtocols(baseDir)) {
+      changes.push(`Removed linked protocol files in ${LINKED_PROTOCOL_DIR}`)
     }
 
-    await secureWriteJSON(markerPath, markerContent)
+    if (changes.length === 0) {
+      warn(
+        options.user
+          ? 'User-level Guardian is not installed'
+          : 'Guardian is not active in this project',
+      )
+      return
+    }
 
-    success('Guardian supervision active!')
+    success('Guardian supervision removed')
     log()
-    log(chalk.cyan('What happened:'))
-    log(`  • Guardian instructions added to ${targetFilename}`)
-    log('  • Project knowledge preserved')
-    log('  • Quality gates now enforced')
-    log()
-    log(chalk.green('Guardian is now protecting your codebase! 🛡️'))
+    log(chalk.cyan('What changed:'))
+    for (const change of changes) {
+      log(`  • ${change}`)
+    }
   } catch (err) {
     handleError(err, { exit: true, verbose: options.verbose })
   }
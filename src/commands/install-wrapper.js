@@ -6,12 +6,29 @@ import { checkPermissions } from '../utils/file-security.js'
 import { validateOptions, validateSafePath } from '../utils/validation.js'
 import { handleError, PermissionError } from '../utils/errors.js'
 import fs from 'fs-extra'
-import { log, success, error, warn } from '../utils/logger.js'
+import { log, warn } from '../utils/logger.js'
+import {
+  SEVERITY_ERROR,
+  SEVERITY_OK,
+  SEVERITY_WARNING,
+  recordFile,
+  reportCheck,
+} from '../utils/report.js'
+import { isGuardianWrapper, stampWrapperVersion } from '../utils/wrappers.js'
+import { getCurrentVersion } from '../utils/version-check.js'
 import '../utils/cli-detector.js' // For side effects only
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
-async function installWrapperForCLI(cliName, wrapperName, options) {
+/**
+ * Installs the Guardian wrapper in place of one assistant CLI
+ * @param {string} cliName - Either 'claude' or 'gemini'
+ * @param {string} wrapperName - Wrapper file in src/wrapper
+ * @param {Object} options - { force }
+ * @returns {Promise<boolean>} True if the wrapper is in place, false if the CLI is missing or
+ *   the directory is not writable
+ */
+export async function installWrapperForCLI(cliName, wrapperName, options) {
   try {
     // Find where the CLI is installed
     let cliPath
@@ -37,12 +54,22 @@ async function installWrapperForCLI(cliName, wrapperName, options) {
     if (!(await fs.pathExists(backupPath))) {
       log(chalk.gray(`Backing up original ${cliName} to ${path.basename(backupPath)}`))
       await fs.copy(cliPath, backupPath)
+      recordFile(backupPath)
 
       // Make backup executable
       await fs.chmod(backupPath, '755')
     } else if (!options.force) {
-      warn(`Backup for ${cliName} already exists. Use --force to overwrite.`)
+      reportCheck({
+        id: 'wrapper',
+        severity: SEVERITY_WARNING,
+        message: `Backup for ${cliName} already exists. Use --force to overwrite.`,
+      })
       return true // Already installed
+    } else if (!(await isGuardianWrapper(cliPath))) {
+      // An update of the CLI replaced the wrapper, so its binary becomes the new original
+      log(chalk.gray(`Refreshing ${path.basename(backupPath)} with the updated ${cliName}`))
+      await fs.copy(cliPath, backupPath, { overwrite: true })
+      recordFile(backupPath)
     }
 
     // Install our wrapper
@@ -52,17 +79,28 @@ async function installWrapperForCLI(cliName, wrapperName, options) {
     const wrapperSource = validateSafePath(wrapperPath, projectRoot)
 
     log(chalk.gray(`Installing wrapper to ${path.basename(cliPath)}`))
-    // Copy wrapper to system location
-    await fs.copy(wrapperSource, cliPath, { overwrite: true })
+    // Copy wrapper to system location, stamped so `check` can tell stale wrappers
+    const source = await fs.readFile(wrapperSource, 'utf-8')
+    const version = (await getCurrentVersion()) || 'unknown'
+    await fs.writeFile(cliPath, stampWrapperVersion(source, version))
     await fs.chmod(cliPath, '755')
+    recordFile(cliPath)
 
-    success(`Guardian wrapper installed for ${cliName}!`)
+    reportCheck({
+      id: 'wrapper',
+      severity: SEVERITY_OK,
+      message: `Guardian wrapper installed for ${cliName}!`,
+    })
     log(chalk.gray(`  Original ${cliName} backed up to: ${cliName}-original`))
 
     return true
   } catch (err) {
     if (err instanceof PermissionError) {
-      error(`Permission denied for ${cliName}: ${err.message}`)
+      reportCheck({
+        id: 'wrapper',
+        severity: SEVERITY_ERROR,
+        message: `Permission denied for ${cliName}: ${err.message}`,
+      })
       log()
       warn('Try running with sudo:')
       log(chalk.gray('  sudo proguardian install-wrapper'))
@@ -108,7 +146,11 @@ export async function installWrapper(options = {}) {
 
     // Summary
     if (!claudeInstalled && !geminiInstalled) {
-      error('No AI CLI tools found to wrap')
+      reportCheck({
+        id: 'assistant-cli',
+        severity: SEVERITY_ERROR,
+        message: 'No AI CLI tools found to wrap',
+      })
       log()
       log(chalk.gray('Please install one of the following first:'))
       log(chalk.gray('  Claude Code: npm install -g @anthropic/claude-code'))
@@ -0,0 +1,197 @@
+import path from 'path'
+import chalk from 'chalk'
+import { getTargetFilename } from '../utils/cli-detector.js'
+import { secureReadFile, securePathExists, secureWriteFile } from '../utils/file-security.js'
+import {
+  TEMPLATE_VERSION,
+  renderGuardianSectionBody,
+  upsertGuardianSectionBody,
+} from '../utils/guardian-section.js'
+import {
+  buildMarkerVariables,
+  getMarkerScopes,
+  getMarkerTemplateOptions,
+  readMarker,
+  writeMarker,
+} from '../utils/marker.js'
+import { writeSectionBase } from '../utils/section-base.js'
+import { renderLinkedSectionBody, writeLinkedProtocol } from '../utils/linked-protocol.js'
+import { backupFile, startBackupSession } from '../utils/backups.js'
+import { detectStack } from '../utils/stack-detector.js'
+import { getWorkspaceVariables } from '../utils/workspaces.js'
+import { getScopeVariables } from '../utils/scopes.js'
+import {
+  loadTemplate,
+  renderGuardianTemplate,
+  resolveTemplateVariables,
+} from '../utils/template-compiler.js'
+import { validateCLIType, validateOptions, validateSafePath } from '../utils/validation.js'
+import { handleError } from '../utils/errors.js'
+import { SEVERITY_WARNING, reportCheck } from '../utils/report.js'
+import { log, success } from '../utils/logger.js'
+
+/**
+ * Re-renders one assistant's context file
+ * @param {Object} assistant - Assistant from getMarkerAssistants()
+ * @param {Object} context - Scope context from getScopeContext()
+ * @returns {Promise<{label: string, changed: string|null, sectionHash: string}>} Context file
+ *   relative to the root, the file that changed if any, and the hash of the rendered section
+ */
+export async function renderAssistant(assistant, context) {
+  const { baseDir, rootDir, stack, variables, template, scope } = context
+  const cliType = validateCLIType(assistant.cliType)
+  const targetFilename = assistant.targetFile || getTargetFilename(cliType)
+  const targetPath = validateSafePath(targetFilename, baseDir)
+
+  const guardianContent = await renderGuardianTemplate(
+    cliType,
+    resolveTemplateVariables(stack, variables),
+    { template },
+  )
+  const existingContent = (await securePathExists(targetPath, { baseDir }))
+    ? await secureReadFile(targetPath, { maxSize: 5 * 1024 * 1024, baseDir })
+    : ''
+  const label = path.posix.join(scope, targetFilename)
+  const protocol = renderGuardianSectionBody(guardianContent)
+  const { linkedFile } = assistant
+  // Linked setups keep the import line and re-render the protocol file it points to
+  const updatedContent = upsertGuardianSectionBody(
+    existingContent,
+    linkedFile ? renderLinkedSectionBody(cliType, label, linkedFile) : protocol,
+  )
+  // Rendering replaces the whole section, so it is the new base for `upgrade`
+  const sectionHash = await writeSectionBase(rootDir, label, guardianContent)
+  const linkedChanged = linkedFile
+    ? await writeLinkedProtocol(rootDir, linkedFile, protocol)
+    : false
+
+  if (updatedContent === existingContent) {
+    return { label, changed: linkedChanged ? linkedFile : null, sectionHash }
+  }
+  await backupFile(rootDir, label)
+  await secureWriteFile(targetPath, updatedContent, { baseDir })
+  return { label, changed: label, sectionHash }
+}
+
+/**
+ * Builds the render context of one scope (the root, a workspace package or a directory scope)
+ * Workspace packages render from their own directory, stack and CONTEXT; directory scopes keep
+ * the root's stack and render the template of their own profile
+ * @param {{dir: string, kind: string, profile?: string}} scope - Scope from getMarkerScopes()
+ * @param {Object} context - Root context: { baseDir, stack, variables, template, templateOptions }
+ * @returns {Promise<Object>} Context with `rootDir` and `scope` set
+ */
+export async function getScopeContext(scope, context) {
+  const scopeContext = { ...context, rootDir: context.baseDir, scope: scope.dir }
+  if (scope.dir === '.') {
+    return scopeContext
+  }
+
+  const packageDir = validateSafePath(scope.dir, context.baseDir)
+  if (scope.kind === 'directory') {
+    const { templateOptions } = context
+    return {
+      ...scopeContext,
+      baseDir: packageDir,
+      variables: getScopeVariables(scope.dir, context.stack, context.variables),
+      template: await loadTemplate({
+        ...templateOptions,
+        profile: scope.profile || templateOptions.profile,
+      }),
+    }
+  }
+
+  const stack = await detectStack(packageDir)
+  return {
+    ...scopeContext,
+    baseDir: packageDir,
+    stack,
+    variables: getWorkspaceVariables(scope, stack, context.variables),
+  }
+}
+
+/**
+ * Re-renders every context file in one scope (the root or a workspace package)
+ * @param {Object} sectionHashes - Hashes of the rendered sections, updated in place
+ * @returns {Promise<string[]>} Context files that changed
+ */
+async function renderScope(scope, context, sectionHashes) {
+  const scopeContext = await getScopeContext(scope, context)
+  const rendered = []
+  for (const assistant of scope.assistants) {
+    const { label, changed, sectionHash } = await renderAssistant(assistant, scopeContext)
+    sectionHashes[label] = sectionHash
+    if (changed) {
+      rendered.push(changed)
+    }
+  }
+  return rendered
+}
+
+/**
+ * Re-renders the Guardian sections from the variables stored in .proguardian
+ * Workspace packages recorded by `init --workspaces` are re-rendered too
+ */
+export async function renderCommand(options = {}) {
+  try {
+    // Validate command options
+    validateOptions('render', options)
+    startBackupSession()
+
+    const baseDir = options.baseDir || process.cwd()
+    const markerData = await readMarker(baseDir)
+    if (!markerData) {
+      reportCheck({
+        id: 'marker',
+        severity: SEVERITY_WARNING,
+        message: 'Guardian is not initialized in this project',
+        remediation: 'Run: proguardian init',
+      })
+      return
+    }
+
+    // Re-detect the stack for the CONTEXT section; configured variables still win
+    const stack = await detectStack(baseDir)
+    const variables = buildMarkerVariables(markerData.variables, stack)
+    const templateOptions = getMarkerTemplateOptions(markerData, baseDir)
+    const template = await loadTemplate(templateOptions)
+    const context = { baseDir, stack, variables, template, templateOptions }
+
+    const rendered = []
+    const sectionHashes = { ...markerData.sectionHashes }
+    for (const scope of getMarkerScopes(markerData)) {
+      rendered.push(...(await renderScope(scope, context, sectionHashes)))
+    }
+
+    // Markers written before sectionHashes existed get them on the next render
+    const hashesChanged =
+      JSON.stringify(sectionHashes) !== JSON.stringify(markerData.sectionHashes ?? {})
+    if (rendered.length === 0 && !hashesChanged) {
+      success('Guardian sections are already up to date')
+      return
+    }
+
+    await writeMarker(baseDir, {
+      ...markerData,
+      templateVersion: TEMPLATE_VERSION,
+      rendered: new Date().toISOString(),
+      template: { source: template.source, path: template.path, hash: template.hash },
+      sectionHashes,
+      variables,
+    })
+
+    for (const targetFilename of rendered) {
+      success(`Re-rendered Guardian section in ${targetFilename}`)
+    }
+    if (rendered.length === 0) {
+      success('Guardian sections are up to date; recorded their hashes in .proguardian')
+    }
+    if (options.verbose) {
+      for (const [name, value] of Object.entries(variables)) {
+        log(chalk.gray(`   ${name}: ${JSON.stringify(value)}`))
+      }
+    }
+  } catch (err) {
+    handleError(err, { exit: true, verbose: options.verbose })
+  }
+}
@@ -0,0 +1,77 @@
+import chalk from 'chalk'
+import {
+  BACKUP_DIR,
+  findBackup,
+  listBackups,
+  restoreBackup,
+  startBackupSession,
+} from '../utils/backups.js'
+import { validateOptions } from '../utils/validation.js'
+import { handleError, ValidationError } from '../utils/errors.js'
+import { SEVERITY_WARNING, reportCheck } from '../utils/report.js'
+import { log, success } from '../utils/logger.js'
+
+/**
+ * Prints every backup session, newest first
+ */
+function listSessions(sessions) {
+  log(chalk.cyan(`Guardian backups in ${BACKUP_DIR}:`))
+  for (const session of sessions) {
+    log()
+    log(`  ${chalk.bold(session.created || session.id)}`)
+    for (const file of session.files) {
+      const note = file.existed ? '' : chalk.gray(' (did not exist)')
+      log(`    • ${file.path}${note}`)
+    }
+  }
+  log()
+  log(chalk.gray('   Run: proguardian restore --at <timestamp>'))
+}
+
+/**
+ * Rolls Guardian files back to a backup session
+ * Without --at the newest session is restored, undoing the last command that wrote files
+ */
+export async function restoreCommand(options = {}) {
+  try {
+    // Validate command options
+    validateOptions('restore', options)
+    startBackupSession()
+
+    const baseDir = options.baseDir || process.cwd()
+    const sessions = await listBackups(baseDir)
+    if (sessions.length === 0) {
+      reportCheck({
+        id: 'backups',
+        severity: SEVERITY_WARNING,
+        message: 'No Guardian backups found in this project',
+      })
+      return { restored: [] }
+    }
+
+    if (options.list) {
+      listSessions(sessions)
+      return { restored: [] }
+    }
+
+    const session = options.at ? findBackup(sessions, options.at) : sessions[0]
+    if (!session) {
+      throw new ValidationError(
+        'timestamp',
+        'Must match one backup listed by proguardian restore --list',
+        options.at,
+      )
+    }
+
+    const restored = await restoreBackup(baseDir, session)
+    success(`Restored Guardian files from ${session.created || session.id}`)
+    for (const change of restored) {
+      const action = change.action === 'restored' ? 'Restored' : 'Removed'
+      log(`  • ${action} ${change.path}`)
+    }
+    log(chalk.gray('   The replaced files were backed up too; run proguardian restore to undo'))
+    return { restored }
+  } catch (err) {
+    handleError(err, { exit: true, verbose: options.verbose })
+  }
+}
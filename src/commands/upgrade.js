@@ -0,0 +1,265 @@
+import path from 'path'
+import chalk from 'chalk'
+import { getTargetFilename } from '../utils/cli-detector.js'
+import { secureReadFile, securePathExists, secureWriteFile } from '../utils/file-security.js'
+import {
+  TEMPLATE_VERSION,
+  findGuardianSection,
+  renderGuardianSectionBody,
+  replaceGuardianSectionBody,
+} from '../utils/guardian-section.js'
+import {
+  MARKER_FILENAME,
+  buildMarkerVariables,
+  getMarkerScopes,
+  getMarkerTemplateOptions,
+  readMarker,
+  writeMarker,
+} from '../utils/marker.js'
+import { mergeThreeWay } from '../utils/merge.js'
+import { readSectionBase, writeSectionBase } from '../utils/section-base.js'
+import { readLinkedProtocol } from '../utils/linked-protocol.js'
+import { backupFile, startBackupSession } from '../utils/backups.js'
+import { detectStack } from '../utils/stack-detector.js'
+import {
+  loadTemplate,
+  renderGuardianTemplate,
+  resolveTemplateVariables,
+} from '../utils/template-compiler.js'
+import { colorizeDiff, createUnifiedDiff } from '../utils/diff.js'
+import { validateCLIType, validateOptions, validateSafePath } from '../utils/validation.js'
+import { handleError } from '../utils/errors.js'
+import { SEVERITY_ERROR, SEVERITY_WARNING, reportCheck } from '../utils/report.js'
+import { log, success, warn } from '../utils/logger.js'
+import { getScopeContext } from './render.js'
+
+/**
+ * Plans the upgrade of a linked protocol file from `init --link`
+ * The protocol file is merged like an inline section; the context file keeps its import line and
+ * only records the new version
+ * @returns {Promise<Array>} Planned writes, empty when the protocol file is missing
+ */
+async function planLinkedUpgrade(assistant, plan, merge) {
+  const { rootDir } = merge
+  const local = await readLinkedProtocol(rootDir, assistant.linkedFile)
+  if (local === null) {
+    warn(`${assistant.linkedFile} not found, skipping`)
+    log(chalk.gray('   Run: proguardian render'))
+    return []
+  }
+
+  const merged = mergeThreeWay(merge.base, local, merge.incoming, merge.labels)
+  const section = findGuardianSection(plan.existingContent)
+  return [
+    {
+      ...plan,
+      updatedContent: replaceGuardianSectionBody(plan.existingContent, section.body),
+      guardianContent: null,
+      conflicts: 0,
+    },
+    {
+      label: assistant.linkedFile,
+      targetPath: validateSafePath(assistant.linkedFile, rootDir),
+      existingContent: local,
+      updatedContent: merged.content,
+      guardianContent: plan.guardianContent,
+      // The installed copy is kept per context file
+      baseLabel: plan.label,
+      conflicts: merged.conflicts,
+    },
+  ]
+}
+
+/**
+ * Plans the upgrade of one assistant's context file
+ * The section is merged three ways: the text installed last time, the local section and the
+ * newly rendered template
+ * @returns {Promise<Array>} Planned writes, empty when the file cannot be upgraded
+ */
+async function planUpgrade(assistant, context) {
+  const { baseDir, rootDir, stack, variables, template, scope } = context
+  const cliType = validateCLIType(assistant.cliType)
+  const targetFilename = assistant.targetFile || getTargetFilename(cliType)
+  const targetPath = validateSafePath(targetFilename, baseDir)
+  const label = path.posix.join(scope, targetFilename)
+
+  if (!(await securePathExists(targetPath, { baseDir }))) {
+    warn(`${label} not found, skipping`)
+    log(chalk.gray('   Run: proguardian render'))
+    return []
+  }
+
+  const existingContent = await secureReadFile(targetPath, { maxSize: 5 * 1024 * 1024, baseDir })
+  const section = findGuardianSection(existingContent)
+  if (!section || section.legacy) {
+    // Legacy sections have no end marker, so there is no bounded text to merge into
+    warn(`${label} has no bounded Guardian section, skipping`)
+    log(chalk.gray('   Run: proguardian init'))
+    return []
+  }
+
+  const guardianContent = await renderGuardianTemplate(
+    cliType,
+    resolveTemplateVariables(stack, variables),
+    { template },
+  )
+  const base = await readSectionBase(rootDir, label)
+  if (base === null) {
+    warn(`No installed copy of ${label} was recorded; every difference will be a conflict`)
+  }
+
+  const labels = { local: 'local', incoming: `proguardian v${TEMPLATE_VERSION}` }
+  const incoming = renderGuardianSectionBody(guardianContent)
+  const plan = { label, targetPath, existingContent, guardianContent }
+  if (assistant.linkedFile) {
+    return planLinkedUpgrade(assistant, plan, { rootDir, base: base ?? '', incoming, labels })
+  }
+
+  const merged = mergeThreeWay(base ?? '', section.body, incoming, labels)
+  return [
+    {
+      ...plan,
+      updatedContent: replaceGuardianSectionBody(existingContent, merged.content),
+      conflicts: merged.conflicts,
+    },
+  ]
+}
+
+/**
+ * Prints what an upgrade would change without touching disk
+ * @returns {{pendingChanges: boolean, conflicts: number}}
+ */
+function previewUpgrade(plans, conflicts) {
+  let pendingChanges = false
+
+  for (const plan of plans) {
+    const diff = createUnifiedDiff(plan.existingContent, plan.updatedContent, {
+      oldLabel: `a/${plan.label}`,
+      newLabel: `b/${plan.label}`,
+    })
+    if (!diff) {
+      success(`${plan.label} is up to date`)
+      continue
+    }
+    pendingChanges = true
+    log(colorizeDiff(diff))
+    if (plan.conflicts > 0) {
+      reportCheck({
+        id: 'upgrade-conflicts',
+        severity: SEVERITY_WARNING,
+        message: `${plan.label} would have ${plan.conflicts} conflict(s)`,
+        file: plan.label,
+      })
+    }
+  }
+
+  log()
+  if (pendingChanges) {
+    reportCheck({
+      id: 'pending-changes',
+      severity: SEVERITY_WARNING,
+      message: 'Dry run: upgrade pending, nothing was written',
+      remediation: 'Run: proguardian upgrade',
+    })
+  } else {
+    success('Dry run: Guardian sections are already up to date')
+  }
+  return { pendingChanges, conflicts }
+}
+
+/**
+ * Upgrades the Guardian sections to the current template without losing local edits
+ * Conflicting edits are left inline between git-style markers for the user to resolve
+ */
+export async function upgradeCommand(options = {}) {
+  try {
+    // Validate command options
+    validateOptions('upgrade', options)
+    startBackupSession()
+
+    const baseDir = options.baseDir || process.cwd()
+    const markerData = await readMarker(baseDir)
+    if (!markerData) {
+      reportCheck({
+        id: 'marker',
+        severity: SEVERITY_WARNING,
+        message: 'Guardian is not initialized in this project',
+        remediation: 'Run: proguardian init',
+      })
+      return
+    }
+
+    const stack = await detectStack(baseDir)
+    const variables = buildMarkerVariables(markerData.variables, stack)
+    const templateOptions = getMarkerTemplateOptions(markerData, baseDir)
+    const template = await loadTemplate(templateOptions)
+    const context = { baseDir, stack, variables, template, templateOptions }
+
+    const plans = []
+    for (const scope of getMarkerScopes(markerData)) {
+      const scopeContext = await getScopeContext(scope, context)
+      for (const assistant of scope.assistants) {
+        plans.push(...(await planUpgrade(assistant, scopeContext)))
+      }
+    }
+    const conflicts = plans.reduce((total, plan) => total + plan.conflicts, 0)
+
+    if (options.dryRun) {
+      return previewUpgrade(plans, conflicts)
+    }
+
+    const changed = plans.filter((plan) => plan.updatedContent !== plan.existingContent)
+    const previousVersion = markerData.templateVersion
+    if (changed.length === 0 && previousVersion === TEMPLATE_VERSION) {
+      success('Guardian sections are already up to date')
+      return { conflicts: 0 }
+    }
+
+    const sectionHashes = { ...markerData.sectionHashes }
+    for (const plan of plans) {
+      if (plan.updatedContent !== plan.existingContent) {
+        await backupFile(baseDir, plan.label)
+        await secureWriteFile(plan.targetPath, plan.updatedContent, { baseDir })
+      }
+      // The new template is the base of the next upgrade, conflicts or not; local edits the
+      // merge kept still count as local edits for `check`
+      if (plan.guardianContent) {
+        const label = plan.baseLabel || plan.label
+        sectionHashes[label] = await writeSectionBase(baseDir, label, plan.guardianContent)
+      }
+    }
+
+    await writeMarker(baseDir, {
+      ...markerData,
+      templateVersion: TEMPLATE_VERSION,
+      upgraded: new Date().toISOString(),
+      template: { source: template.source, path: template.path, hash: template.hash },
+      sectionHashes,
+      variables,
+    })
+
+    for (const plan of changed) {
+      if (plan.conflicts > 0) {
+        reportCheck({
+          id: 'upgrade-conflicts',
+          severity: SEVERITY_ERROR,
+          message: `${plan.label}: ${plan.conflicts} conflict(s) between local edits and the new template`,
+          remediation: 'Resolve the <<<<<<< / >>>>>>> markers, then run: proguardian check',
+          file: plan.label,
+        })
+      } else {
+        success(`Upgraded Guardian section in ${plan.label}`)
+      }
+    }
+    success(`${MARKER_FILENAME} now records template v${TEMPLATE_VERSION}`)
+
+    if (conflicts > 0) {
+      log()
+      warn('Resolve the conflicts between the <<<<<<< and >>>>>>> markers, then run:')
+      log(chalk.gray('   proguardian check'))
+    }
+    return { conflicts }
+  } catch (err) {
+    handleError(err, { exit: true, verbose: options.verbose })
+  }
+}
@@ -15,8 +15,9 @@
  */
 
 // Main entry point for @proguardian/cli
-export { initCommand } from './commands/init.js'
+export { initCommand, uninitCommand } from './commands/init.js'
 export { checkCommand } from './commands/check.js'
+export { renderCommand } from './commands/render.js'
 
 // Version
 export const VERSION = '0.1.0'
@@ -0,0 +1,213 @@
+/**
+ * Backup store for ProGuardian CLI
+ * Every command that writes Guardian files first copies them into a timestamped session so a bad
+ * `init --force` or `upgrade` can be rolled back with `proguardian restore`
+ */
+
+import path from 'path'
+import {
+  secureCopyFile,
+  secureReadDir,
+  secureReadJSON,
+  secureRemoveFile,
+  securePathExists,
+  secureWriteFile,
+  secureWriteJSON,
+} from './file-security.js'
+import { recordFile } from './report.js'
+import { validateSafePath } from './validation.js'
+
+export const BACKUP_DIR = '.proguardian.d/backups'
+
+// Sessions kept per project; older ones are pruned when a new session starts
+export const MAX_BACKUP_SESSIONS = 20
+
+const MANIFEST_FILENAME = 'manifest.json'
+const FILES_DIR = 'files'
+
+// Backups are local history and never belong in version control
+const BACKUP_GITIGNORE = '# Created by proguardian\n*\n'
+
+let currentSession = null
+
+/**
+ * Converts a date to a filesystem-safe session id such as `2026-10-19T12-30-45-123Z`
+ * @param {Date} date - Session start
+ * @returns {string} Session id
+ */
+export function toBackupId(date) {
+  return date.toISOString().replace(/[:.]/g, '-')
+}
+
+/**
+ * Starts a backup session; every file backed up until the next session shares its timestamp
+ * Commands start one per run so `restore` undoes a whole command at once
+ * @param {Date} date - Session start, now by default
+ * @returns {string} Session id
+ */
+export function startBackupSession(date = new Date()) {
+  // Two commands within the same millisecond must not share a session
+  const time = currentSession ? Math.max(date.getTime(), currentSession.time + 1) : date.getTime()
+  const created = new Date(time)
+  currentSession = { id: toBackupId(created), created: created.toISOString(), time, pruned: false }
+  return currentSession.id
+}
+
+/**
+ * Reads a session manifest, returning null for a new or damaged session
+ */
+async function readManifest(baseDir, id) {
+  const manifestPath = validateSafePath(path.posix.join(BACKUP_DIR, id, MANIFEST_FILENAME), baseDir)
+  if (!(await securePathExists(manifestPath, { baseDir }))) {
+    return null
+  }
+  try {
+    return await secureReadJSON(manifestPath, { baseDir })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Lists the backup sessions of a project
+ * @param {string} baseDir - Project root
+ * @returns {Promise<Array<{id: string, created: string, files: Array}>>} Sessions, newest first
+ */
+export async function listBackups(baseDir) {
+  const storePath = validateSafePath(BACKUP_DIR, baseDir)
+  if (!(await securePathExists(storePath, { baseDir }))) {
+    return []
+  }
+
+  const sessions = []
+  const entries = await secureReadDir(storePath, { withFileTypes: true, baseDir })
+  for (const entry of entries.filter((item) => item.isDirectory())) {
+    const manifest = await readManifest(baseDir, entry.name)
+    if (manifest && Array.isArray(manifest.files)) {
+      sessions.push({ id: entry.name, created: manifest.created, files: manifest.files })
+    }
+  }
+  return sessions.sort((a, b) => b.id.localeCompare(a.id))
+}
+
+/**
+ * Removes all but the newest backup sessions
+ * @param {string} baseDir - Project root
+ * @param {number} keep - Sessions to keep
+ * @param {string} retain - Session id that is never removed
+ * @returns {Promise<number>} Sessions removed
+ */
+export async function pruneBackups(baseDir, keep = MAX_BACKUP_SESSIONS, retain = null) {
+  const sessions = await listBackups(baseDir)
+  const expired = sessions.slice(Math.max(keep, 0)).filter((session) => session.id !== retain)
+  for (const session of expired) {
+    const sessionPath = validateSafePath(path.posix.join(BACKUP_DIR, session.id), baseDir)
+    await secureRemoveFile(sessionPath, { baseDir })
+  }
+  return expired.length
+}
+
+/**
+ * Creates the store's .gitignore and prunes old sessions, once per session
+ */
+async function prepareStore(baseDir, session) {
+  if (session.pruned) {
+    return
+  }
+  const gitignorePath = validateSafePath(path.posix.join(BACKUP_DIR, '.gitignore'), baseDir)
+  if (!(await securePathExists(gitignorePath, { baseDir }))) {
+    await secureWriteFile(gitignorePath, BACKUP_GITIGNORE, { baseDir })
+  }
+  await pruneBackups(baseDir, MAX_BACKUP_SESSIONS - 1, session.retain)
+  session.pruned = true
+}
+
+/**
+ * Saves the current state of a file or directory before Guardian changes it
+ * Only the first backup of a path per session is kept, so a session holds the state before
+ * the command ran. Paths that do not exist yet are recorded so `restore` removes them again.
+ * @param {string} baseDir - Project root
+ * @param {string} relativePath - Path relative to the root, e.g. `CLAUDE.md` or `.proguardian`
+ */
+export async function backupFile(baseDir, relativePath) {
+  // Every path is backed up right before it is written or removed
+  recordFile(relativePath, baseDir)
+  if (!currentSession) {
+    startBackupSession()
+  }
+  const session = currentSession
+  const manifest = (await readManifest(baseDir, session.id)) || {
+    created: session.created,
+    files: [],
+  }
+  if (manifest.files.some((file) => file.path === relativePath)) {
+    return
+  }
+  await prepareStore(baseDir, session)
+
+  const sourcePath = validateSafePath(relativePath, baseDir)
+  const existed = await securePathExists(sourcePath, { baseDir })
+  if (existed) {
+    const copyPath = validateSafePath(
+      path.posix.join(BACKUP_DIR, session.id, FILES_DIR, relativePath),
+      baseDir,
+    )
+    await secureCopyFile(sourcePath, copyPath, { overwrite: true, baseDir })
+  }
+
+  manifest.files.push({ path: relativePath, existed })
+  await secureWriteJSON(
+    validateSafePath(path.posix.join(BACKUP_DIR, session.id, MANIFEST_FILENAME), baseDir),
+    manifest,
+    { baseDir },
+  )
+}
+
+/**
+ * Finds a session by id or by the ISO timestamp shown in `restore --list`
+ * @param {Array} sessions - Result of listBackups()
+ * @param {string} timestamp - Session id, ISO timestamp, or a unique prefix of either
+ * @returns {Object|null} Matching session, or null when none or several match
+ */
+export function findBackup(sessions, timestamp) {
+  const id = timestamp.replace(/[:.]/g, '-')
+  const exact = sessions.find((session) => session.id === id)
+  if (exact) {
+    return exact
+  }
+  const matches = sessions.filter((session) => session.id.startsWith(id))
+  return matches.length === 1 ? matches[0] : null
+}
+
+/**
+ * Restores every file of a backup session
+ * The current state is backed up into the active session first, so a restore can be undone too
+ * @param {string} baseDir - Project root
+ * @param {Object} session - Session from listBackups()
+ * @returns {Promise<Array<{path: string, action: 'restored'|'removed'}>>} Changes made
+ */
+export async function restoreBackup(baseDir, session) {
+  if (!currentSession) {
+    startBackupSession()
+  }
+  // Pruning for the new session must not delete the one being restored
+  currentSession.retain = session.id
+
+  const changes = []
+  // Later entries may be directories holding earlier ones; the earliest backup wins
+  for (const file of [...session.files].reverse()) {
+    await backupFile(baseDir, file.path)
+    const targetPath = validateSafePath(file.path, baseDir)
+    await secureRemoveFile(targetPath, { baseDir })
+
+    if (file.existed) {
+      const copyPath = validateSafePath(
+        path.posix.join(BACKUP_DIR, session.id, FILES_DIR, file.path),
+        baseDir,
+      )
+      await secureCopyFile(copyPath, targetPath, { baseDir })
+    }
+    changes.push({ path: file.path, action: file.existed ? 'restored' : 'removed' })
+  }
+  return changes.reverse()
+}
@@ -3,6 +3,7 @@ import chalk from 'chalk'
 import { validateCLIType } from './validation.js'
 import { ValidationError } from './errors.js'
 import { log, success, error, warn } from './logger.js'
+import { isJSONReport } from './report.js'
 
 // CLI type constants
 export const CLI_CLAUDE = 'claude'
@@ -108,8 +109,8 @@ export async function promptForCLIAsync(available) {
     options.push({ choice: '2', value: CLI_GEMINI })
   }
 
-  // If not in TTY mode, default to first available
-  if (!process.stdin.isTTY) {
+  // If not in TTY mode, or nobody reads the prompt with --json, default to first available
+  if (!process.stdin.isTTY || isJSONReport()) {
     log('\nPlease enter your choice (1 or 2): ')
     const defaultChoice = options[0].value
     log(chalk.gray(`Non-interactive mode detected. Defaulting to ${defaultChoice}...`))
@@ -189,3 +190,51 @@ export async function determineCLI(options) {
   // If both are available, prompt user
   return promptForCLIAsync(available)
 }
+
+/**
+ * Parses a comma-separated CLI list such as "claude,gemini"
+ * @param {string} value - CLI list
+ * @returns {string[]} Unique, validated CLI types in the given order
+ */
+export function parseCLIList(value) {
+  const cliTypes = String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => validateCLIType(item))
+
+  return [...new Set(cliTypes)]
+}
+
+/**
+ * Determines every CLI to configure, supporting `--cli a,b` and `--all-detected`
+ * @param {Object} options - Command options with cli and allDetected flags
+ * @param {Function} determineSingle - Fallback used when a single CLI is requested
+ * @returns {Promise<string[]>} Selected CLI types, empty if none available
+ */
+export async function determineCLIs(options, determineSingle = determineCLI) {
+  if (options.cli && options.cli.includes(',')) {
+    try {
+      return parseCLIList(options.cli)
+    } catch {
+      error(`Invalid CLI list: ${options.cli}`)
+      warn('Valid options are: claude, gemini')
+      return []
+    }
+  }
+
+  if (options.allDetected && !options.cli) {
+    const available = await detectCLI()
+    const detected = [CLI_CLAUDE, CLI_GEMINI].filter((cliType) => available[cliType])
+    if (detected.length === 0) {
+      error('No AI CLI tools detected.')
+      log(`\nUse ${chalk.cyan('--cli claude,gemini')} to configure assistants explicitly.`)
+      return []
+    }
+    success(`Detected ${detected.join(', ')}`)
+    return detected
+  }
+
+  const cliType = await determineSingle(options)
+  return cliType ? [cliType] : []
+}
@@ -0,0 +1,288 @@
+/**
+ * Diagnostics utilities for ProGuardian CLI
+ * `proguardian doctor` collects everything we would otherwise ask for one message at a time when
+ * Guardian misbehaves on someone's machine
+ */
+
+import os from 'os'
+import path from 'path'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import fs from 'fs-extra'
+import which from 'which'
+import { CLI_CLAUDE, CLI_GEMINI, getTargetFilename } from './cli-detector.js'
+import { PathTraversalError, redactDiagnostics } from './errors.js'
+import { secureReadFile, securePathExists } from './file-security.js'
+import { findGuardianSection, TEMPLATE_VERSION } from './guardian-section.js'
+import { getMarkerScopes, MARKER_FILENAME } from './marker.js'
+import { MARKER_SCHEMA, validateSafePath, validateSchema } from './validation.js'
+import { getCurrentVersion, inspectUpdateCache } from './version-check.js'
+import { findAllOnPath, inspectWrapper } from './wrappers.js'
+
+// `npm prefix --global` should answer well within this
+const NPM_TIMEOUT = 10000
+
+// Same limit check and render read context files with
+const MAX_FILE_SIZE = 5 * 1024 * 1024
+
+/**
+ * Gets the directory global npm packages and their binaries are installed under
+ * @returns {Promise<string|null>} Prefix such as `/usr/local`, or null when npm is unavailable
+ */
+export async function getNpmPrefix() {
+  try {
+    const { stdout } = await promisify(execFile)('npm', ['prefix', '--global'], {
+      timeout: NPM_TIMEOUT,
+      shell: process.platform === 'win32',
+    })
+    return stdout.trim() || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Resolves symlinks, e.g. from `/usr/local/bin/claude` into the package that installed it
+ */
+async function realpathOrNull(filePath) {
+  try {
+    return await fs.realpath(filePath)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Describes the binary an assistant command resolves to and the vendor binary kept next to it
+ */
+async function describeBinary(cliType, whichFn) {
+  const wrapper = await inspectWrapper(cliType, whichFn)
+  const original = wrapper.originalPath && {
+    path: wrapper.originalPath,
+    exists: wrapper.hasOriginal,
+    realpath: wrapper.hasOriginal ? await realpathOrNull(wrapper.originalPath) : null,
+  }
+  return {
+    cliType,
+    path: wrapper.cliPath,
+    realpath: wrapper.cliPath && (await realpathOrNull(wrapper.cliPath)),
+    isWrapper: wrapper.isWrapper,
+    wrapperVersion: wrapper.version,
+    onPath: await findAllOnPath(cliType),
+    original,
+  }
+}
+
+/**
+ * Reads a project file, refusing paths and symlinks that lead outside the project
+ * The paths come from the marker, which doctor cannot trust
+ * @returns {Promise<string|null>} Content, or null when the file does not exist
+ */
+async function readProjectFile(baseDir, file) {
+  const filePath = validateSafePath(file, baseDir)
+  if (!(await securePathExists(filePath, { baseDir }))) {
+    return null
+  }
+  const relative = path.relative(await fs.realpath(baseDir), await fs.realpath(filePath))
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new PathTraversalError(file)
+  }
+  return secureReadFile(filePath, { maxSize: MAX_FILE_SIZE, baseDir })
+}
+
+/**
+ * Reads the marker as it is on disk, with the fields that break its schema
+ */
+async function describeMarker(baseDir) {
+  let text
+  try {
+    text = await readProjectFile(baseDir, MARKER_FILENAME)
+  } catch (err) {
+    return {
+      file: MARKER_FILENAME,
+      exists: true,
+      readable: false,
+      valid: false,
+      error: err.message,
+    }
+  }
+  if (text === null) {
+    return { file: MARKER_FILENAME, exists: false }
+  }
+
+  let content
+  try {
+    content = JSON.parse(text)
+  } catch (err) {
+    return {
+      file: MARKER_FILENAME,
+      exists: true,
+      readable: true,
+      valid: false,
+      error: err.message,
+      content: text,
+    }
+  }
+  const { errors, unknown } = validateSchema(content, MARKER_SCHEMA)
+  return {
+    file: MARKER_FILENAME,
+    exists: true,
+    readable: true,
+    valid: errors.length === 0,
+    errors,
+    unknown,
+    content,
+  }
+}
+
+/**
+ * Lists the context files the marker configures, or the root ones without a usable marker
+ */
+function listContextFiles(markerData) {
+  if (!markerData) {
+    return [CLI_CLAUDE, CLI_GEMINI].map(getTargetFilename)
+  }
+  return getMarkerScopes(markerData).flatMap((scope) =>
+    scope.assistants.map((assistant) =>
+      path.posix.join(scope.dir, assistant.targetFile || getTargetFilename(assistant.cliType)),
+    ),
+  )
+}
+
+/**
+ * Reads the protocol version of the Guardian section in a context file
+ */
+async function describeSection(baseDir, file) {
+  let content
+  try {
+    content = await readProjectFile(baseDir, file)
+  } catch (err) {
+    return { file, exists: true, hasSection: false, error: err.message }
+  }
+  const section = findGuardianSection(content)
+  return {
+    file,
+    exists: content !== null,
+    hasSection: section !== null,
+    version: section?.version ?? null,
+    legacy: Boolean(section?.legacy),
+  }
+}
+
+/**
+ * Compares the bundled protocol version with the one the marker records and each context file has
+ */
+async function describeTemplates(baseDir, marker) {
+  const markerData = marker.valid ? marker.content : null
+  const sections = []
+  for (const file of listContextFiles(markerData)) {
+    sections.push(await describeSection(baseDir, file))
+  }
+  return {
+    bundled: TEMPLATE_VERSION,
+    recorded: markerData?.templateVersion ?? null,
+    template: markerData?.template ?? null,
+    sections,
+  }
+}
+
+/**
+ * Describes the mode, owner and access of a directory Guardian reads or writes
+ */
+async function describeDirectory(dir) {
+  const canAccess = (mode) =>
+    fs.access(dir, mode).then(
+      () => true,
+      () => false,
+    )
+  try {
+    const stats = await fs.stat(dir)
+    return {
+      path: dir,
+      exists: true,
+      mode: (stats.mode & 0o777).toString(8),
+      uid: stats.uid,
+      readable: await canAccess(fs.constants.R_OK),
+      writable: await canAccess(fs.constants.W_OK),
+    }
+  } catch {
+    return { path: dir, exists: false }
+  }
+}
+
+/**
+ * Collects the environment, binaries, marker, templates, update check and permissions
+ * @param {Object} options - Options
+ * @param {string} options.baseDir - Project directory
+ * @param {Function} options.which - Lookup function, replaceable in tests
+ * @param {Function} options.npmPrefix - Returns the npm global prefix, replaceable in tests
+ * @returns {Promise<Object>} Diagnostics, see `proguardian doctor`
+ */
+export async function collectDiagnostics(options = {}) {
+  const { baseDir = process.cwd(), which: whichFn = which, npmPrefix = getNpmPrefix } = options
+  const prefix = await npmPrefix()
+  const binaries = []
+  for (const cliType of [CLI_CLAUDE, CLI_GEMINI]) {
+    binaries.push(await describeBinary(cliType, whichFn))
+  }
+  const marker = await describeMarker(baseDir)
+
+  // The project, the binary directories install-wrapper writes to and the update check cache
+  const dirs = new Set([
+    baseDir,
+    path.join(baseDir, '.proguardian.d'),
+    ...binaries.filter((binary) => binary.path).map((binary) => path.dirname(binary.path)),
+    ...[prefix].filter(Boolean).map((dir) => path.join(dir, 'bin')),
+    os.tmpdir(),
+  ])
+
+  return {
+    generated: new Date().toISOString(),
+    proguardian: await getCurrentVersion(),
+    node: process.version,
+    platform: `${process.platform} ${os.release()} ${process.arch}`,
+    path: (process.env.PATH || '').split(path.delimiter).filter(Boolean),
+    npmPrefix: prefix,
+    binaries,
+    marker,
+    templates: await describeTemplates(baseDir, marker),
+    updateCheck: await inspectUpdateCache(),
+    permissions: await Promise.all([...dirs].map(describeDirectory)),
+  }
+}
+
+// Fields that hold sha256 digests of Guardian text; they show template drift and hide nothing
+const HASH_FIELDS = new Set(['hash', 'originalHash'])
+const SHA256 = /^[a-f0-9]{64}$/
+
+/**
+ * Redacts one value of the bundle, keeping sha256 digests in known hash fields
+ */
+function redactValue(value, homeDir, isHash = false) {
+  if (typeof value === 'string') {
+    return isHash && SHA256.test(value) ? value : redactDiagnostics(value, homeDir)
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, homeDir))
+  }
+  if (value && typeof value === 'object') {
+    // sectionHashes maps each context file to the digest of its installed section
+    const hashes = (key) => isHash || HASH_FIELDS.has(key) || key === 'sectionHashes'
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactValue(item, homeDir, hashes(key))]),
+    )
+  }
+  return value
+}
+
+/**
+ * Redacts collected diagnostics so they can be attached to a public issue
+ * Every string goes through redactDiagnostics(), including the marker's variables, except the
+ * sha256 digests in hash fields such as `sectionHashes` and `template.hash`
+ * @param {Object} diagnostics - Result of collectDiagnostics()
+ * @param {string} homeDir - Home directory to hide
+ * @returns {Object} Redacted copy
+ */
+export function redactBundle(diagnostics, homeDir = os.homedir()) {
+  return redactValue(JSON.parse(JSON.stringify(diagnostics)), homeDir)
+}
@@ -0,0 +1,173 @@
+/**
+ * Line diff utilities for ProGuardian CLI
+ * Implements Myers' O(ND) diff and renders git-style unified diffs
+ */
+
+import chalk from 'chalk'
+
+const DEFAULT_CONTEXT = 3
+const NO_NEWLINE = '\\ No newline at end of file'
+
+/**
+ * Splits text into lines, keeping each line's terminator
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines including '\n' where present
+ */
+export function splitLines(text) {
+  if (!text) return []
+  return text.split(/(?<=\n)/)
+}
+
+/**
+ * Whether the furthest path on diagonal k is reached by moving down (an insertion)
+ */
+function movesDown(v, offset, k, d) {
+  return k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+}
+
+/**
+ * Runs the forward pass of Myers' algorithm, recording V for each edit distance
+ */
+function shortestEditTrace(a, b) {
+  const max = a.length + b.length
+  const offset = max + 1
+  const v = new Array(2 * max + 3).fill(0)
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = movesDown(v, offset, k, d) ? v[offset + k + 1] : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= a.length && y >= b.length) return { trace, offset }
+    }
+  }
+  return { trace, offset }
+}
+
+/**
+ * Computes the line operations that turn `a` into `b`
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>} Edit script
+ */
+export function diffLines(a, b) {
+  const { trace, offset } = shortestEditTrace(a, b)
+  const ops = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]
+    const k = x - y
+    const prevK = movesDown(v, offset, k, d) ? k + 1 : k - 1
+    const prevX = v[offset + prevK]
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[--x] })
+      y--
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: 'insert', line: b[--y] } : { type: 'delete', line: a[--x] })
+    }
+  }
+
+  return ops.reverse()
+}
+
+/**
+ * Groups changed operations into hunks with surrounding context
+ */
+function groupHunks(ops, context) {
+  const changes = ops.flatMap((op, index) => (op.type === 'equal' ? [] : [index]))
+  const groups = []
+
+  for (const index of changes) {
+    const last = groups[groups.length - 1]
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index
+    } else {
+      groups.push({ start: index, end: index })
+    }
+  }
+
+  return groups.map((group) => ({
+    start: Math.max(0, group.start - context),
+    end: Math.min(ops.length - 1, group.end + context),
+  }))
+}
+
+/**
+ * Formats a single diff line, flagging a missing trailing newline like git does
+ */
+function formatLine(prefix, line) {
+  return line.endsWith('\n') ? `${prefix}${line.slice(0, -1)}` : `${prefix}${line}\n${NO_NEWLINE}`
+}
+
+/**
+ * Formats a hunk header range, using git's convention for empty ranges
+ */
+function formatRange(start, count) {
+  return `${count === 0 ? start : start + 1},${count}`
+}
+
+/**
+ * Renders one hunk, tracking line numbers from the preceding operations
+ */
+function renderHunk(ops, hunk) {
+  const before = ops.slice(0, hunk.start)
+  const oldStart = before.filter((op) => op.type !== 'insert').length
+  const newStart = before.filter((op) => op.type !== 'delete').length
+  const body = ops.slice(hunk.start, hunk.end + 1)
+  const oldCount = body.filter((op) => op.type !== 'insert').length
+  const newCount = body.filter((op) => op.type !== 'delete').length
+  const prefixes = { equal: ' ', delete: '-', insert: '+' }
+
+  return [
+    `@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`,
+    ...body.map((op) => formatLine(prefixes[op.type], op.line)),
+  ]
+}
+
+/**
+ * Creates a unified diff between two texts
+ * @param {string} oldText - Current content ('' or null when the file does not exist)
+ * @param {string} newText - Proposed content
+ * @param {Object} options - { oldLabel, newLabel, context }
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT } = options
+  if ((oldText || '') === (newText || '')) return ''
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText))
+  const lines = [`--- ${oldText === null ? '/dev/null' : oldLabel}`, `+++ ${newLabel}`]
+  for (const hunk of groupHunks(ops, context)) {
+    lines.push(...renderHunk(ops, hunk))
+  }
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Colors a unified diff for terminal output
+ * @param {string} diff - Unified diff
+ * @returns {string} Colored diff
+ */
+export function colorizeDiff(diff) {
+  return diff
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line)
+      if (line.startsWith('@@')) return chalk.cyan(line)
+      if (line.startsWith('+')) return chalk.green(line)
+      if (line.startsWith('-')) return chalk.red(line)
+      return line
+    })
+    .join('\n')
+}
@@ -5,6 +5,33 @@
 
 import path from 'path'
 import { error as logError } from './logger.js'
+import { printJSONReport, recordError } from './report.js'
+
+// Full IPv6 addresses, redacted before anything else so their groups are not taken for IDs
+const IPV6_PATTERN = /([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}/g
+
+/**
+ * Redacts the identifiers and secrets that error messages and diagnostics share: UUIDs, emails,
+ * IPv4 addresses and long hex tokens
+ * @param {string} text - Text to redact
+ * @param {Object} options - Options
+ * @param {boolean} options.numericIds - Also redact runs of 4+ digits, which diagnostics keep
+ *   for versions, modes and uids
+ * @returns {string} Redacted text
+ */
+function redactIdentifiers(text, { numericIds = false } = {}) {
+  // UUIDs go first, before their digit runs are taken for IDs
+  let safe = text.replace(
+    /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/g,
+    '<uuid>',
+  )
+  if (numericIds) {
+    safe = safe.replace(/\b\d{4,}\b/g, '<id>') // IDs (4+ digits)
+  }
+  safe = safe.replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '<email>') // Emails
+  safe = safe.replace(/\b(?:\d{1,3}\.){3}\d{1,3}\b/g, '<ip>') // IPv4 addresses
+  return safe.replace(/\b[a-fA-F0-9]{32,}\b/g, '<token>') // Hex tokens (32+ chars)
+}
 
 /**
  * Sanitize error messages to prevent information disclosure
@@ -18,7 +45,7 @@ export function sanitizeErrorMessage(message) {
 
   // Remove IPv6 addresses FIRST (before ID replacement)
   // Full IPv6 pattern
-  safe = safe.replace(/([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}/g, '<ip>')
+  safe = safe.replace(IPV6_PATTERN, '<ip>')
   // Compressed IPv6 patterns
   safe = safe.replace(/([0-9a-fA-F]{1,4}:){1,7}:/g, '<ip>')
   safe = safe.replace(/:([0-9a-fA-F]{1,4}:){1,7}/g, '<ip>')
@@ -37,24 +64,41 @@ export function sanitizeErrorMessage(message) {
   // Windows UNC paths: \\server\share
   safe = safe.replace(/\\\\[^\s"'<>|]+/g, '<path>')
 
-  // Remove UUIDs BEFORE other ID replacements
-  safe = safe.replace(
-    /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/g,
-    '<uuid>',
-  )
+  // Remove UUIDs, IDs, emails, IPv4 addresses and hex tokens
+  safe = redactIdentifiers(safe, { numericIds: true })
 
-  // Remove potential sensitive data patterns
-  safe = safe.replace(/\b\d{4,}\b/g, '<id>') // IDs (4+ digits)
-  safe = safe.replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '<email>') // Emails
-  safe = safe.replace(/\b(?:\d{1,3}\.){3}\d{1,3}\b/g, '<ip>') // IPv4 addresses
-
-  // Remove potential tokens/secrets (long hex strings, base64-like strings)
-  safe = safe.replace(/\b[a-fA-F0-9]{32,}\b/g, '<token>') // Hex tokens (32+ chars)
+  // Remove potential tokens/secrets (base64-like strings)
   safe = safe.replace(/[A-Za-z0-9+/]{20,}={0,2}/g, '<token>') // Base64-like tokens
 
   return safe
 }
 
+/**
+ * Redact a diagnostics report so it can be attached to a public issue
+ * Applies the identifier and secret patterns of sanitizeErrorMessage(), but keeps paths readable
+ * because PATH order and binary locations are what the report is for; the home directory
+ * becomes `~` instead
+ * @param {string} text - Report text
+ * @param {string} homeDir - Home directory to hide
+ * @returns {string} Redacted text
+ */
+export function redactDiagnostics(text, homeDir = '') {
+  let safe = String(text)
+  if (homeDir.length > 1) {
+    const escaped = homeDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    safe = safe.replace(new RegExp(`${escaped}(?![\\w.-])`, 'g'), '~')
+  }
+
+  safe = safe.replace(IPV6_PATTERN, '<ip>') // Full IPv6 addresses
+  safe = safe.replace(/([a-z][a-z0-9+.-]*:\/\/)[^\s/@"']+@/gi, '$1<credentials>@') // URL logins
+  safe = redactIdentifiers(safe)
+  // API keys and other long tokens; unlike sanitizeErrorMessage() these never contain a slash,
+  // so long paths survive
+  safe = safe.replace(/(?<![\w/.-])(?=[\w+-]*\d)[\w+-]{24,}={0,2}/g, '<token>')
+
+  return safe
+}
+
 export class ProGuardianError extends Error {
   constructor(message, code) {
     super(message)
@@ -189,7 +233,15 @@ export function handleError(error, options = {}) {
     }
   }
 
+  // With --json the error goes into the printed result; unexpected ones stay as vague as above
+  recordError(
+    error instanceof ProGuardianError
+      ? error
+      : { code: null, message: 'An unexpected error occurred' },
+  )
+
   if (exit) {
+    printJSONReport()
     process.exit(1)
   }
 }
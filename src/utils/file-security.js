@@ -1,6 +1,9 @@
 /**
  * Secure file operation utilities for ProGuardian CLI
  * Provides safe file operations with permission checks and atomic writes
+ *
+ * Paths must stay inside `options.baseDir`, the current directory by default. Commands that
+ * write outside the project, such as `init --user`, pass the directory they operate on.
  */
 
 import fs from 'fs-extra'
@@ -28,10 +31,10 @@ export async function checkPermissions(filePath, mode) {
  * Safely read a file with validation and permission checks
  */
 export async function secureReadFile(filePath, options = {}) {
-  const { encoding = 'utf-8', maxSize = 10 * 1024 * 1024 } = options // 10MB default max
+  const { encoding = 'utf-8', maxSize = 10 * 1024 * 1024, baseDir } = options // 10MB default max
 
   // Validate path
-  const safePath = validateSafePath(filePath)
+  const safePath = validateSafePath(filePath, baseDir)
 
   // Check read permissions
   if (!(await checkPermissions(safePath, fs.constants.R_OK))) {
@@ -54,10 +57,10 @@ export async function secureReadFile(filePath, options = {}) {
  * Safely write a file with atomic operations
  */
 export async function secureWriteFile(filePath, content, options = {}) {
-  const { encoding = 'utf-8', mode = 0o644 } = options
+  const { encoding = 'utf-8', mode = 0o644, baseDir } = options
 
   // Validate path
-  const safePath = validateSafePath(filePath)
+  const safePath = validateSafePath(filePath, baseDir)
   const dir = path.dirname(safePath)
 
   // Ensure directory exists and we can write to it
@@ -99,11 +102,11 @@ export async function secureWriteFile(filePath, content, options = {}) {
  * Safely copy a file with validation
  */
 export async function secureCopyFile(source, destination, options = {}) {
-  const { overwrite = false } = options
+  const { overwrite = false, baseDir } = options
 
   // Validate paths
-  const safeSource = validateSafePath(source)
-  const safeDestination = validateSafePath(destination)
+  const safeSource = validateSafePath(source, baseDir)
+  const safeDestination = validateSafePath(destination, baseDir)
 
   // Check source exists and is readable
   if (!(await fs.pathExists(safeSource))) {
@@ -130,14 +133,32 @@ export async function secureCopyFile(source, destination, options = {}) {
   await fs.copy(safeSource, safeDestination, { overwrite })
 }
 
+/**
+ * Safely remove a file with validation and permission checks
+ */
+export async function secureRemoveFile(filePath, options = {}) {
+  const safePath = validateSafePath(filePath, options.baseDir)
+
+  if (!(await fs.pathExists(safePath))) {
+    return false
+  }
+
+  if (!(await checkPermissions(path.dirname(safePath), fs.constants.W_OK))) {
+    throw new PermissionError('remove', filePath)
+  }
+
+  await fs.remove(safePath)
+  return true
+}
+
 /**
  * Safely create a directory
  */
 export async function secureCreateDir(dirPath, options = {}) {
-  const { mode = 0o755 } = options
+  const { mode = 0o755, baseDir } = options
 
   // Validate path
-  const safePath = validateSafePath(dirPath)
+  const safePath = validateSafePath(dirPath, baseDir)
   const parentDir = path.dirname(safePath)
 
   // Check parent directory permissions
@@ -154,9 +175,9 @@ export async function secureCreateDir(dirPath, options = {}) {
 /**
  * Safely check if a path exists
  */
-export async function securePathExists(filePath) {
+export async function securePathExists(filePath, options = {}) {
   try {
-    const safePath = validateSafePath(filePath)
+    const safePath = validateSafePath(filePath, options.baseDir)
     return await fs.pathExists(safePath)
   } catch {
     // Path validation failed - treat as not existing
@@ -196,8 +217,8 @@ export async function secureWriteJSON(filePath, data, options = {}) {
 /**
  * Get file stats safely
  */
-export async function secureGetStats(filePath) {
-  const safePath = validateSafePath(filePath)
+export async function secureGetStats(filePath, options = {}) {
+  const safePath = validateSafePath(filePath, options.baseDir)
 
   if (!(await fs.pathExists(safePath))) {
     throw new ValidationError('path', filePath, 'File does not exist')
@@ -210,9 +231,9 @@ export async function secureGetStats(filePath) {
  * List directory contents safely
  */
 export async function secureReadDir(dirPath, options = {}) {
-  const { withFileTypes = false } = options
+  const { withFileTypes = false, baseDir } = options
 
-  const safePath = validateSafePath(dirPath)
+  const safePath = validateSafePath(dirPath, baseDir)
 
   if (!(await checkPermissions(safePath, fs.constants.R_OK))) {
     throw new PermissionError('read directory', dirPath)
@@ -0,0 +1,54 @@
+/**
+ * Git hook utilities for ProGuardian CLI
+ * Installs a pre-commit hook that keeps the Guardian setup from silently drifting
+ */
+
+import path from 'path'
+import {
+  secureGetStats,
+  secureReadFile,
+  securePathExists,
+  secureWriteFile,
+} from './file-security.js'
+import { validateSafePath } from './validation.js'
+
+// Identifies hooks written by ProGuardian so they can be updated but never clobber user hooks
+export const HOOK_SIGNATURE = '# Installed by proguardian'
+
+const PRE_COMMIT_HOOK = `#!/bin/sh
+${HOOK_SIGNATURE}
+# Blocks commits while the Guardian setup is misconfigured (check exits 1). An outdated protocol
+# (2) or an assistant CLI missing on this machine (3) only warns.
+# Bypass once with: git commit --no-verify
+if command -v proguardian >/dev/null 2>&1; then
+  proguardian check
+  [ $? -ne 1 ] || exit 1
+fi
+`
+
+/**
+ * Installs the Guardian pre-commit hook
+ * @param {string} baseDir - Repository root
+ * @returns {Promise<{installed: boolean, reason?: string, hookPath?: string}>} Result
+ */
+export async function installGitHooks(baseDir = process.cwd()) {
+  const gitDir = validateSafePath('.git', baseDir)
+  if (!(await securePathExists(gitDir, { baseDir }))) {
+    return { installed: false, reason: 'not a git repository' }
+  }
+  // Worktrees and submodules use a .git file pointing elsewhere
+  if (!(await secureGetStats(gitDir, { baseDir })).isDirectory()) {
+    return { installed: false, reason: '.git is not a directory' }
+  }
+
+  const hookPath = validateSafePath(path.join('.git', 'hooks', 'pre-commit'), baseDir)
+  if (await securePathExists(hookPath, { baseDir })) {
+    const existing = await secureReadFile(hookPath, { maxSize: 1024 * 1024, baseDir })
+    if (!existing.includes(HOOK_SIGNATURE)) {
+      return { installed: false, reason: 'a pre-commit hook already exists', hookPath }
+    }
+  }
+
+  await secureWriteFile(hookPath, PRE_COMMIT_HOOK, { mode: 0o755, baseDir })
+  return { installed: true, hookPath }
+}
@@ -0,0 +1,196 @@
+/**
+ * Guardian section utilities for ProGuardian CLI
+ * Locates, merges and removes the bounded Guardian section inside a context file
+ */
+
+import crypto from 'crypto'
+
+// Heading that introduces the Guardian section in CLAUDE.md / GEMINI.md
+export const GUARDIAN_MARKER = '## 🛡️ GUARDIAN MODE ACTIVE'
+
+// Version of the bundled Guardian protocol, recorded in the begin marker
+export const TEMPLATE_VERSION = '1.0.1'
+
+// HTML comments bounding the section so surrounding content is never touched
+const BEGIN_PATTERN = /<!-- proguardian:begin(?: v([0-9A-Za-z.+-]+))? -->\n?/
+const END_PATTERN = /<!-- proguardian:end -->\n?/
+export const END_MARKER = '<!-- proguardian:end -->'
+
+// Separator placed between existing project content and the Guardian section
+const SECTION_SEPARATOR = '\n\n'
+
+/**
+ * Hash content so the pre-Guardian text can be verified on removal
+ * @param {string} content - Content to hash
+ * @returns {string} Hex encoded sha256 digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex')
+}
+
+/**
+ * Builds the begin marker comment for a template version
+ * @param {string} version - Template version
+ * @returns {string} Begin marker
+ */
+export function beginMarker(version = TEMPLATE_VERSION) {
+  return `<!-- proguardian:begin v${version} -->`
+}
+
+/**
+ * Renders the text between the begin and end markers
+ * This is the `body` findGuardianSection() returns for a section written from guardianContent
+ * @param {string} guardianContent - Rendered Guardian protocol
+ * @returns {string} Section body ending with a newline
+ */
+export function renderGuardianSectionBody(guardianContent) {
+  return `${GUARDIAN_MARKER}${SECTION_SEPARATOR}${guardianContent.replace(/\s+$/, '')}\n`
+}
+
+/**
+ * Renders the complete bounded Guardian section
+ * @param {string} guardianContent - Rendered Guardian protocol
+ * @param {string} version - Template version recorded in the begin marker
+ * @returns {string} Bounded section ending with a newline
+ */
+export function renderGuardianSection(guardianContent, version = TEMPLATE_VERSION) {
+  return `${beginMarker(version)}\n${renderGuardianSectionBody(guardianContent)}${END_MARKER}\n`
+}
+
+/**
+ * Finds the bounded section produced by current versions
+ */
+function findBoundedSection(content) {
+  const begin = BEGIN_PATTERN.exec(content)
+  if (!begin) {
+    return null
+  }
+
+  const rest = content.substring(begin.index + begin[0].length)
+  const end = END_PATTERN.exec(rest)
+  const bodyStart = begin.index + begin[0].length
+
+  return {
+    start: begin.index,
+    // An unterminated section is treated as running to the end of the file
+    end: end ? bodyStart + end.index + end[0].length : content.length,
+    body: end ? rest.substring(0, end.index) : rest,
+    version: begin[1] || null,
+    legacy: false,
+  }
+}
+
+/**
+ * Locates the Guardian section within content
+ * Legacy files only carry the heading, and everything after it is Guardian text
+ * @param {string} content - Context file content
+ * @returns {{start: number, end: number, body: string, version: string|null, legacy: boolean}|null}
+ */
+export function findGuardianSection(content) {
+  if (typeof content !== 'string') {
+    return null
+  }
+
+  const bounded = findBoundedSection(content)
+  if (bounded) {
+    return bounded
+  }
+
+  const legacyStart = content.indexOf(GUARDIAN_MARKER)
+  if (legacyStart === -1) {
+    return null
+  }
+
+  return {
+    start: legacyStart,
+    end: content.length,
+    body: content.substring(legacyStart),
+    version: null,
+    legacy: true,
+  }
+}
+
+/**
+ * Checks whether content contains a Guardian section
+ * @param {string} content - Context file content
+ * @returns {boolean} True if a bounded or legacy Guardian section is present
+ */
+export function hasGuardianSection(content) {
+  return findGuardianSection(content) !== null
+}
+
+/**
+ * Inserts or replaces the Guardian section with a given body, preserving everything around it
+ * Legacy sections are migrated to bounded markers
+ * @param {string} content - Existing context file content (may be empty)
+ * @param {string} body - Section body ending with a newline, e.g. an import of a linked protocol
+ * @param {string} version - Template version
+ * @returns {string} Merged content
+ */
+export function upsertGuardianSectionBody(content, body, version = TEMPLATE_VERSION) {
+  const section = `${beginMarker(version)}\n${body}${END_MARKER}\n`
+  const existing = findGuardianSection(content)
+
+  if (existing) {
+    return `${content.substring(0, existing.start)}${section}${content.substring(existing.end)}`
+  }
+
+  if (!content) {
+    return section
+  }
+  return `${content}${SECTION_SEPARATOR}${section}`
+}
+
+/**
+ * Inserts or replaces the Guardian section, preserving everything around it
+ * Legacy sections are migrated to bounded markers
+ * @param {string} content - Existing context file content (may be empty)
+ * @param {string} guardianContent - Rendered Guardian protocol
+ * @param {string} version - Template version
+ * @returns {string} Merged content
+ */
+export function upsertGuardianSection(content, guardianContent, version = TEMPLATE_VERSION) {
+  return upsertGuardianSectionBody(content, renderGuardianSectionBody(guardianContent), version)
+}
+
+/**
+ * Replaces the text between the markers of an existing bounded section
+ * Used by `upgrade`, whose merged body may differ from any rendered template
+ * @param {string} content - Context file content with a bounded Guardian section
+ * @param {string} body - New section body, ending with a newline
+ * @param {string} version - Template version recorded in the begin marker
+ * @returns {string} Updated content
+ * @throws {Error} If the content has no bounded section
+ */
+export function replaceGuardianSectionBody(content, body, version = TEMPLATE_VERSION) {
+  const existing = findBoundedSection(content)
+  if (!existing) {
+    throw new Error('No bounded Guardian section to replace')
+  }
+  const section = `${beginMarker(version)}\n${body}${END_MARKER}\n`
+  return `${content.substring(0, existing.start)}${section}${content.substring(existing.end)}`
+}
+
+/**
+ * Removes the Guardian section, restoring the content around it
+ * @param {string} content - Context file content
+ * @returns {{content: string, removed: boolean, guardianOnly: boolean}}
+ */
+export function removeGuardianSection(content) {
+  const existing = findGuardianSection(content)
+  if (!existing) {
+    return { content, removed: false, guardianOnly: false }
+  }
+
+  let before = content.substring(0, existing.start)
+  if (before.endsWith(SECTION_SEPARATOR)) {
+    before = before.slice(0, -SECTION_SEPARATOR.length)
+  }
+  const restored = `${before}${content.substring(existing.end)}`
+
+  return {
+    content: restored,
+    removed: true,
+    guardianOnly: restored.trim() === '',
+  }
+}
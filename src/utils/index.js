@@ -20,8 +20,11 @@ export {
   validateSafePath,
   sanitizePath,
   validateCLIType,
+  validateProfile,
   validateCommand,
   validateJSON,
+  validateSchema,
+  validateTemplateVariables,
   escapeShellArg,
 } from './validation.js'
 
@@ -31,6 +34,7 @@ export {
   secureReadFile,
   secureWriteFile,
   secureCopyFile,
+  secureRemoveFile,
   secureCreateDir,
   securePathExists,
   secureReadJSON,
@@ -47,8 +51,165 @@ export {
   getTargetFilename,
   promptForCLI,
   determineCLI,
+  parseCLIList,
+  determineCLIs,
 } from './cli-detector.js'
 
+// Export Guardian section utilities
+export {
+  GUARDIAN_MARKER,
+  TEMPLATE_VERSION,
+  END_MARKER,
+  beginMarker,
+  hashContent,
+  renderGuardianSection,
+  renderGuardianSectionBody,
+  replaceGuardianSectionBody,
+  findGuardianSection,
+  hasGuardianSection,
+  upsertGuardianSection,
+  upsertGuardianSectionBody,
+  removeGuardianSection,
+} from './guardian-section.js'
+
+// Export template compiler utilities
+export {
+  CANONICAL_TEMPLATE,
+  TEMPLATE_OVERRIDE_DIR,
+  TEMPLATE_SOURCE_BUNDLED,
+  TEMPLATE_SOURCE_PROJECT,
+  TEMPLATE_SOURCE_CUSTOM,
+  DEFAULT_VARIABLES,
+  getBundledTemplatePath,
+  getAssistantVariables,
+  compileTemplate,
+  validateTemplate,
+  loadTemplate,
+  resolveTemplateVariables,
+  renderGuardianTemplate,
+} from './template-compiler.js'
+
+// Export profile utilities
+export {
+  PROFILE_STRICT,
+  PROFILE_STANDARD,
+  PROFILE_LIGHT,
+  DEFAULT_PROFILE,
+  getProfile,
+  getEnforcementPrompt,
+} from './profiles.js'
+
+// Export marker utilities
+export {
+  MARKER_FILENAME,
+  getMarkerPath,
+  readMarker,
+  writeMarker,
+  buildMarkerVariables,
+  getMarkerAssistants,
+  getMarkerTemplateOptions,
+  getMarkerScopes,
+} from './marker.js'
+
+// Export stack detection utilities
+export { detectStack, getStackVariables, parseMakefileTargets } from './stack-detector.js'
+
+// Export workspace discovery utilities
+export {
+  discoverWorkspaces,
+  readWorkspacePatterns,
+  parsePnpmWorkspace,
+  getWorkspaceVariables,
+} from './workspaces.js'
+
+// Export directory scope utilities
+export { normalizeScopeDir, getScopeVariables, resolveLayers, mergeScopes } from './scopes.js'
+
+// Export user-level Guardian utilities
+export {
+  USER_STACK,
+  getUserHome,
+  getUserTargetFilename,
+  formatUserPath,
+  getUserVariables,
+  findInstalledSections,
+  inspectUserSetup,
+  findSetupConflicts,
+} from './user-setup.js'
+
+// Export setup wizard utilities
+export { createPrompter, parseYesNo, getWizardDefaults, runInitWizard } from './wizard.js'
+
+// Export git hook utilities
+export { HOOK_SIGNATURE, installGitHooks } from './git-hooks.js'
+
+// Export diff utilities
+export { splitLines, diffLines, createUnifiedDiff, colorizeDiff } from './diff.js'
+
+// Export three-way merge utilities
+export {
+  CONFLICT_START,
+  CONFLICT_SEPARATOR,
+  CONFLICT_END,
+  mergeThreeWay,
+  hasConflictMarkers,
+} from './merge.js'
+
+// Export backup utilities
+export {
+  BACKUP_DIR,
+  MAX_BACKUP_SESSIONS,
+  toBackupId,
+  startBackupSession,
+  backupFile,
+  listBackups,
+  findBackup,
+  restoreBackup,
+  pruneBackups,
+} from './backups.js'
+
+// Export installed section store utilities
+export {
+  SECTION_BASE_DIR,
+  getSectionBasePath,
+  readSectionBase,
+  writeSectionBase,
+  removeSectionBases,
+} from './section-base.js'
+
+// Export linked protocol utilities
+export {
+  LINKED_PROTOCOL_DIR,
+  getLinkedProtocolFile,
+  formatImport,
+  renderLinkedSectionBody,
+  readLinkedProtocol,
+  writeLinkedProtocol,
+  removeLinkedProtocols,
+} from './linked-protocol.js'
+
+// Export token estimation utilities
+export {
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  measureContextTokens,
+  parseTokenBudget,
+} from './tokens.js'
+
+// Export command report utilities
+export {
+  SEVERITY_OK,
+  SEVERITY_WARNING,
+  SEVERITY_ERROR,
+  startJSONReport,
+  isJSONReport,
+  reportCheck,
+  recordFile,
+  recordError,
+  finishJSONReport,
+  printJSONReport,
+} from './report.js'
+
 // Export logger utilities
 export { logger, log, info, success, error, warn, debug, LogLevel } from './logger.js'
 
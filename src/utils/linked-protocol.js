@@ -0,0 +1,125 @@
+/**
+ * Linked protocol utilities for ProGuardian CLI
+ * With `init --link` the protocol is written once to its own file and the Guardian section of the
+ * context file only imports it, keeping CLAUDE.md / GEMINI.md short and upgrade diffs small
+ */
+
+import path from 'path'
+import { CLI_GEMINI } from './cli-detector.js'
+import {
+  secureReadDir,
+  secureReadFile,
+  secureRemoveFile,
+  securePathExists,
+  secureWriteFile,
+} from './file-security.js'
+import { backupFile } from './backups.js'
+import { validateSafePath } from './validation.js'
+
+// One protocol file per assistant and scope, e.g. `.proguardian.d/protocol/claude.md`
+export const LINKED_PROTOCOL_DIR = '.proguardian.d/protocol'
+
+/**
+ * Gets the linked protocol file of an assistant, relative to the project root
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @param {string} scope - Directory of the context file relative to the root, `.` for the root
+ * @returns {string} Path such as `.proguardian.d/protocol/packages/api/claude.md`
+ */
+export function getLinkedProtocolFile(cliType, scope = '.') {
+  return path.posix.join(LINKED_PROTOCOL_DIR, scope, `${cliType}.md`)
+}
+
+/**
+ * Formats the import line for a linked protocol file
+ * Both assistants resolve `@path` relative to the importing file; Gemini CLI expects an explicit
+ * `./` for paths in or below that directory
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @param {string} contextFile - Context file relative to the root, e.g. `payments/CLAUDE.md`
+ * @param {string} linkedFile - Linked protocol file relative to the root
+ * @returns {string} Import line such as `@../.proguardian.d/protocol/payments/claude.md`
+ */
+export function formatImport(cliType, contextFile, linkedFile) {
+  const relative = path.posix.relative(path.posix.dirname(contextFile), linkedFile)
+  if (cliType === CLI_GEMINI && !relative.startsWith('../')) {
+    return `@./${relative}`
+  }
+  return `@${relative}`
+}
+
+/**
+ * Renders the section body of a context file whose protocol is linked
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @param {string} contextFile - Context file relative to the root
+ * @param {string} linkedFile - Linked protocol file relative to the root
+ * @returns {string} Section body ending with a newline
+ */
+export function renderLinkedSectionBody(cliType, contextFile, linkedFile) {
+  return `${formatImport(cliType, contextFile, linkedFile)}\n`
+}
+
+/**
+ * Finds the linked protocol file a section body imports
+ * The reverse of renderLinkedSectionBody(), for setups whose .proguardian was lost
+ * @param {string} body - Section body from findGuardianSection()
+ * @param {string} contextFile - Context file relative to the root
+ * @returns {string|null} Linked protocol file relative to the root, or null for inline sections
+ */
+export function parseLinkedImport(body, contextFile) {
+  const match = /^@(\S+)$/.exec(body.trim())
+  if (!match) {
+    return null
+  }
+  const linkedFile = path.posix.join(path.posix.dirname(contextFile), match[1])
+  return linkedFile.startsWith(`${LINKED_PROTOCOL_DIR}/`) ? linkedFile : null
+}
+
+/**
+ * Reads a linked protocol file
+ * @param {string} baseDir - Project root
+ * @param {string} linkedFile - Linked protocol file relative to the root
+ * @returns {Promise<string|null>} Content, or null when the file is missing
+ */
+export async function readLinkedProtocol(baseDir, linkedFile) {
+  const linkedPath = validateSafePath(linkedFile, baseDir)
+  if (!(await securePathExists(linkedPath, { baseDir }))) {
+    return null
+  }
+  return secureReadFile(linkedPath, { maxSize: 5 * 1024 * 1024, baseDir })
+}
+
+/**
+ * Writes the protocol to its linked file, backing up the previous version
+ * The file holds exactly what an inline section would hold between its markers
+ * @param {string} baseDir - Project root
+ * @param {string} linkedFile - Linked protocol file relative to the root
+ * @param {string} content - Section body, e.g. from renderGuardianSectionBody()
+ * @returns {Promise<boolean>} True if the file changed
+ */
+export async function writeLinkedProtocol(baseDir, linkedFile, content) {
+  if ((await readLinkedProtocol(baseDir, linkedFile)) === content) {
+    return false
+  }
+  await backupFile(baseDir, linkedFile)
+  await secureWriteFile(validateSafePath(linkedFile, baseDir), content, { baseDir })
+  return true
+}
+
+/**
+ * Removes every linked protocol file, and `.proguardian.d` itself once nothing else lives there
+ * @param {string} baseDir - Project root
+ * @returns {Promise<boolean>} True if linked protocol files existed
+ */
+export async function removeLinkedProtocols(baseDir) {
+  const storePath = validateSafePath(LINKED_PROTOCOL_DIR, baseDir)
+  if (!(await securePathExists(storePath, { baseDir }))) {
+    return false
+  }
+  await backupFile(baseDir, LINKED_PROTOCOL_DIR)
+  await secureRemoveFile(storePath, { baseDir })
+
+  const storeDir = validateSafePath(path.posix.dirname(LINKED_PROTOCOL_DIR), baseDir)
+  if ((await secureReadDir(storeDir, { baseDir })).length === 0) {
+    await secureRemoveFile(storeDir, { baseDir })
+  }
+  return true
+}
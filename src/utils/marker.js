@@ -0,0 +1,158 @@
+/**
+ * .proguardian marker utilities for ProGuardian CLI
+ * Reads and writes the per-project marker, including user-editable template variables
+ */
+
+import { secureReadJSON, securePathExists, secureWriteJSON } from './file-security.js'
+import {
+  MARKER_SCHEMA,
+  validateJSON,
+  validateSafePath,
+  validateSchema,
+  validateTemplateVariables,
+} from './validation.js'
+import { backupFile } from './backups.js'
+import { DEFAULT_VARIABLES, TEMPLATE_SOURCE_CUSTOM } from './template-compiler.js'
+
+export const MARKER_FILENAME = '.proguardian'
+
+/**
+ * Gets the validated marker path for a project directory
+ * @param {string} baseDir - Project directory
+ * @returns {string} Absolute marker path
+ */
+export function getMarkerPath(baseDir = process.cwd()) {
+  return validateSafePath(MARKER_FILENAME, baseDir)
+}
+
+/**
+ * Reads the marker without enforcing its schema
+ */
+async function readRawMarker(baseDir) {
+  const markerPath = getMarkerPath(baseDir)
+  if (!(await securePathExists(markerPath, { baseDir }))) {
+    return null
+  }
+  return secureReadJSON(markerPath, { baseDir })
+}
+
+/**
+ * Reads the marker for a project directory
+ * @param {string} baseDir - Project directory
+ * @returns {Promise<Object|null>} Marker data, or null if Guardian is not initialized
+ * @throws {ValidationError} If the marker is not valid JSON or a field breaks MARKER_SCHEMA
+ */
+export async function readMarker(baseDir = process.cwd()) {
+  const markerData = await readRawMarker(baseDir)
+  return markerData === null ? null : validateJSON(markerData, MARKER_SCHEMA)
+}
+
+/**
+ * Reads the marker and lists every field that breaks MARKER_SCHEMA, for `check`
+ * @param {string} baseDir - Project directory
+ * @returns {Promise<{markerData: Object|null, errors: Array, unknown: string[]}|null>} Marker
+ *   data, null when a field is invalid, with the problems found by validateSchema(); null if
+ *   Guardian is not initialized
+ * @throws {ValidationError} If the marker is not valid JSON
+ */
+export async function inspectMarker(baseDir = process.cwd()) {
+  const markerData = await readRawMarker(baseDir)
+  if (markerData === null) {
+    return null
+  }
+  const { errors, unknown } = validateSchema(markerData, MARKER_SCHEMA)
+  return { markerData: errors.length > 0 ? null : markerData, errors, unknown }
+}
+
+/**
+ * Writes the marker for a project directory
+ * @param {string} baseDir - Project directory
+ * @param {Object} data - Marker data
+ */
+export async function writeMarker(baseDir, data) {
+  await backupFile(baseDir, MARKER_FILENAME)
+  await secureWriteJSON(getMarkerPath(baseDir), data, { baseDir })
+}
+
+/**
+ * Builds the marker variables, keeping values the user already set
+ * Detected commands only seed variables that are not configured yet
+ * @param {Object|undefined} existing - Variables from a previous marker
+ * @param {Object} stack - Detected project stack
+ * @returns {Object} Variables to store in the marker
+ */
+export function buildMarkerVariables(existing, stack) {
+  const seeded = { ...DEFAULT_VARIABLES }
+  if (stack?.testCommand) seeded.testCommand = stack.testCommand
+  if (stack?.lintCommand) seeded.lintCommand = stack.lintCommand
+
+  const variables = { ...seeded, ...(existing || {}) }
+  validateTemplateVariables(variables)
+  return variables
+}
+
+/**
+ * Lists the assistants configured in a marker
+ * Markers written before multi-assistant support only carry top-level cliType/targetFile
+ * @param {Object|null} markerData - Marker data
+ * @returns {Array<{cliType: string, targetFile: string}>} Configured assistants
+ */
+export function getMarkerAssistants(markerData) {
+  if (!markerData) {
+    return []
+  }
+
+  if (Array.isArray(markerData.assistants)) {
+    return markerData.assistants
+  }
+
+  if (markerData.cliType) {
+    const { cliType, targetFile, createdFile, originalHash } = markerData
+    return [{ cliType, targetFile, createdFile, originalHash }]
+  }
+
+  return []
+}
+
+/**
+ * Gets the template options recorded by init, so later renders use the same template
+ * Project overrides are rediscovered on every render; only explicit --template paths are pinned
+ * @param {Object|null} markerData - Marker data
+ * @param {string} baseDir - Project directory
+ * @returns {{profile: string|undefined, templatePath: string|undefined, baseDir: string}}
+ */
+export function getMarkerTemplateOptions(markerData, baseDir = process.cwd()) {
+  const template = markerData?.template
+  return {
+    profile: markerData?.profile,
+    templatePath: template?.source === TEMPLATE_SOURCE_CUSTOM ? template.path : undefined,
+    baseDir,
+  }
+}
+
+/**
+ * Lists every directory Guardian manages: the project root, recorded workspace packages and
+ * directory scopes added with `init --scope`
+ * @param {Object|null} markerData - Marker data
+ * @returns {Array<{dir: string, kind: 'root'|'workspace'|'directory', name?: string,
+ *   profile?: string, assistants: Array}>} Scopes, root first
+ */
+export function getMarkerScopes(markerData) {
+  const packages = Array.isArray(markerData?.workspaces) ? markerData.workspaces : []
+  const directories = Array.isArray(markerData?.scopes) ? markerData.scopes : []
+  return [
+    { dir: '.', kind: 'root', assistants: getMarkerAssistants(markerData) },
+    ...packages.map((pkg) => ({
+      kind: 'workspace',
+      name: pkg.name,
+      dir: pkg.dir,
+      assistants: getMarkerAssistants(pkg),
+    })),
+    ...directories.map((scope) => ({
+      kind: 'directory',
+      dir: scope.dir,
+      profile: scope.profile,
+      assistants: getMarkerAssistants(scope),
+    })),
+  ]
+}
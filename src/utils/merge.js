@@ -0,0 +1,148 @@
+/**
+ * Three-way line merge for ProGuardian CLI
+ * Combines local edits with a new template the way `git merge-file` does
+ */
+
+import { diffLines, splitLines } from './diff.js'
+
+export const CONFLICT_START = '<<<<<<<'
+export const CONFLICT_SEPARATOR = '======='
+export const CONFLICT_END = '>>>>>>>'
+
+/**
+ * Maps each base line to its index in the other text, or -1 when that side changed it
+ */
+function matchBaseLines(baseLines, otherLines) {
+  const matches = new Array(baseLines.length).fill(-1)
+  let i = 0
+  let j = 0
+  for (const op of diffLines(baseLines, otherLines)) {
+    if (op.type === 'equal') matches[i] = j
+    if (op.type !== 'insert') i++
+    if (op.type !== 'delete') j++
+  }
+  return matches
+}
+
+/**
+ * Finds the next base line both sides kept, or the end of the base
+ */
+function nextStableLine(toLocal, toIncoming, start) {
+  let k = start
+  while (k < toLocal.length && (toLocal[k] === -1 || toIncoming[k] === -1)) k++
+  return k
+}
+
+/**
+ * Splits the three texts into stable lines, kept by both sides, and the chunks between them
+ */
+function findChunks(base, local, incoming) {
+  const toLocal = matchBaseLines(base, local)
+  const toIncoming = matchBaseLines(base, incoming)
+  const chunks = []
+  let i = 0
+  let a = 0
+  let b = 0
+
+  for (;;) {
+    const k = nextStableLine(toLocal, toIncoming, i)
+    const aEnd = k < base.length ? toLocal[k] : local.length
+    const bEnd = k < base.length ? toIncoming[k] : incoming.length
+
+    if (k > i || aEnd > a || bEnd > b) {
+      chunks.push({
+        base: base.slice(i, k),
+        local: local.slice(a, aEnd),
+        incoming: incoming.slice(b, bEnd),
+      })
+    }
+    if (k === base.length) return chunks
+
+    chunks.push({ stable: base[k] })
+    i = k + 1
+    a = aEnd + 1
+    b = bEnd + 1
+  }
+}
+
+/**
+ * Compares two line arrays
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index])
+}
+
+/**
+ * Counts the leading lines two arrays share
+ */
+function commonPrefixLength(a, b) {
+  let length = 0
+  while (length < a.length && length < b.length && a[length] === b[length]) length++
+  return length
+}
+
+/**
+ * Terminates the last line so a conflict marker never ends up on the same line
+ */
+function terminated(lines) {
+  if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) return lines
+  return [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`]
+}
+
+/**
+ * Renders a conflicting chunk with git-style markers
+ * Lines both sides agree on are moved outside the markers to keep the conflict small
+ */
+function conflictLines(local, incoming, labels) {
+  const head = commonPrefixLength(local, incoming)
+  const tail = commonPrefixLength(local.slice(head).reverse(), incoming.slice(head).reverse())
+
+  return [
+    ...local.slice(0, head),
+    `${CONFLICT_START} ${labels.local}\n`,
+    ...terminated(local.slice(head, local.length - tail)),
+    `${CONFLICT_SEPARATOR}\n`,
+    ...terminated(incoming.slice(head, incoming.length - tail)),
+    `${CONFLICT_END} ${labels.incoming}\n`,
+    ...local.slice(local.length - tail),
+  ]
+}
+
+/**
+ * Merges two edited versions of a common base text
+ * Changes made on only one side are taken as-is; overlapping changes become conflicts
+ * @param {string} base - Text both sides started from
+ * @param {string} local - Text with local edits
+ * @param {string} incoming - Text with upstream edits
+ * @param {{local?: string, incoming?: string}} labels - Names shown after the conflict markers
+ * @returns {{content: string, conflicts: number}} Merged text and the number of conflicts
+ */
+export function mergeThreeWay(base, local, incoming, labels = {}) {
+  const names = { local: 'local', incoming: 'incoming', ...labels }
+  const output = []
+  let conflicts = 0
+
+  for (const chunk of findChunks(splitLines(base), splitLines(local), splitLines(incoming))) {
+    if (chunk.stable !== undefined) {
+      output.push(chunk.stable)
+    } else if (sameLines(chunk.local, chunk.incoming) || sameLines(chunk.base, chunk.incoming)) {
+      output.push(...chunk.local)
+    } else if (sameLines(chunk.base, chunk.local)) {
+      output.push(...chunk.incoming)
+    } else {
+      output.push(...conflictLines(chunk.local, chunk.incoming, names))
+      conflicts++
+    }
+  }
+
+  return { content: output.join(''), conflicts }
+}
+
+/**
+ * Checks whether text still contains unresolved conflict markers
+ * @param {string} content - Text to inspect
+ * @returns {boolean} True if a conflict start marker is present
+ */
+export function hasConflictMarkers(content) {
+  return new RegExp(`^${CONFLICT_START}( |$)`, 'm').test(content)
+}
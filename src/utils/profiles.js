@@ -0,0 +1,82 @@
+/**
+ * Guardian profiles for ProGuardian CLI
+ * Each profile pairs a protocol template with the prompt the wrapper prepends
+ */
+
+import { validateProfile } from './validation.js'
+
+export const PROFILE_STRICT = 'strict'
+export const PROFILE_STANDARD = 'standard'
+export const PROFILE_LIGHT = 'light'
+
+// Profile used when neither --profile nor .proguardian chooses one
+export const DEFAULT_PROFILE = PROFILE_STRICT
+
+const PROFILES = {
+  [PROFILE_STRICT]: {
+    template: 'guardian.md',
+    description: 'Full 14-step review-gate workflow',
+    enforcement: (checklistFile) => `⚠️ GUARDIAN PROTOCOL ACTIVE ⚠️
+
+You MUST follow the Guardian Review-Gate Workflow:
+1. ANALYZE request → CREATE plan → REVIEW plan (fix if needed)
+2. IMPLEMENT only after plan passes → REVIEW code (fix if needed)
+3. PLAN tests only after code passes → REVIEW test plan (fix if needed)
+4. IMPLEMENT tests → RUN tests → REVIEW results
+5. If tests fail: DIAGNOSE → PLAN fix → REVIEW → FIX → RE-TEST
+
+CRITICAL: You cannot proceed to next step until current review passes
+FORBIDDEN: Skipping reviews, proceeding with issues, placeholder code
+REQUIRED: Show evidence of each review (checklist items checked)
+
+Each review must check relevant items from ${checklistFile} quality checklist.`,
+  },
+  [PROFILE_STANDARD]: {
+    template: 'guardian-standard.md',
+    description: 'Condensed plan-implement-verify loop',
+    enforcement: (checklistFile) => `⚠️ GUARDIAN PROTOCOL ACTIVE ⚠️
+
+You MUST follow the Guardian plan-implement-verify loop:
+1. PLAN the change and its edge cases
+2. IMPLEMENT it without placeholders
+3. VERIFY by re-reading the code and running the tests
+
+FORBIDDEN: Placeholder code, proceeding with failing tests
+REQUIRED: Show the verification output
+
+Use the checklists in ${checklistFile} when verifying.`,
+  },
+  [PROFILE_LIGHT]: {
+    template: 'guardian-light.md',
+    description: 'Security warnings only',
+    enforcement: (checklistFile) => `⚠️ GUARDIAN SECURITY RULES ACTIVE ⚠️
+
+FORBIDDEN: Hardcoded secrets, weakened security checks, queries or commands built from raw input
+
+Follow the warnings in ${checklistFile}.`,
+  },
+}
+
+/**
+ * Gets a profile definition
+ * @param {string} name - Profile name, defaults to the strict profile
+ * @returns {{name: string, template: string, description: string}} Profile
+ * @throws {ValidationError} If the profile is unknown
+ */
+export function getProfile(name = DEFAULT_PROFILE) {
+  validateProfile(name)
+  const { template, description } = PROFILES[name]
+  return { name, template, description }
+}
+
+/**
+ * Gets the prompt the wrapper prepends for a profile
+ * Unknown or missing profiles fall back to the strict prompt so a bad marker never weakens Guardian
+ * @param {string|undefined} name - Profile name from .proguardian
+ * @param {string} checklistFile - Context file holding the checklists
+ * @returns {string} Enforcement prompt
+ */
+export function getEnforcementPrompt(name, checklistFile) {
+  const profile = Object.hasOwn(PROFILES, name ?? '') ? PROFILES[name] : PROFILES[DEFAULT_PROFILE]
+  return profile.enforcement(checklistFile)
+}
@@ -0,0 +1,172 @@
+/**
+ * Report file formats for ProGuardian CLI
+ * `check --format` writes its checks as SARIF for code-scanning UIs or as JUnit XML for
+ * test-report UIs, so setup regressions show up next to the findings of other tools
+ */
+
+import { MARKER_FILENAME } from './marker.js'
+import { SEVERITY_ERROR, SEVERITY_OK, SEVERITY_WARNING } from './report.js'
+
+export const FORMAT_SARIF = 'sarif'
+export const FORMAT_JUNIT = 'junit'
+
+// Shown when the report is written
+export const FORMAT_NAMES = { [FORMAT_SARIF]: 'SARIF', [FORMAT_JUNIT]: 'JUnit XML' }
+
+// Written to the project directory when no --output is given
+export const DEFAULT_REPORT_FILES = {
+  [FORMAT_SARIF]: 'proguardian-check.sarif',
+  [FORMAT_JUNIT]: 'proguardian-check.junit.xml',
+}
+
+const INFORMATION_URI = 'https://github.com/WillyNilsson/ProGuardian'
+
+// Identifies a result across runs, so code-scanning UIs track it instead of reopening it
+const FINGERPRINT_KEY = 'proguardianCheck/v1'
+
+// What each check verifies, for SARIF rule descriptions; checks missing here show their id
+const CHECK_DESCRIPTIONS = {
+  marker: 'The .proguardian marker exists and can be read',
+  'marker-schema': 'Every field of the .proguardian marker matches its schema',
+  'context-file': 'Each configured context file exists',
+  'guardian-section': 'Each context file carries the current, unmodified Guardian section',
+  'linked-protocol': 'The protocol file a linked context file imports exists',
+  'upgrade-conflicts': 'No conflicts from proguardian upgrade are left unresolved',
+  template: 'The template the project was initialized from is unchanged',
+  workspaces: 'Every workspace package of the monorepo is configured',
+  'workspace-package': 'A workspace package has current Guardian context files',
+  'token-budget': 'Each context file stays within the token budget',
+  'user-level-conflict': 'User-level and project Guardian agree',
+  'assistant-cli': 'The CLI of each configured assistant is installed',
+  wrapper: 'The Guardian wrapper is active and its vendor binary runs',
+}
+
+/**
+ * Names each check by its file and subject, which stay stable across runs unlike its message
+ * Checks that would share a name are numbered in the order they ran
+ * @returns {string[]} Names in the order of the checks
+ */
+function nameChecks(checks) {
+  const seen = new Map()
+  return checks.map((check) => {
+    const base = [check.file, check.subject].filter(Boolean).join(' ') || check.id
+    const key = `${check.id}:${base}`
+    const count = (seen.get(key) || 0) + 1
+    seen.set(key, count)
+    return count > 1 ? `${base} (${count})` : base
+  })
+}
+
+/**
+ * Formats checks as a SARIF 2.1.0 log
+ * Every check id becomes a rule; warnings and errors become results, located at their file, or
+ * at .proguardian for checks about the setup as a whole
+ * @param {Array} checks - Checks from reportCheck()
+ * @param {string|null} version - ProGuardian version
+ * @returns {string} SARIF JSON
+ */
+export function formatSarif(checks, version) {
+  const ruleIds = [...new Set(checks.map((check) => check.id))]
+  const names = nameChecks(checks)
+  const results = []
+  checks.forEach((check, index) => {
+    if (check.severity === SEVERITY_OK) return
+    results.push({
+      ruleId: check.id,
+      ruleIndex: ruleIds.indexOf(check.id),
+      level: check.severity === SEVERITY_ERROR ? 'error' : 'warning',
+      message: {
+        text: check.remediation ? `${check.message}. ${check.remediation}` : check.message,
+      },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: check.file || MARKER_FILENAME, uriBaseId: '%SRCROOT%' },
+          },
+        },
+      ],
+      partialFingerprints: { [FINGERPRINT_KEY]: `${check.id}:${names[index]}` },
+    })
+  })
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'ProGuardian',
+            ...(version && { version }),
+            informationUri: INFORMATION_URI,
+            rules: ruleIds.map((id) => ({
+              id,
+              shortDescription: { text: CHECK_DESCRIPTIONS[id] || id },
+            })),
+          },
+        },
+        results,
+      },
+    ],
+  }
+  return `${JSON.stringify(sarif, null, 2)}\n`
+}
+
+/**
+ * Escapes text for XML attributes and content
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Formats one check as a JUnit testcase
+ */
+function formatTestCase(check, name, failed) {
+  const attributes = `classname="proguardian.check.${escapeXML(check.id)}" name="${escapeXML(name)}"`
+  if (failed) {
+    const detail = check.remediation || check.message
+    return [
+      `    <testcase ${attributes}>`,
+      `      <failure type="${check.severity}" message="${escapeXML(check.message)}">${escapeXML(detail)}</failure>`,
+      '    </testcase>',
+    ].join('\n')
+  }
+  if (check.severity === SEVERITY_WARNING) {
+    return [
+      `    <testcase ${attributes}>`,
+      `      <system-out>${escapeXML(`Warning: ${check.message}`)}</system-out>`,
+      '    </testcase>',
+    ].join('\n')
+  }
+  return `    <testcase ${attributes} />`
+}
+
+/**
+ * Formats checks as JUnit XML, one testcase per check
+ * Errors fail their testcase; warnings only fail with --strict, as they do for the exit code
+ * @param {Array} checks - Checks from reportCheck()
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Whether warnings fail
+ * @returns {string} JUnit XML
+ */
+export function formatJUnit(checks, { strict = false } = {}) {
+  const names = nameChecks(checks)
+  const isFailure = (check) =>
+    check.severity === SEVERITY_ERROR || (strict && check.severity === SEVERITY_WARNING)
+  const counts = `tests="${checks.length}" failures="${checks.filter(isFailure).length}" errors="0"`
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="proguardian check" ${counts}>`,
+    `  <testsuite name="proguardian check" ${counts} skipped="0">`,
+    ...checks.map((check, index) => formatTestCase(check, names[index], isFailure(check))),
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n')
+}
@@ -0,0 +1,154 @@
+/**
+ * Command reports for ProGuardian CLI
+ * With the global `--json` flag a command prints one structured result on stdout instead of
+ * human-readable text, so CI and editor tooling can consume it without scraping the terminal
+ */
+
+import chalk from 'chalk'
+import path from 'path'
+import { log, logger, success, error, warn } from './logger.js'
+
+export const SEVERITY_OK = 'ok'
+export const SEVERITY_WARNING = 'warning'
+export const SEVERITY_ERROR = 'error'
+
+// Report of the running command while --json is on
+let current = null
+
+// Checks of the running command while `check --format` collects them for a report file
+let collected = null
+
+/**
+ * Starts collecting the result of a command and silences human-readable output
+ * @param {string} command - Command name, e.g. `check`
+ */
+export function startJSONReport(command) {
+  current = { command, checks: [], files: [], error: null }
+  logger.setSilent(true)
+}
+
+/**
+ * Checks whether the running command reports JSON
+ * @returns {boolean} True while --json is on
+ */
+export function isJSONReport() {
+  return current !== null
+}
+
+/**
+ * Records the outcome of one check for the JSON result and report files, without printing it
+ * For checks whose outcome is already shown another way, such as a row of a status table
+ * @param {Object} check - Check outcome, see reportCheck()
+ */
+export function recordCheck({ id, severity, message, remediation = null, file = null, subject }) {
+  const entry = {
+    id,
+    severity,
+    message,
+    remediation,
+    ...(file && { file }),
+    ...(subject && { subject }),
+  }
+  current?.checks.push(entry)
+  collected?.push(entry)
+}
+
+/**
+ * Prints the outcome of one check and records it for the JSON result
+ * @param {Object} check - Check outcome
+ * @param {string} check.id - Stable id such as `context-file`
+ * @param {'ok'|'warning'|'error'} check.severity - Severity
+ * @param {string} check.message - What was found
+ * @param {string} [check.remediation] - How to fix it, e.g. `Run: proguardian init`
+ * @param {string} [check.file] - File the check is about
+ * @param {string} [check.subject] - What the check is about when that is not a file, or when
+ *   several checks with the same id share one, e.g. `claude` or a JSON path
+ */
+export function reportCheck(check) {
+  const { severity, message, remediation } = check
+  if (severity === SEVERITY_ERROR) {
+    error(message)
+  } else if (severity === SEVERITY_WARNING) {
+    warn(message)
+  } else {
+    success(message)
+  }
+  if (remediation) {
+    log(chalk.gray(`   ${remediation}`))
+  }
+  recordCheck(check)
+}
+
+/**
+ * Starts collecting checks for a report file, independently of --json
+ */
+export function startCollectingChecks() {
+  collected = []
+}
+
+/**
+ * Stops collecting checks for a report file
+ * @returns {Array} Checks reported since startCollectingChecks()
+ */
+export function finishCollectingChecks() {
+  const checks = collected || []
+  collected = null
+  return checks
+}
+
+/**
+ * Records a file the running command wrote or removed
+ * @param {string} filePath - Absolute path, or a path relative to baseDir
+ * @param {string} baseDir - Directory relative paths are resolved against
+ */
+export function recordFile(filePath, baseDir = process.cwd()) {
+  const absolute = path.resolve(baseDir, filePath)
+  if (current && !current.files.includes(absolute)) {
+    current.files.push(absolute)
+  }
+}
+
+/**
+ * Records the error a command failed with
+ * @param {{code: string|null, message: string}} err - Error as shown to the user
+ */
+export function recordError(err) {
+  if (current) {
+    current.error = { code: err.code ?? null, message: err.message }
+  }
+}
+
+/**
+ * Derives the status of a result from its error and its most severe check
+ */
+function getStatus(report) {
+  const severities = new Set(report.checks.map((check) => check.severity))
+  if (report.error || severities.has(SEVERITY_ERROR)) {
+    return SEVERITY_ERROR
+  }
+  return severities.has(SEVERITY_WARNING) ? SEVERITY_WARNING : SEVERITY_OK
+}
+
+/**
+ * Stops collecting and returns the result of the command
+ * @returns {{command: string, status: string, checks: Array, files: string[], error: Object|null}|null}
+ *   Result, or null when --json is off
+ */
+export function finishJSONReport() {
+  if (!current) {
+    return null
+  }
+  const report = current
+  current = null
+  return { command: report.command, status: getStatus(report), ...report }
+}
+
+/**
+ * Prints the result of the command on stdout, once
+ */
+export function printJSONReport() {
+  const result = finishJSONReport()
+  if (result) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+  }
+}
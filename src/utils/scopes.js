@@ -0,0 +1,132 @@
+/**
+ * Directory scope utilities for ProGuardian CLI
+ * Nested context files carry stricter or lighter rules for part of a project, and assistants
+ * load every context file from the project root down to the directory they work in
+ */
+
+import path from 'path'
+import { CLI_CLAUDE, getTargetFilename } from './cli-detector.js'
+import { secureReadFile, securePathExists } from './file-security.js'
+import { findGuardianSection } from './guardian-section.js'
+import { getMarkerAssistants, getMarkerScopes } from './marker.js'
+import { resolveTemplateVariables } from './template-compiler.js'
+import { ValidationError } from './errors.js'
+import { validateSafePath } from './validation.js'
+
+/**
+ * Normalizes a scope directory to a forward-slash path relative to the project root
+ * @param {string} dir - Directory as typed by the user, e.g. `./payments/`
+ * @param {string} baseDir - Project root
+ * @returns {string} Normalized directory such as `payments` or `services/payments`
+ * @throws {ValidationError} If the directory is the root itself or outside the project
+ */
+export function normalizeScopeDir(dir, baseDir = process.cwd()) {
+  const absolute = validateSafePath(dir, baseDir)
+  const relative = path.relative(path.resolve(baseDir), absolute).split(path.sep).join('/')
+  if (relative === '') {
+    throw new ValidationError('scope', 'Must be a subdirectory; use init without --scope', dir)
+  }
+  return relative
+}
+
+/**
+ * Builds the variables for a directory scope's context file
+ * The scope shares the root's commands; only the CONTEXT section says where its rules apply
+ * @param {string} dir - Normalized scope directory
+ * @param {Object} stack - Result of detectStack() for the project root
+ * @param {Object} variables - Root template variables
+ * @returns {Object} Variables for resolveTemplateVariables()
+ */
+export function getScopeVariables(dir, stack, variables) {
+  const { projectContext } = resolveTemplateVariables(stack, variables)
+  const scope = `Directory scope \`${dir}/\`; these rules apply to files under it and take precedence over Guardian rules from parent directories.`
+
+  return { ...variables, projectContext: `${scope}\n\n${projectContext}` }
+}
+
+/**
+ * Lists a directory and its ancestors, from the project root down
+ * `payments/api` yields `.`, `payments`, `payments/api`
+ */
+function ancestorDirs(dir) {
+  const segments = dir === '.' ? [] : dir.split('/')
+  return ['.', ...segments.map((_, index) => segments.slice(0, index + 1).join('/'))]
+}
+
+/**
+ * Describes one context file that may apply to the directory
+ */
+async function inspectLayer(scope, dir, cliType, baseDir) {
+  const assistant = scope?.assistants.find((item) => item.cliType === cliType)
+  const file = path.posix.join(dir, assistant?.targetFile || getTargetFilename(cliType))
+  const filePath = validateSafePath(file, baseDir)
+  if (!(await securePathExists(filePath, { baseDir }))) {
+    return null
+  }
+
+  const content = await secureReadFile(filePath, { maxSize: 5 * 1024 * 1024, baseDir })
+  return {
+    dir,
+    file,
+    guardian: findGuardianSection(content) !== null,
+    kind: scope?.kind || null,
+    profile: scope?.profile || null,
+  }
+}
+
+/**
+ * Lists the assistants configured in any scope, defaulting to Claude like `check`
+ */
+function configuredCLITypes(scopes) {
+  const cliTypes = scopes.flatMap((scope) => scope.assistants.map((item) => item.cliType))
+  return cliTypes.length > 0 ? [...new Set(cliTypes)] : [CLI_CLAUDE]
+}
+
+/**
+ * Resolves which context files apply when an assistant works in a directory
+ * @param {Object|null} markerData - Marker data
+ * @param {string} dir - Directory relative to the project root
+ * @param {string} baseDir - Project root
+ * @returns {Promise<Array<{cliType: string, layers: Array}>>} Layers per configured assistant,
+ *   outermost first; the last Guardian layer takes precedence
+ */
+export async function resolveLayers(markerData, dir, baseDir = process.cwd()) {
+  const target = dir === '.' ? '.' : normalizeScopeDir(dir, baseDir)
+  const scopes = getMarkerScopes(markerData)
+  // Workspace packages and the root follow the profile in .proguardian
+  const rootProfile = markerData?.profile || null
+
+  const results = []
+  for (const cliType of configuredCLITypes(scopes)) {
+    const layers = []
+    for (const ancestor of ancestorDirs(target)) {
+      const scope = scopes.find((item) => item.dir === ancestor)
+      const layer = await inspectLayer(scope, ancestor, cliType, baseDir)
+      if (layer) {
+        layers.push({ ...layer, profile: layer.profile || (scope ? rootProfile : null) })
+      }
+    }
+    results.push({ cliType, layers })
+  }
+  return results
+}
+
+/**
+ * Merges a directory scope into those recorded by earlier runs
+ * @param {Array} recorded - `scopes` from the marker
+ * @param {{dir: string, profile: string, assistants: Array}} entry - Scope written by this run
+ * @returns {Array} Scopes sorted by directory
+ */
+export function mergeScopes(recorded, entry) {
+  const existing = recorded.find((scope) => scope.dir === entry.dir)
+  const assistants = [...getMarkerAssistants(existing)]
+  for (const assistant of entry.assistants) {
+    const index = assistants.findIndex((item) => item.cliType === assistant.cliType)
+    if (index === -1) assistants.push(assistant)
+    else assistants[index] = assistant
+  }
+
+  const scopes = recorded.filter((scope) => scope.dir !== entry.dir)
+  scopes.push({ dir: entry.dir, profile: entry.profile, assistants })
+  return scopes.sort((a, b) => a.dir.localeCompare(b.dir))
+}
@@ -0,0 +1,91 @@
+/**
+ * Installed section store for ProGuardian CLI
+ * Keeps the Guardian text each context file was last rendered with, the base `upgrade` merges from
+ */
+
+import path from 'path'
+import {
+  secureReadDir,
+  secureReadFile,
+  secureRemoveFile,
+  securePathExists,
+  secureWriteFile,
+} from './file-security.js'
+import { hashContent, renderGuardianSectionBody } from './guardian-section.js'
+import { backupFile } from './backups.js'
+import { validateSafePath } from './validation.js'
+
+// One file per context file, mirroring its path relative to the project root
+export const SECTION_BASE_DIR = '.proguardian.d/base'
+
+/**
+ * Gets the validated base path for a context file
+ * @param {string} baseDir - Project root
+ * @param {string} label - Context file path relative to the root, e.g. `packages/api/CLAUDE.md`
+ * @returns {string} Absolute path of the stored base
+ */
+export function getSectionBasePath(baseDir, label) {
+  return validateSafePath(path.posix.join(SECTION_BASE_DIR, label), baseDir)
+}
+
+/**
+ * Reads the section body a context file was last rendered with
+ * @param {string} baseDir - Project root
+ * @param {string} label - Context file path relative to the root
+ * @returns {Promise<string|null>} Stored section body, or null for setups that predate the store
+ */
+export async function readSectionBase(baseDir, label) {
+  const basePath = getSectionBasePath(baseDir, label)
+  if (!(await securePathExists(basePath, { baseDir }))) {
+    return null
+  }
+  return secureReadFile(basePath, { maxSize: 5 * 1024 * 1024, baseDir })
+}
+
+/**
+ * Hashes the section body a context file is rendered with
+ * `.proguardian` records it under `sectionHashes`, so `check` can tell local edits apart
+ * @param {string} guardianContent - Rendered Guardian protocol
+ * @returns {string} Hex encoded sha256 digest of the section body
+ */
+export function hashSectionBody(guardianContent) {
+  return hashContent(renderGuardianSectionBody(guardianContent))
+}
+
+/**
+ * Records the section body a context file was just rendered with
+ * An unchanged base is left alone, so re-rendering does not open a backup session of its own
+ * @param {string} baseDir - Project root
+ * @param {string} label - Context file path relative to the root
+ * @param {string} guardianContent - Rendered Guardian protocol
+ * @returns {Promise<string>} Hash of the section body, as hashSectionBody() returns it
+ */
+export async function writeSectionBase(baseDir, label, guardianContent) {
+  const body = renderGuardianSectionBody(guardianContent)
+  if ((await readSectionBase(baseDir, label)) !== body) {
+    await backupFile(baseDir, path.posix.join(SECTION_BASE_DIR, label))
+    await secureWriteFile(getSectionBasePath(baseDir, label), body, { baseDir })
+  }
+  return hashSectionBody(guardianContent)
+}
+
+/**
+ * Removes every stored base, and `.proguardian.d` itself once nothing else lives there
+ * @param {string} baseDir - Project root
+ * @returns {Promise<boolean>} True if the store existed
+ */
+export async function removeSectionBases(baseDir) {
+  const storePath = validateSafePath(SECTION_BASE_DIR, baseDir)
+  if (!(await securePathExists(storePath, { baseDir }))) {
+    return false
+  }
+  await backupFile(baseDir, SECTION_BASE_DIR)
+  await secureRemoveFile(storePath, { baseDir })
+
+  // Project templates and backups also live in .proguardian.d and stay
+  const storeDir = validateSafePath(path.posix.dirname(SECTION_BASE_DIR), baseDir)
+  if ((await secureReadDir(storeDir, { baseDir })).length === 0) {
+    await secureRemoveFile(storeDir, { baseDir })
+  }
+  return true
+}
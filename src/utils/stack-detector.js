@@ -0,0 +1,296 @@
+/**
+ * Project stack detection for ProGuardian CLI
+ * Inspects repository manifests to pick test, lint and search commands
+ */
+
+import fs from 'fs-extra'
+import { secureReadFile, securePathExists } from './file-security.js'
+import { validateSafePath } from './validation.js'
+
+// Manifests whose contents drive detection
+const MANIFEST_FILES = [
+  'package.json',
+  'pyproject.toml',
+  'requirements.txt',
+  'setup.py',
+  'setup.cfg',
+  'go.mod',
+  'Cargo.toml',
+  'Makefile',
+]
+
+// Files whose presence alone is meaningful (lockfiles can be large, so never read them)
+const PRESENCE_FILES = [
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lockb',
+  'tsconfig.json',
+  'poetry.lock',
+  'uv.lock',
+  'ruff.toml',
+  '.flake8',
+  '.golangci.yml',
+  '.golangci.yaml',
+]
+
+const MAX_MANIFEST_SIZE = 1024 * 1024 // 1MB
+const MAX_LISTED_DIRECTORIES = 10
+const MAX_LISTED_DEPENDENCIES = 15
+
+// Placeholder and security greps per ecosystem, used in STEP 6 of the protocol
+const SEARCH_COMMANDS = {
+  node: [
+    'grep -rn "TODO\\|FIXME\\|console\\.log\\|temporary" --include="*.js" --include="*.ts" --exclude-dir=node_modules .',
+    'grep -rn "eval(\\|innerHTML\\|password.*=" --include="*.js" --include="*.ts" --exclude-dir=node_modules .',
+  ],
+  python: [
+    'grep -rn "TODO\\|FIXME\\|print(\\|temporary" --include="*.py" .',
+    'grep -rn "eval(\\|exec(\\|pickle\\.loads\\|password.*=" --include="*.py" .',
+  ],
+  go: [
+    'grep -rn "TODO\\|FIXME\\|fmt\\.Println\\|temporary" --include="*.go" .',
+    'grep -rn "exec\\.Command\\|unsafe\\.\\|password.*=" --include="*.go" .',
+  ],
+  rust: [
+    'grep -rn "TODO\\|FIXME\\|todo!\\|unimplemented!\\|dbg!" --include="*.rs" .',
+    'grep -rn "unsafe \\|\\.unwrap()\\|password.*=" --include="*.rs" .',
+  ],
+  unknown: [
+    'grep -r "TODO\\|FIXME\\|console\\.log\\|temporary" .',
+    'grep -r "eval\\|innerHTML\\|password.*=" .',
+  ],
+}
+
+const ECOSYSTEM_NAMES = {
+  node: 'Node.js',
+  python: 'Python',
+  go: 'Go',
+  rust: 'Rust',
+}
+
+// Shown in CONTEXT when no detector matched; a Makefile alone only contributes commands
+const NO_MANIFEST = 'no supported manifest found (package.json, pyproject.toml, go.mod, Cargo.toml)'
+
+/**
+ * Reads manifests and records marker file presence for a directory
+ */
+async function inspectDirectory(baseDir) {
+  const contents = {}
+  const present = new Set()
+
+  for (const name of [...MANIFEST_FILES, ...PRESENCE_FILES]) {
+    const filePath = validateSafePath(name, baseDir)
+    if (!(await securePathExists(filePath, { baseDir }))) continue
+
+    present.add(name)
+    if (MANIFEST_FILES.includes(name)) {
+      try {
+        contents[name] = await secureReadFile(filePath, { maxSize: MAX_MANIFEST_SIZE, baseDir })
+      } catch {
+        // Unreadable manifests still count as present
+      }
+    }
+  }
+
+  return { contents, present }
+}
+
+/**
+ * Extracts target names from a Makefile
+ * @param {string} makefile - Makefile content
+ * @returns {Set<string>} Declared targets
+ */
+export function parseMakefileTargets(makefile) {
+  const targets = new Set()
+  if (!makefile) return targets
+
+  for (const match of makefile.matchAll(/^([A-Za-z0-9_.-]+)\s*:(?!=)/gm)) {
+    targets.add(match[1])
+  }
+  return targets
+}
+
+function parsePackageJSON(content) {
+  try {
+    return JSON.parse(content)
+  } catch {
+    return null
+  }
+}
+
+function detectNodePackageManager(present) {
+  if (present.has('pnpm-lock.yaml')) return 'pnpm'
+  if (present.has('yarn.lock')) return 'yarn'
+  if (present.has('bun.lockb')) return 'bun'
+  return 'npm'
+}
+
+function detectNode({ contents, present }) {
+  if (!present.has('package.json')) return null
+
+  const pkg = parsePackageJSON(contents['package.json']) || {}
+  const scripts = pkg.scripts || {}
+  const packageManager = detectNodePackageManager(present)
+
+  return {
+    ecosystem: 'node',
+    language: present.has('tsconfig.json') ? 'TypeScript' : 'JavaScript',
+    packageManager,
+    testCommand: scripts.test ? `${packageManager} test` : null,
+    lintCommand: scripts.lint ? `${packageManager} run lint` : null,
+    dependencies: Object.keys(pkg.dependencies || {}).slice(0, MAX_LISTED_DEPENDENCIES),
+  }
+}
+
+function detectPythonLinter({ contents, present }, runner) {
+  const config = `${contents['pyproject.toml'] || ''}\n${contents['setup.cfg'] || ''}`
+  if (present.has('ruff.toml') || config.includes('[tool.ruff')) return `${runner}ruff check .`
+  if (present.has('.flake8') || config.includes('[flake8]')) return `${runner}flake8`
+  return null
+}
+
+function detectPython(inspection) {
+  const { present } = inspection
+  const isPython = ['pyproject.toml', 'requirements.txt', 'setup.py'].some((f) => present.has(f))
+  if (!isPython) return null
+
+  let runner = ''
+  if (present.has('poetry.lock')) runner = 'poetry run '
+  else if (present.has('uv.lock')) runner = 'uv run '
+
+  return {
+    ecosystem: 'python',
+    language: 'Python',
+    packageManager: runner ? runner.split(' ')[0] : 'pip',
+    testCommand: `${runner}pytest`,
+    lintCommand: detectPythonLinter(inspection, runner),
+    dependencies: [],
+  }
+}
+
+function detectGo({ contents, present }) {
+  if (!present.has('go.mod')) return null
+
+  const module = /^module\s+(\S+)/m.exec(contents['go.mod'] || '')
+  const hasGolangci = present.has('.golangci.yml') || present.has('.golangci.yaml')
+
+  return {
+    ecosystem: 'go',
+    language: 'Go',
+    packageManager: 'go modules',
+    module: module ? module[1] : null,
+    testCommand: 'go test ./...',
+    lintCommand: hasGolangci ? 'golangci-lint run' : 'go vet ./...',
+    dependencies: [],
+  }
+}
+
+function detectRust({ present }) {
+  if (!present.has('Cargo.toml')) return null
+
+  return {
+    ecosystem: 'rust',
+    language: 'Rust',
+    packageManager: 'cargo',
+    testCommand: 'cargo test',
+    lintCommand: 'cargo clippy -- -D warnings',
+    dependencies: [],
+  }
+}
+
+const DETECTORS = [detectNode, detectPython, detectGo, detectRust]
+
+/**
+ * Lists visible top-level directories to describe the project structure
+ */
+async function listTopLevelDirectories(baseDir) {
+  try {
+    const entries = await fs.readdir(baseDir, { withFileTypes: true })
+    return entries
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map((entry) => entry.name)
+      .filter((name) => name !== 'node_modules' && name !== 'vendor' && name !== 'target')
+      .sort()
+      .slice(0, MAX_LISTED_DIRECTORIES)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Detects the project's ecosystem and the commands Guardian should use
+ * package.json scripts win over Makefile targets, which win over ecosystem defaults
+ * @param {string} baseDir - Project directory
+ * @returns {Promise<Object>} Detected stack
+ */
+export async function detectStack(baseDir = process.cwd()) {
+  const inspection = await inspectDirectory(baseDir)
+  const makeTargets = parseMakefileTargets(inspection.contents.Makefile)
+
+  let stack = { ecosystem: 'unknown', language: null, testCommand: null, lintCommand: null }
+  for (const detector of DETECTORS) {
+    const detected = detector(inspection)
+    if (detected) {
+      stack = detected
+      break
+    }
+  }
+
+  const fromScripts = stack.ecosystem === 'node'
+  if (makeTargets.has('test') && !(fromScripts && stack.testCommand)) {
+    stack.testCommand = 'make test'
+  }
+  if (makeTargets.has('lint') && !(fromScripts && stack.lintCommand)) {
+    stack.lintCommand = 'make lint'
+  }
+
+  stack.searchCommands = SEARCH_COMMANDS[stack.ecosystem]
+  stack.directories = await listTopLevelDirectories(baseDir)
+  return stack
+}
+
+/**
+ * Formats the CONTEXT section bullets for a detected stack
+ * Projects without a manifest still list the commands found in their Makefile
+ */
+function formatProjectContext(stack) {
+  const known = stack && stack.ecosystem !== 'unknown'
+  if (!known && !stack?.testCommand && !stack?.lintCommand) {
+    return `Detected by proguardian init: ${NO_MANIFEST}.`
+  }
+
+  const join = (items) => (items?.length ? items.join(', ') : null)
+  const code = (command) => (command ? `\`${command}\`` : null)
+  const technology = known
+    ? `${ECOSYSTEM_NAMES[stack.ecosystem]} (${stack.language})`
+    : `unknown, ${NO_MANIFEST}`
+  const facts = [
+    ['Technology stack', technology],
+    ['Package manager', stack.packageManager],
+    ['Module', stack.module],
+    ['Test command', code(stack.testCommand)],
+    ['Lint command', code(stack.lintCommand)],
+    ['Dependencies', join(stack.dependencies)],
+    ['Top-level directories', join(stack.directories)],
+  ]
+
+  const lines = facts.filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`)
+  return ['Detected by proguardian init:', '', ...lines].join('\n')
+}
+
+/**
+ * Converts a detected stack into template variables
+ * @param {Object|null} stack - Result of detectStack, or null for generic wording
+ * @returns {Object} Template variables
+ */
+export function getStackVariables(stack) {
+  const searchCommands = stack?.searchCommands || SEARCH_COMMANDS.unknown
+
+  return {
+    testCommand: stack?.testCommand || "# Run the project's test suite",
+    lintCommand: stack?.lintCommand || '# No lint command detected',
+    placeholderSearch: searchCommands[0],
+    securitySearch: searchCommands[1],
+    projectContext: formatProjectContext(stack),
+  }
+}
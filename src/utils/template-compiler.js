@@ -0,0 +1,221 @@
+/**
+ * Template compiler for ProGuardian CLI
+ * Renders the single canonical Guardian protocol for each supported assistant
+ */
+
+import path from 'path'
+import { fileURLToPath } from 'url'
+import fs from 'fs-extra'
+import { CLI_CLAUDE, CLI_GEMINI } from './cli-detector.js'
+import { validateCLIType, validateSafePath } from './validation.js'
+import { ValidationError } from './errors.js'
+import { secureReadFile, securePathExists } from './file-security.js'
+import { hashContent } from './guardian-section.js'
+import { getStackVariables } from './stack-detector.js'
+import { getProfile } from './profiles.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Canonical protocol source shipped in the package templates directory (strict profile)
+export const CANONICAL_TEMPLATE = 'guardian.md'
+
+// Project-level directory whose templates override the bundled ones, named like the bundled file
+export const TEMPLATE_OVERRIDE_DIR = '.proguardian.d/templates'
+
+// Where the rendered template came from, recorded in .proguardian
+export const TEMPLATE_SOURCE_BUNDLED = 'bundled'
+export const TEMPLATE_SOURCE_PROJECT = 'project'
+export const TEMPLATE_SOURCE_CUSTOM = 'custom'
+
+// Matches {{name}} placeholders, allowing surrounding whitespace
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g
+
+// Custom templates are plain markdown, so anything this large is a mistake
+const MAX_TEMPLATE_SIZE = 1024 * 1024
+
+// Project variables every marker carries so users can see and edit them
+export const DEFAULT_VARIABLES = {
+  protectedPaths: [],
+  sensitiveDomains: ['authentication', 'payments', 'user data'],
+}
+
+// Assistant-specific wording substituted into the canonical template
+const ASSISTANT_VARIABLES = {
+  [CLI_CLAUDE]: {
+    assistantName: 'Claude Code',
+    checklistFile: 'CLAUDE.md',
+    initCommand: 'claude init',
+    readTool: 'Read tool',
+  },
+  [CLI_GEMINI]: {
+    assistantName: 'Gemini CLI',
+    checklistFile: 'GEMINI.md',
+    initCommand: 'gemini init',
+    readTool: 'read_file tool',
+  },
+}
+
+/**
+ * Gets the absolute path to a bundled template
+ * @param {string} filename - Template filename
+ * @returns {string} Absolute template path
+ */
+export function getBundledTemplatePath(filename = CANONICAL_TEMPLATE) {
+  return path.resolve(__dirname, '..', '..', 'templates', filename)
+}
+
+/**
+ * Gets the assistant-specific template variables
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @returns {Object} Variables for the assistant
+ */
+export function getAssistantVariables(cliType) {
+  validateCLIType(cliType)
+  return { ...ASSISTANT_VARIABLES[cliType] }
+}
+
+/**
+ * Formats a variable value for insertion into markdown
+ */
+function formatVariable(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : 'none configured'
+  }
+  return String(value)
+}
+
+/**
+ * Substitutes {{name}} placeholders in a template
+ * @param {string} source - Template source
+ * @param {Object} variables - Values keyed by placeholder name
+ * @returns {string} Compiled template
+ * @throws {ValidationError} If the template references an unknown variable
+ */
+export function compileTemplate(source, variables = {}) {
+  const missing = new Set()
+
+  const compiled = source.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!Object.hasOwn(variables, name)) {
+      missing.add(name)
+      return match
+    }
+    return formatVariable(variables[name])
+  })
+
+  if (missing.size > 0) {
+    throw new ValidationError('template', `Unknown placeholder(s): ${[...missing].join(', ')}`)
+  }
+
+  return compiled
+}
+
+/**
+ * Combines detected stack variables with the variables configured in .proguardian
+ * Configured variables always win over detection
+ * @param {Object|null} stack - Result of detectStack()
+ * @param {Object} variables - Variables from the marker
+ * @returns {Object} Variables for renderGuardianTemplate()
+ */
+export function resolveTemplateVariables(stack, variables = {}) {
+  return { ...getStackVariables(stack), ...variables }
+}
+
+/**
+ * Validates a template before it is rendered into a context file
+ * @param {string} source - Template source
+ * @param {string} label - Template path for error messages
+ * @throws {ValidationError} If the template is empty, malformed or contains Guardian markers
+ */
+export function validateTemplate(source, label = 'template') {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ValidationError('template', 'Template cannot be empty', label)
+  }
+
+  // Section markers inside the template would break the bounds of the Guardian section
+  if (source.includes('<!-- proguardian:')) {
+    throw new ValidationError('template', 'Template must not contain proguardian markers', label)
+  }
+
+  // Every {{ must open a well-formed placeholder
+  const malformed = source.replace(PLACEHOLDER_PATTERN, '').match(/\{\{[^}\n]*\}?\}?/)
+  if (malformed) {
+    throw new ValidationError('template', `Malformed placeholder ${malformed[0]}`, label)
+  }
+}
+
+/**
+ * Reads a template from the project directory
+ */
+async function readProjectTemplate(relativePath, baseDir) {
+  const templatePath = validateSafePath(relativePath, baseDir)
+  if (!(await securePathExists(templatePath, { baseDir }))) {
+    throw new ValidationError('template', 'File does not exist', relativePath)
+  }
+  return secureReadFile(templatePath, { maxSize: MAX_TEMPLATE_SIZE, baseDir })
+}
+
+/**
+ * Picks the template to render: an explicit path, then the project override, then the bundled one
+ */
+async function locateTemplate(options) {
+  const { baseDir = process.cwd(), templatePath } = options
+  const { template } = getProfile(options.profile)
+
+  if (templatePath) {
+    // Record the path relative to the project so the marker stays portable
+    const resolved = validateSafePath(templatePath, baseDir)
+    return { source: TEMPLATE_SOURCE_CUSTOM, path: path.relative(baseDir, resolved) }
+  }
+
+  const overridePath = path.posix.join(TEMPLATE_OVERRIDE_DIR, template)
+  if (await securePathExists(validateSafePath(overridePath, baseDir), { baseDir })) {
+    return { source: TEMPLATE_SOURCE_PROJECT, path: overridePath }
+  }
+
+  return { source: TEMPLATE_SOURCE_BUNDLED, path: template }
+}
+
+/**
+ * Loads and validates the template for a profile
+ * @param {Object} options - { profile, templatePath, baseDir }
+ * @returns {Promise<{source: string, path: string, hash: string, content: string}>} Template
+ */
+export async function loadTemplate(options = {}) {
+  const located = await locateTemplate(options)
+
+  let content
+  if (located.source === TEMPLATE_SOURCE_BUNDLED) {
+    const bundledPath = getBundledTemplatePath(located.path)
+
+    // Ensure template exists (use fs directly for templates)
+    if (!(await fs.pathExists(bundledPath))) {
+      throw new Error(`Template file not found: ${located.path}`)
+    }
+
+    // Read template directly (not subject to cwd validation)
+    content = await fs.readFile(bundledPath, 'utf-8')
+  } else {
+    content = await readProjectTemplate(located.path, options.baseDir || process.cwd())
+  }
+
+  validateTemplate(content, located.path)
+  return { ...located, hash: hashContent(content), content }
+}
+
+/**
+ * Renders the Guardian protocol for an assistant
+ * Stack-specific commands fall back to generic wording when not supplied
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @param {Object} variables - Additional variables, e.g. from resolveTemplateVariables()
+ * @param {Object} options - { profile, templatePath, baseDir } or a preloaded { template }
+ * @returns {Promise<string>} Rendered protocol
+ */
+export async function renderGuardianTemplate(cliType, variables = {}, options = {}) {
+  const { content } = options.template || (await loadTemplate(options))
+  return compileTemplate(content, {
+    ...getStackVariables(null),
+    ...DEFAULT_VARIABLES,
+    ...getAssistantVariables(cliType),
+    ...variables,
+  })
+}
@@ -0,0 +1,63 @@
+/**
+ * Token estimation utilities for ProGuardian CLI
+ * Assistants send their context files with every request, so `check --tokens` estimates what
+ * Guardian costs without calling a tokenizer service
+ */
+
+import { findGuardianSection } from './guardian-section.js'
+import { ValidationError } from './errors.js'
+
+// Budget for everything an assistant loads from one context file, imports included
+export const DEFAULT_TOKEN_BUDGET = 2000
+
+// Words, numbers, and each punctuation or symbol character on its own
+const TOKEN_PIECES = /\p{L}+|\p{N}+|[^\s\p{L}\p{N}]/gu
+
+// BPE vocabularies hold common words whole and split longer ones into ~4-character pieces
+const CHARS_PER_TOKEN = 4
+
+/**
+ * Estimates the number of tokens in a text
+ * An offline approximation of the BPE tokenizers Claude and Gemini use, meant for budgeting
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  let tokens = 0
+  for (const [piece] of String(text).matchAll(TOKEN_PIECES)) {
+    tokens += Math.ceil(piece.length / CHARS_PER_TOKEN)
+  }
+  return tokens
+}
+
+/**
+ * Estimates the tokens of a context file and of its Guardian section
+ * @param {string} content - Context file content
+ * @param {string|null} protocol - Protocol file the section imports with `init --link`
+ * @returns {{section: number, total: number}} Estimated tokens; an imported protocol counts
+ *   towards both, as assistants load it along with the context file
+ */
+export function measureContextTokens(content, protocol = null) {
+  const imported = protocol === null ? 0 : estimateTokens(protocol)
+  const section = findGuardianSection(content)
+  const sectionTokens = section ? estimateTokens(content.slice(section.start, section.end)) : 0
+
+  return {
+    section: sectionTokens + imported,
+    total: estimateTokens(content) + imported,
+  }
+}
+
+/**
+ * Parses a token budget from --budget or `tokenBudget` in .proguardian
+ * @param {string|number|undefined} value - Budget, defaults to DEFAULT_TOKEN_BUDGET
+ * @returns {number} Budget in tokens
+ * @throws {ValidationError} If the budget is not a positive whole number
+ */
+export function parseTokenBudget(value = DEFAULT_TOKEN_BUDGET) {
+  const budget = Number(value)
+  if (!/^\d+$/.test(String(value).trim()) || budget <= 0) {
+    throw new ValidationError('budget', 'Must be a positive whole number of tokens', value)
+  }
+  return budget
+}
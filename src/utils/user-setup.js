@@ -0,0 +1,147 @@
+/**
+ * User-level Guardian utilities for ProGuardian CLI
+ * Assistants also load a context file from the user's home directory, so one Guardian section
+ * there covers every project, next to any Guardian section the project carries itself
+ */
+
+import os from 'os'
+import path from 'path'
+import { CLI_CLAUDE, CLI_GEMINI, getTargetFilename } from './cli-detector.js'
+import { secureReadFile, securePathExists } from './file-security.js'
+import { findGuardianSection } from './guardian-section.js'
+import { readMarker } from './marker.js'
+import { validateSafePath } from './validation.js'
+
+// Directory under the home directory where each assistant reads its user-level context file
+const USER_CONFIG_DIRS = {
+  [CLI_CLAUDE]: '.claude',
+  [CLI_GEMINI]: '.gemini',
+}
+
+// A user-level install has no project to detect, so the protocol uses generic commands
+export const USER_STACK = {
+  ecosystem: 'unknown',
+  language: null,
+  testCommand: null,
+  lintCommand: null,
+}
+
+const USER_CONTEXT =
+  "User-level Guardian from `proguardian init --user`; it applies to every project. A Guardian section in the project's own context file takes precedence."
+
+/**
+ * Resolves the home directory user-level files are installed in
+ * @param {string} homeDir - Override, used by tests
+ * @returns {string} Absolute home directory
+ */
+export function getUserHome(homeDir) {
+  return path.resolve(homeDir || os.homedir())
+}
+
+/**
+ * Gets the user-level context file of an assistant, relative to the home directory
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @returns {string} Path such as `.claude/CLAUDE.md`
+ */
+export function getUserTargetFilename(cliType) {
+  const filename = getTargetFilename(cliType)
+  return path.posix.join(USER_CONFIG_DIRS[cliType], filename)
+}
+
+/**
+ * Formats a path relative to the home directory for display, e.g. `~/.claude/CLAUDE.md`
+ * @param {string} file - Path relative to the home directory
+ * @returns {string} Display path
+ */
+export function formatUserPath(file) {
+  return `~/${file}`
+}
+
+/**
+ * Builds the variables for a user-level context file
+ * @param {Object} variables - Variables from the user-level marker
+ * @returns {Object} Variables for resolveTemplateVariables()
+ */
+export function getUserVariables(variables) {
+  return { projectContext: USER_CONTEXT, ...variables }
+}
+
+/**
+ * Finds the Guardian sections installed in a set of context files
+ * @param {Array<{cliType: string, targetFile: string}>} assistants - Context files to inspect
+ * @param {string} baseDir - Directory the files are relative to
+ * @returns {Promise<Array<{cliType: string, file: string, version: string|null}>>} Sections found
+ */
+export async function findInstalledSections(assistants, baseDir) {
+  const installed = []
+  for (const { cliType, targetFile } of assistants) {
+    const filePath = validateSafePath(targetFile, baseDir)
+    if (!(await securePathExists(filePath, { baseDir }))) {
+      continue
+    }
+    const content = await secureReadFile(filePath, { maxSize: 5 * 1024 * 1024, baseDir })
+    const section = findGuardianSection(content)
+    if (section) {
+      installed.push({ cliType, file: targetFile, version: section.version })
+    }
+  }
+  return installed
+}
+
+/**
+ * Inspects the user-level Guardian install
+ * @param {string} homeDir - Home directory
+ * @returns {Promise<{profile: string|null, sections: Array}>} Profile and installed sections
+ */
+export async function inspectUserSetup(homeDir) {
+  let marker = null
+  try {
+    marker = await readMarker(homeDir)
+  } catch {
+    // A damaged marker only hides the profile; the sections are still reported
+  }
+
+  const assistants = [CLI_CLAUDE, CLI_GEMINI].map((cliType) => ({
+    cliType,
+    targetFile: getUserTargetFilename(cliType),
+  }))
+  return {
+    profile: marker?.profile || null,
+    sections: await findInstalledSections(assistants, homeDir),
+  }
+}
+
+/**
+ * Formats a section version for conflict messages
+ */
+function formatVersion(version) {
+  return version ? `v${version}` : 'an unversioned section'
+}
+
+/**
+ * Compares the user-level and project-level installs of each assistant
+ * Both sections are loaded at once, so a different protocol version or profile conflicts
+ * @param {{profile: string|null, sections: Array}} user - Result of inspectUserSetup()
+ * @param {{profile: string|null, sections: Array}} project - Same shape for the project
+ * @returns {Array<{cliType: string, reason: string}>} Conflicts, empty when both levels agree
+ */
+export function findSetupConflicts(user, project) {
+  const conflicts = []
+  for (const userSection of user.sections) {
+    const projectSection = project.sections.find((item) => item.cliType === userSection.cliType)
+    if (!projectSection) {
+      continue
+    }
+
+    const { cliType } = userSection
+    if (userSection.version !== projectSection.version) {
+      const reason = `${formatVersion(userSection.version)} at user level, ${formatVersion(projectSection.version)} in the project`
+      conflicts.push({ cliType, reason })
+    }
+    if (user.profile && project.profile && user.profile !== project.profile) {
+      const reason = `${user.profile} profile at user level, ${project.profile} in the project`
+      conflicts.push({ cliType, reason })
+    }
+  }
+  return conflicts
+}
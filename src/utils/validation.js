@@ -9,18 +9,73 @@ import { ValidationError, PathTraversalError, CommandInjectionError } from './er
 // Valid CLI types that we support
 const VALID_CLI_TYPES = ['claude', 'gemini']
 
+// Guardian profiles, from the full review-gate workflow down to security warnings only
+const VALID_PROFILES = ['strict', 'standard', 'light']
+
+// File formats `check --format` writes its report in
+const VALID_REPORT_FORMATS = ['sarif', 'junit']
+
+// Template variable names follow the {{name}} placeholder syntax
+const VARIABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/
+
 // Command option schemas
 const OPTION_SCHEMAS = {
   init: {
     force: { type: 'boolean', required: false },
-    cli: { type: 'string', required: false, enum: VALID_CLI_TYPES },
+    cli: { type: 'string', required: false, enum: VALID_CLI_TYPES, list: true },
+    allDetected: { type: 'boolean', required: false },
+    profile: { type: 'string', required: false, enum: VALID_PROFILES },
+    template: { type: 'string', required: false }, // Custom template path
+    workspaces: { type: 'boolean', required: false },
+    scope: { type: 'string', required: false }, // Directory for a nested context file
+    yes: { type: 'boolean', required: false },
     verbose: { type: 'boolean', required: false },
+    dryRun: { type: 'boolean', required: false },
+    user: { type: 'boolean', required: false }, // Install in the user-level context files
+    link: { type: 'boolean', required: false }, // Import the protocol from its own file
     baseDir: { type: 'string', required: false }, // For testing
+    homeDir: { type: 'string', required: false }, // For testing
     path: { type: 'string', required: false }, // Custom path for the file
   },
+  uninit: {
+    user: { type: 'boolean', required: false },
+    verbose: { type: 'boolean', required: false },
+    baseDir: { type: 'string', required: false }, // For testing
+    homeDir: { type: 'string', required: false }, // For testing
+  },
+  render: {
+    verbose: { type: 'boolean', required: false },
+    baseDir: { type: 'string', required: false }, // For testing
+  },
+  upgrade: {
+    dryRun: { type: 'boolean', required: false },
+    verbose: { type: 'boolean', required: false },
+    baseDir: { type: 'string', required: false }, // For testing
+  },
+  restore: {
+    list: { type: 'boolean', required: false },
+    at: { type: 'string', required: false }, // Backup timestamp
+    verbose: { type: 'boolean', required: false },
+    baseDir: { type: 'string', required: false }, // For testing
+  },
   check: {
     fix: { type: 'boolean', required: false },
+    dryRun: { type: 'boolean', required: false }, // Lists what --fix would repair
+    path: { type: 'string', required: false }, // Directory to report the layering for
+    tokens: { type: 'boolean', required: false },
+    budget: { type: 'string', required: false }, // Token budget per context file
+    strict: { type: 'boolean', required: false },
+    format: { type: 'string', required: false, enum: VALID_REPORT_FORMATS },
+    output: { type: 'string', required: false }, // Report file for --format
     verbose: { type: 'boolean', required: false },
+    baseDir: { type: 'string', required: false },
+    homeDir: { type: 'string', required: false }, // For testing
+  },
+  doctor: {
+    bundle: { required: false }, // true, or the file to write the support bundle to
+    verbose: { type: 'boolean', required: false },
+    baseDir: { type: 'string', required: false }, // For testing
+    homeDir: { type: 'string', required: false }, // For testing
   },
   'install-wrapper': {
     global: { type: 'boolean', required: false },
@@ -29,6 +84,93 @@ const OPTION_SCHEMAS = {
   },
 }
 
+// Field rules shared by the marker schema
+const HASH_RULE = { type: 'string', pattern: /^[0-9a-f]{64}$/ }
+const VERSION_RULE = { type: 'string', pattern: /^\d+\.\d+\.\d+/ }
+const TIMESTAMP_RULE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}T/ }
+const COMMAND_RULE = { type: ['string', 'null'] }
+const ASSISTANTS_RULE = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      cliType: { type: 'string', required: true, enum: VALID_CLI_TYPES },
+      targetFile: { type: 'string', required: true },
+      createdFile: { type: 'boolean' },
+      originalHash: HASH_RULE,
+      linkedFile: { type: 'string', pattern: /^\.proguardian\.d\/protocol\/.+\.md$/ },
+    },
+  },
+}
+
+// Schema of the .proguardian marker. Every top-level field is optional, so markers written by
+// earlier versions, which only carried cliType and targetFile, stay valid
+export const MARKER_SCHEMA = {
+  version: VERSION_RULE,
+  templateVersion: VERSION_RULE,
+  initialized: TIMESTAMP_RULE,
+  upgraded: TIMESTAMP_RULE,
+  repaired: TIMESTAMP_RULE,
+  rendered: TIMESTAMP_RULE,
+  mode: { type: 'string', enum: ['guardian'] },
+  profile: { type: 'string', enum: VALID_PROFILES },
+  cliType: { type: 'string', enum: VALID_CLI_TYPES },
+  targetFile: { type: 'string' },
+  createdFile: { type: 'boolean' },
+  originalHash: HASH_RULE,
+  enhanced: { type: 'boolean' },
+  assistants: ASSISTANTS_RULE,
+  workspaces: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        dir: { type: 'string', required: true },
+        assistants: ASSISTANTS_RULE,
+      },
+    },
+  },
+  scopes: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string', required: true },
+        profile: { type: 'string', enum: VALID_PROFILES },
+        assistants: ASSISTANTS_RULE,
+      },
+    },
+  },
+  setup: {
+    type: 'object',
+    properties: { wrapper: { type: 'boolean' }, gitHooks: { type: 'boolean' } },
+  },
+  tokenBudget: { type: ['number', 'string'], pattern: /^\d+$/ },
+  template: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', required: true, enum: ['bundled', 'project', 'custom'] },
+      path: { type: 'string' },
+      hash: HASH_RULE,
+    },
+  },
+  sectionHashes: { type: 'object', values: HASH_RULE },
+  stack: {
+    type: 'object',
+    properties: {
+      ecosystem: { type: 'string' },
+      testCommand: COMMAND_RULE,
+      lintCommand: COMMAND_RULE,
+      searchCommands: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  variables: {
+    type: 'object',
+    values: { type: ['string', 'number', 'boolean', 'array'], items: { type: 'string' } },
+  },
+}
+
 /**
  * Validate command options against schema
  */
@@ -68,8 +210,9 @@ export function validateOptions(command, options) {
       throw new ValidationError(key, value, 'Must be a string')
     }
 
-    // Enum validation
-    if (rules.enum && !rules.enum.includes(value)) {
+    // Enum validation, applied to each item of comma-separated lists
+    const values = rules.list ? value.split(',').map((item) => item.trim()) : [value]
+    if (rules.enum && !values.every((item) => rules.enum.includes(item))) {
       throw new ValidationError(key, value, `Must be one of: ${rules.enum.join(', ')}`)
     }
   }
@@ -163,6 +306,17 @@ export function validateCLIType(cliType) {
   return cliType
 }
 
+/**
+ * Validate Guardian profile name
+ */
+export function validateProfile(profile) {
+  if (!VALID_PROFILES.includes(profile)) {
+    throw new ValidationError('profile', `Must be one of: ${VALID_PROFILES.join(', ')}`, profile)
+  }
+
+  return profile
+}
+
 /**
  * Validate command strings to prevent injection
  */
@@ -188,34 +342,171 @@ export function validateCommand(command) {
   return command
 }
 
+/**
+ * Gets the schema type of a JSON value
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+/**
+ * Joins a JSON path and a key, quoting keys that are not identifiers
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${parent}[${JSON.stringify(key)}]`
+  return parent ? `${parent}.${key}` : key
+}
+
+/**
+ * Describes the shape a rule expects, e.g. `one of: claude, gemini`
+ */
+function describeRule(rules) {
+  if (rules.enum) {
+    return `one of: ${rules.enum.join(', ')}`
+  }
+  const types = [rules.type || 'any value'].flat().join(' or ')
+  return rules.pattern ? `${types} matching ${rules.pattern}` : types
+}
+
+/**
+ * Lists the fields of an object to check, recording missing and unknown ones
+ */
+function listFields(value, rules, jsonPath, result) {
+  const fields = []
+  for (const [key, fieldRules] of Object.entries(rules.properties)) {
+    if (key in value) {
+      fields.push([value[key], fieldRules, joinPath(jsonPath, key)])
+    } else if (fieldRules.required) {
+      result.errors.push({ path: joinPath(jsonPath, key), expected: describeRule(fieldRules) })
+    }
+  }
+  for (const key of Object.keys(value).filter((item) => !(item in rules.properties))) {
+    result.unknown.push(joinPath(jsonPath, key))
+  }
+  return fields
+}
+
+/**
+ * Lists the nested values to check: object fields, map values or array items
+ */
+function listChildren(value, rules, jsonPath, result) {
+  if (rules.properties && typeOf(value) === 'object') {
+    return listFields(value, rules, jsonPath, result)
+  }
+  if (rules.values && typeOf(value) === 'object') {
+    return Object.entries(value).map(([key, item]) => [item, rules.values, joinPath(jsonPath, key)])
+  }
+  if (rules.items && Array.isArray(value)) {
+    return value.map((item, index) => [item, rules.items, joinPath(jsonPath, index)])
+  }
+  return []
+}
+
+/**
+ * Checks one value against its rules, then descends into objects and arrays
+ */
+function checkValue(value, rules, jsonPath, result) {
+  const types = rules.type ? [rules.type].flat() : null
+  const valid =
+    (!types || types.includes(typeOf(value))) &&
+    (!rules.enum || rules.enum.includes(value)) &&
+    (!rules.pattern || typeOf(value) === 'object' || rules.pattern.test(String(value)))
+  if (!valid) {
+    result.errors.push({ path: jsonPath || '(root)', expected: describeRule(rules), value })
+    return
+  }
+  for (const [child, childRules, childPath] of listChildren(value, rules, jsonPath, result)) {
+    checkValue(child, childRules, childPath, result)
+  }
+}
+
+/**
+ * Validates a parsed JSON value against a schema, collecting every problem
+ * Rules support `type` (a type or list of types, including 'array' and 'null'), `required`,
+ * `enum`, `pattern`, `properties` for nested objects, `values` for maps and `items` for arrays
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Rules of the top-level fields, as for validateJSON()
+ * @returns {{errors: Array<{path: string, expected: string, value: *}>, unknown: string[]}}
+ *   Fields that break a rule, by JSON path such as `assistants[0].cliType`, and fields the schema
+ *   does not know; a missing required field has no value
+ */
+export function validateSchema(value, schema) {
+  const result = { errors: [], unknown: [] }
+  checkValue(value, { type: 'object', properties: schema }, '', result)
+  return result
+}
+
 /**
  * Validate JSON content
+ * @param {string|Object} content - JSON text, or an already parsed value
+ * @param {Object|null} schema - Rules of the top-level fields, see validateSchema()
+ * @returns {Object} Parsed content
+ * @throws {ValidationError} For invalid JSON or the first field that breaks the schema; unknown
+ *   fields are allowed
  */
 export function validateJSON(content, schema = null) {
+  let parsed
   try {
-    const parsed = typeof content === 'string' ? JSON.parse(content) : content
-
-    if (schema) {
-      // Basic schema validation
-      for (const [key, rules] of Object.entries(schema)) {
-        if (rules.required && !(key in parsed)) {
-          throw new ValidationError(key, 'undefined', 'Required field missing')
-        }
-
-        if (key in parsed && rules.type) {
-          const actualType = Array.isArray(parsed[key]) ? 'array' : typeof parsed[key]
-          if (actualType !== rules.type) {
-            throw new ValidationError(key, parsed[key], `Expected type ${rules.type}`)
-          }
-        }
-      }
+    parsed = typeof content === 'string' ? JSON.parse(content) : content
+  } catch {
+    throw new ValidationError('json', 'invalid', 'Invalid JSON format')
+  }
+
+  if (schema) {
+    const [problem] = validateSchema(parsed, schema).errors
+    if (problem && !('value' in problem)) {
+      throw new ValidationError(
+        problem.path,
+        `Required field missing, expected ${problem.expected}`,
+      )
     }
+    if (problem) {
+      throw new ValidationError(problem.path, `Expected ${problem.expected}`, problem.value)
+    }
+  }
 
-    return parsed
-  } catch (error) {
-    if (error instanceof ValidationError) throw error
-    throw new ValidationError('json', 'invalid', 'Invalid JSON format')
+  return parsed
+}
+
+/**
+ * Validate a single template variable value
+ */
+function isValidVariableValue(value) {
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item === 'string')
   }
+  return ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+/**
+ * Validate template variables stored in the .proguardian marker
+ */
+export function validateTemplateVariables(variables) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ValidationError('variables', 'Must be an object')
+  }
+
+  for (const [name, value] of Object.entries(variables)) {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      throw new ValidationError('variables', 'Names must be letters, digits or underscores', name)
+    }
+
+    if (!isValidVariableValue(value)) {
+      throw new ValidationError(
+        `variables.${name}`,
+        'Must be a string, number, boolean or array of strings',
+      )
+    }
+
+    // Values are rendered inside the bounded section and must not be able to close it
+    if (JSON.stringify(value).includes('proguardian:')) {
+      throw new ValidationError(`variables.${name}`, 'Must not contain Guardian section markers')
+    }
+  }
+
+  return variables
 }
 
 /**
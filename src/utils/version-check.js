@@ -113,7 +113,7 @@ function fetchPackageInfo(packageName) {
  * @param {string} latest - Latest version
  * @returns {boolean} True if latest is newer
  */
-function isNewerVersion(current, latest) {
+export function isNewerVersion(current, latest) {
   try {
     // Remove 'v' prefix if present
     const currentClean = current.replace(/^v/, '')
@@ -140,7 +140,7 @@ function isNewerVersion(current, latest) {
  * Get current package version
  * @returns {Promise<string|null>} Current version or null
  */
-async function getCurrentVersion() {
+export async function getCurrentVersion() {
   try {
     const packagePath = path.join(__dirname, '..', '..', 'package.json')
     const content = await fs.readFile(packagePath, 'utf-8')
@@ -247,6 +247,28 @@ async function handleFreshCheck(currentVersion, cache, now) {
   }
 }
 
+/**
+ * Describe the update check cache, for `proguardian doctor`
+ * @returns {Promise<{path: string, exists: boolean, readable: boolean, disabled: boolean,
+ *   stale: boolean, lastCheck: string|null, latestVersion: string|null,
+ *   notified: string|null}>} Cache state; stale means the next command queries the registry
+ */
+export async function inspectUpdateCache() {
+  const cachePath = getCacheFilePath()
+  const exists = await fs.pathExists(cachePath)
+  const cache = exists ? await readCache() : null
+  return {
+    path: cachePath,
+    exists,
+    readable: cache !== null,
+    disabled: isCheckDisabled(),
+    stale: !cache?.lastCheck || Date.now() - cache.lastCheck >= CHECK_INTERVAL,
+    lastCheck: cache?.lastCheck ? new Date(cache.lastCheck).toISOString() : null,
+    latestVersion: cache?.latestVersion ?? null,
+    notified: cache?.notified ?? null,
+  }
+}
+
 /**
  * Check for updates asynchronously
  * This function runs in the background and doesn't block
@@ -0,0 +1,174 @@
+/**
+ * Interactive init wizard for ProGuardian CLI
+ * Walks through assistants, profile, commands, wrapper and git hooks when stdin is a TTY
+ */
+
+import chalk from 'chalk'
+import { CLI_CLAUDE, parseCLIList } from './cli-detector.js'
+import { getMarkerAssistants } from './marker.js'
+import { DEFAULT_PROFILE, getProfile } from './profiles.js'
+import { ValidationError } from './errors.js'
+import { log, warn } from './logger.js'
+
+/**
+ * Creates a line prompter on top of readline
+ * A closed input (Ctrl+D, piped EOF) answers every remaining question with its default
+ * @param {Object} input - Readable stream, stdin by default
+ * @param {Object} output - Writable stream, stdout by default
+ * @returns {Promise<{ask: Function, close: Function}>} Prompter
+ */
+export async function createPrompter(input = process.stdin, output = process.stdout) {
+  const readline = await import('readline')
+  const rl = readline.createInterface({ input, output })
+  let closed = false
+  rl.once('close', () => {
+    closed = true
+  })
+
+  const ask = (question) =>
+    new Promise((resolve) => {
+      if (closed) {
+        resolve('')
+        return
+      }
+      const onClose = () => resolve('')
+      rl.once('close', onClose)
+      rl.question(question, (answer) => {
+        rl.off('close', onClose)
+        resolve(answer.trim())
+      })
+    })
+
+  return { ask, close: () => rl.close() }
+}
+
+/**
+ * Parses a yes/no answer
+ * @param {string} answer - User input
+ * @returns {boolean} True for yes
+ * @throws {ValidationError} For anything else
+ */
+export function parseYesNo(answer) {
+  if (/^y(es)?$/i.test(answer)) return true
+  if (/^no?$/i.test(answer)) return false
+  throw new ValidationError('answer', 'Please answer yes or no', answer)
+}
+
+/**
+ * Parses the assistants answer, requiring at least one
+ */
+function parseAssistants(answer) {
+  const cliTypes = parseCLIList(answer)
+  if (cliTypes.length === 0) {
+    throw new ValidationError('assistants', 'Name at least one assistant', answer)
+  }
+  return cliTypes
+}
+
+/**
+ * Asks a question until the answer parses; an empty answer picks the default
+ * Invalid input is reported and asked again instead of silently falling back
+ */
+async function askValid(prompter, question, { hint, fallback, parse }) {
+  for (;;) {
+    const answer = await prompter.ask(`${question} ${chalk.gray(`[${hint}]`)}: `)
+    if (answer === '') {
+      return fallback
+    }
+    try {
+      return parse(answer)
+    } catch (err) {
+      warn(`   ${err.message}`)
+    }
+  }
+}
+
+/**
+ * Asks a yes/no question
+ */
+function askYesNo(prompter, question, fallback) {
+  return askValid(prompter, question, {
+    hint: fallback ? 'Y/n' : 'y/N',
+    fallback,
+    parse: parseYesNo,
+  })
+}
+
+/**
+ * Asks for a command, pre-filled with the detected or configured one
+ */
+function askCommand(prompter, question, fallback) {
+  return askValid(prompter, question, {
+    hint: fallback || 'none',
+    fallback,
+    parse: (answer) => answer,
+  })
+}
+
+/**
+ * Picks the default assistants: --cli, then the marker, then every detected CLI
+ */
+function defaultAssistants(options, existingMarker, available = {}) {
+  if (options.cli) {
+    return parseCLIList(options.cli)
+  }
+  const configured = getMarkerAssistants(existingMarker).map((assistant) => assistant.cliType)
+  if (configured.length > 0) {
+    return configured
+  }
+  const detected = Object.keys(available).filter((cliType) => available[cliType])
+  return detected.length > 0 ? detected : [CLI_CLAUDE]
+}
+
+/**
+ * Computes the wizard defaults from flags, the existing marker and detection
+ * @param {Object} context - { options, stack, existingMarker, available }
+ * @returns {Object} Default answers
+ */
+export function getWizardDefaults(context) {
+  const { options, stack, existingMarker, available } = context
+  const { profile, variables = {}, setup = {} } = existingMarker || {}
+
+  return {
+    cliTypes: defaultAssistants(options, existingMarker, available),
+    profile: options.profile || profile || DEFAULT_PROFILE,
+    testCommand: variables.testCommand || stack?.testCommand,
+    lintCommand: variables.lintCommand || stack?.lintCommand,
+    installWrapper: Boolean(setup.wrapper),
+    gitHooks: Boolean(setup.gitHooks),
+  }
+}
+
+/**
+ * Runs the init wizard
+ * @param {Object} prompter - Result of createPrompter()
+ * @param {Object} defaults - Result of getWizardDefaults()
+ * @returns {Promise<Object>} Answers shaped like the defaults
+ */
+export async function runInitWizard(prompter, defaults) {
+  log(chalk.cyan('\nGuardian setup (press Enter to accept the value in brackets)\n'))
+
+  const cliTypes = await askValid(prompter, 'Assistants to configure (claude, gemini)', {
+    hint: defaults.cliTypes.join(','),
+    fallback: defaults.cliTypes,
+    parse: parseAssistants,
+  })
+  const profile = await askValid(prompter, 'Profile (strict, standard, light)', {
+    hint: defaults.profile,
+    fallback: defaults.profile,
+    parse: (answer) => getProfile(answer).name,
+  })
+
+  return {
+    cliTypes,
+    profile,
+    testCommand: await askCommand(prompter, 'Test command', defaults.testCommand),
+    lintCommand: await askCommand(prompter, 'Lint command', defaults.lintCommand),
+    installWrapper: await askYesNo(
+      prompter,
+      'Install the Guardian wrapper?',
+      defaults.installWrapper,
+    ),
+    gitHooks: await askYesNo(prompter, 'Add a git pre-commit hook?', defaults.gitHooks),
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Monorepo workspace discovery for ProGuardian CLI
+ * Reads package.json workspaces, pnpm-workspace.yaml and lerna.json
+ */
+
+import path from 'path'
+import { secureReadDir, secureReadFile, securePathExists } from './file-security.js'
+import { validateSafePath } from './validation.js'
+import { getStackVariables } from './stack-detector.js'
+
+const MAX_MANIFEST_SIZE = 1024 * 1024 // 1MB
+
+// `**` patterns never descend further than this below their prefix
+const MAX_GLOB_DEPTH = 5
+
+// Directories that never hold workspace packages
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git'])
+
+/**
+ * Reads a manifest from the project, returning null when it is missing or unreadable
+ */
+async function readManifest(baseDir, filename) {
+  try {
+    const manifestPath = validateSafePath(filename, baseDir)
+    if (!(await securePathExists(manifestPath, { baseDir }))) {
+      return null
+    }
+    return await secureReadFile(manifestPath, { maxSize: MAX_MANIFEST_SIZE, baseDir })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parses JSON, returning null for invalid content
+ */
+function parseJSON(content) {
+  try {
+    return JSON.parse(content)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Extracts the `packages:` list from pnpm-workspace.yaml
+ * Only the block-list form pnpm documents is supported
+ * @param {string} content - YAML source
+ * @returns {string[]} Package patterns
+ */
+export function parsePnpmWorkspace(content) {
+  const patterns = []
+  let inPackages = false
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true
+      continue
+    }
+    // Any other top-level key ends the list
+    if (/^\S/.test(line)) {
+      inPackages = false
+    }
+    const item = inPackages && line.match(/^\s+-\s*(['"]?)([^'"#]+?)\1\s*(?:#.*)?$/)
+    if (item) {
+      patterns.push(item[2])
+    }
+  }
+
+  return patterns
+}
+
+/**
+ * Collects workspace patterns from every supported manifest
+ * @param {string} baseDir - Repository root
+ * @returns {Promise<string[]>} Glob patterns, `!` prefixed for exclusions
+ */
+export async function readWorkspacePatterns(baseDir = process.cwd()) {
+  const patterns = []
+
+  const packageJson = parseJSON(await readManifest(baseDir, 'package.json'))
+  const workspaces = packageJson?.workspaces
+  patterns.push(...(Array.isArray(workspaces) ? workspaces : workspaces?.packages || []))
+
+  const pnpmWorkspace = await readManifest(baseDir, 'pnpm-workspace.yaml')
+  if (pnpmWorkspace) {
+    patterns.push(...parsePnpmWorkspace(pnpmWorkspace))
+  }
+
+  const lerna = parseJSON(await readManifest(baseDir, 'lerna.json'))
+  patterns.push(...(Array.isArray(lerna?.packages) ? lerna.packages : []))
+
+  return [...new Set(patterns.filter((pattern) => typeof pattern === 'string'))]
+}
+
+/**
+ * Lists the visible subdirectories of a directory
+ */
+async function listDirectories(dir, baseDir) {
+  try {
+    const entries = await secureReadDir(dir, { withFileTypes: true, baseDir })
+    return entries
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+      .filter((entry) => !IGNORED_DIRECTORIES.has(entry.name))
+      .map((entry) => entry.name)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Converts a single glob segment such as `pkg-*` to a regular expression
+ */
+function segmentPattern(segment) {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`)
+}
+
+/**
+ * Expands glob segments relative to a directory
+ * Supports `*` and `?` within a segment and `**` for any depth
+ */
+async function expandSegments(baseDir, relative, segments, depth = 0) {
+  if (segments.length === 0) {
+    return [relative]
+  }
+
+  const [segment, ...rest] = segments
+  if (segment === '**') {
+    const results = await expandSegments(baseDir, relative, rest, depth)
+    if (depth >= MAX_GLOB_DEPTH) return results
+    for (const name of await listDirectories(path.join(baseDir, relative), baseDir)) {
+      results.push(
+        ...(await expandSegments(baseDir, path.posix.join(relative, name), segments, depth + 1)),
+      )
+    }
+    return results
+  }
+
+  if (!/[*?]/.test(segment)) {
+    return expandSegments(baseDir, path.posix.join(relative, segment), rest, depth)
+  }
+
+  const matcher = segmentPattern(segment)
+  const results = []
+  for (const name of await listDirectories(path.join(baseDir, relative), baseDir)) {
+    if (matcher.test(name)) {
+      results.push(...(await expandSegments(baseDir, path.posix.join(relative, name), rest, depth)))
+    }
+  }
+  return results
+}
+
+/**
+ * Splits a workspace pattern into path segments, dropping `./` and trailing slashes
+ */
+function patternSegments(pattern) {
+  return pattern
+    .replace(/^!/, '')
+    .split('/')
+    .filter((segment) => segment && segment !== '.')
+}
+
+/**
+ * Discovers the workspace packages of a monorepo
+ * @param {string} baseDir - Repository root
+ * @returns {Promise<Array<{name: string, dir: string}>>} Packages sorted by directory, with
+ *   `dir` relative to baseDir using forward slashes
+ */
+export async function discoverWorkspaces(baseDir = process.cwd()) {
+  const included = new Set()
+  const excluded = new Set()
+
+  for (const pattern of await readWorkspacePatterns(baseDir)) {
+    const target = pattern.startsWith('!') ? excluded : included
+    for (const dir of await expandSegments(baseDir, '', patternSegments(pattern))) {
+      target.add(dir)
+    }
+  }
+
+  const packages = []
+  const candidates = [...included].filter((dir) => dir && !excluded.has(dir)).sort()
+  for (const dir of candidates) {
+    // Only directories with a manifest are packages; patterns escaping the root never match
+    const manifest = await readManifest(baseDir, path.posix.join(dir, 'package.json'))
+    if (manifest !== null) {
+      packages.push({ name: parseJSON(manifest)?.name || dir, dir })
+    }
+  }
+
+  return packages
+}
+
+/**
+ * Builds the variables for a workspace package's context file
+ * Commands detected in the package win over the root's, so each package runs its own tests
+ * @param {{name: string, dir: string}} pkg - Workspace package
+ * @param {Object} stack - Result of detectStack() for the package directory
+ * @param {Object} variables - Root template variables
+ * @returns {Object} Variables for resolveTemplateVariables()
+ */
+export function getWorkspaceVariables(pkg, stack, variables) {
+  const { testCommand, lintCommand, projectContext } = getStackVariables(stack)
+  const scope = `Workspace package \`${pkg.name}\` in \`${pkg.dir}/\`; these rules apply to files in this package.`
+
+  return {
+    ...variables,
+    ...(stack.testCommand && { testCommand }),
+    ...(stack.lintCommand && { lintCommand }),
+    projectContext: `${scope}\n\n${projectContext}`,
+  }
+}
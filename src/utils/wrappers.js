@@ -0,0 +1,175 @@
+/**
+ * Wrapper inspection utilities for ProGuardian CLI
+ * `install-wrapper` replaces an assistant's binary with a Guardian wrapper and keeps the vendor
+ * binary next to it as `<cli>-original`; vendor updates can silently put their binary back
+ */
+
+import path from 'path'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import fs from 'fs-extra'
+import which from 'which'
+
+// Both wrappers carry this comment, which tells them apart from the vendor binaries they replace
+export const WRAPPER_SIGNATURE = "// This wrapper intercepts the '"
+
+// install-wrapper stamps the package version into every wrapper it installs
+const VERSION_STAMP = '// proguardian-wrapper-version: '
+const VERSION_STAMP_PATTERN = /^\/\/ proguardian-wrapper-version: (\S+)$/m
+
+// Vendor binaries are far larger; anything bigger cannot be one of our wrappers
+const MAX_WRAPPER_SIZE = 1024 * 1024
+
+// `<cli>-original --version` should answer well within this
+const PROBE_TIMEOUT = 10000
+
+/**
+ * Reads a binary that may be a Guardian wrapper
+ * Binaries live in system directories, so fs is used directly like in install-wrapper
+ * @returns {Promise<string|null>} Content, or null when missing or too large to be a wrapper
+ */
+async function readWrapperCandidate(filePath) {
+  try {
+    const stats = await fs.stat(filePath)
+    if (!stats.isFile() || stats.size > MAX_WRAPPER_SIZE) {
+      return null
+    }
+    return await fs.readFile(filePath, 'utf-8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Checks whether a file is a Guardian wrapper
+ * @param {string} filePath - Path of the binary, symlinks are followed
+ * @returns {Promise<boolean>} True if the file is a Guardian wrapper
+ */
+export async function isGuardianWrapper(filePath) {
+  const content = await readWrapperCandidate(filePath)
+  return content !== null && content.includes(WRAPPER_SIGNATURE)
+}
+
+/**
+ * Stamps the package version into a wrapper, right after its shebang line
+ * @param {string} source - Wrapper source from src/wrapper
+ * @param {string} version - Package version
+ * @returns {string} Wrapper to install
+ */
+export function stampWrapperVersion(source, version) {
+  const newline = source.indexOf('\n') + 1
+  return `${source.slice(0, newline)}${VERSION_STAMP}${version}\n${source.slice(newline)}`
+}
+
+/**
+ * Reads the version install-wrapper stamped into a wrapper
+ * @param {string} content - Installed wrapper
+ * @returns {string|null} Package version, or null for wrappers installed before the stamp
+ */
+export function readWrapperVersion(content) {
+  return VERSION_STAMP_PATTERN.exec(content)?.[1] ?? null
+}
+
+/**
+ * Lists every executable a command name resolves to, in PATH order
+ * @param {string} name - Command name, e.g. `claude`
+ * @param {string} pathEnv - PATH to search
+ * @returns {Promise<string[]>} Absolute paths; the first one is what the shell runs
+ */
+export async function findAllOnPath(name, pathEnv = process.env.PATH || '') {
+  const found = []
+  for (const dir of pathEnv.split(path.delimiter).filter(Boolean)) {
+    const candidate = path.resolve(dir, name)
+    if (found.includes(candidate)) {
+      continue
+    }
+    try {
+      await fs.access(candidate, fs.constants.X_OK)
+      if ((await fs.stat(candidate)).isFile()) {
+        found.push(candidate)
+      }
+    } catch {
+      // Not in this directory
+    }
+  }
+  return found
+}
+
+/**
+ * Runs `<cli>-original --version` to prove the vendor binary behind a wrapper still works
+ * @param {string} originalPath - Path of the backed up vendor binary
+ * @returns {Promise<{ok: boolean, output: string}>} Whether it ran, with its output or error
+ */
+export async function probeOriginal(originalPath) {
+  try {
+    const { stdout } = await promisify(execFile)(originalPath, ['--version'], {
+      timeout: PROBE_TIMEOUT,
+    })
+    return { ok: true, output: stdout.trim() }
+  } catch (err) {
+    return { ok: false, output: err.message }
+  }
+}
+
+/**
+ * Gets the path install-wrapper backs the vendor binary up to
+ * @param {string} cliPath - Resolved path of the assistant binary
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @returns {string} Path such as `/usr/local/bin/claude-original`
+ */
+export function getOriginalPath(cliPath, cliType) {
+  return path.join(path.dirname(cliPath), `${cliType}-original`)
+}
+
+/**
+ * Finds the first Guardian wrapper on PATH when another binary comes before it
+ * @returns {Promise<string|null>} Path of the shadowed wrapper
+ */
+async function findShadowedWrapper(cliType, cliPath) {
+  const candidates = await findAllOnPath(cliType)
+  for (const candidate of candidates.filter((item) => item !== cliPath)) {
+    if (await isGuardianWrapper(candidate)) {
+      return candidate
+    }
+  }
+  return null
+}
+
+/**
+ * Inspects the binary an assistant command resolves to on PATH
+ * @param {string} cliType - Either 'claude' or 'gemini'
+ * @param {Function} whichFn - Lookup function, replaceable in tests
+ * @returns {Promise<{cliType: string, cliPath: string|null, originalPath: string|null,
+ *   hasOriginal: boolean, isWrapper: boolean, version: string|null,
+ *   shadowedWrapper: string|null}>} What is installed; version is the stamp of a wrapper, and
+ *   shadowedWrapper a wrapper later on PATH that cliPath hides
+ */
+export async function inspectWrapper(cliType, whichFn = which) {
+  let cliPath
+  try {
+    cliPath = await whichFn(cliType)
+  } catch {
+    return {
+      cliType,
+      cliPath: null,
+      originalPath: null,
+      hasOriginal: false,
+      isWrapper: false,
+      version: null,
+      shadowedWrapper: null,
+    }
+  }
+
+  const originalPath = getOriginalPath(cliPath, cliType)
+  const content = await readWrapperCandidate(cliPath)
+  const isWrapper = content !== null && content.includes(WRAPPER_SIGNATURE)
+  return {
+    cliType,
+    cliPath,
+    originalPath,
+    hasOriginal: await fs.pathExists(originalPath),
+    isWrapper,
+    version: isWrapper ? readWrapperVersion(content) : null,
+    shadowedWrapper: isWrapper ? null : await findShadowedWrapper(cliType, cliPath),
+  }
+}
@@ -1,18 +1,59 @@
 #!/usr/bin/env node
 
 import { spawn } from 'child_process'
-import path from 'path'
 import chalk from 'chalk'
-import { fileURLToPath } from 'url'
-import { securePathExists, secureCopyFile } from '../utils/file-security.js'
+import { securePathExists, secureWriteFile } from '../utils/file-security.js'
+import { CLI_GEMINI } from '../utils/cli-detector.js'
+import { renderGuardianSectionBody, upsertGuardianSectionBody } from '../utils/guardian-section.js'
+import { renderLinkedSectionBody } from '../utils/linked-protocol.js'
+import { renderGuardianTemplate, resolveTemplateVariables } from '../utils/template-compiler.js'
+import { detectStack } from '../utils/stack-detector.js'
+import { getMarkerAssistants, getMarkerTemplateOptions, readMarker } from '../utils/marker.js'
+import { getEnforcementPrompt } from '../utils/profiles.js'
 import { validateSafePath } from '../utils/validation.js'
 import { handleError } from '../utils/errors.js'
 import { log, error, warn } from '../utils/logger.js'
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
-
 // This wrapper intercepts the 'gemini' command
 
+// An unreadable marker still means Guardian mode, just without project settings
+async function loadMarker() {
+  return (await readMarker(process.cwd()).catch(() => null)) || {}
+}
+
+async function restoreGeminiMd(geminiMdPath, markerData) {
+  const assistant = getMarkerAssistants(markerData).find((item) => item.cliType === CLI_GEMINI)
+  const linkedFile = assistant?.linkedFile
+  const linkedPath = linkedFile ? validateSafePath(linkedFile, process.cwd()) : null
+  const restoreFile = !(await securePathExists(geminiMdPath))
+  const restoreLink = linkedPath !== null && !(await securePathExists(linkedPath))
+  if (!restoreFile && !restoreLink) {
+    return
+  }
+
+  // Render the protocol for this assistant and the configured profile
+  const stack = await detectStack(process.cwd())
+  const guardianContent = await renderGuardianTemplate(
+    CLI_GEMINI,
+    resolveTemplateVariables(stack, markerData.variables),
+    getMarkerTemplateOptions(markerData, process.cwd()),
+  )
+  const protocol = renderGuardianSectionBody(guardianContent)
+
+  if (restoreFile) {
+    warn('Restoring GEMINI.md...')
+    // With `init --link` the context file only imports the protocol file
+    const body = linkedFile
+      ? renderLinkedSectionBody(CLI_GEMINI, 'GEMINI.md', linkedFile)
+      : protocol
+    await secureWriteFile(geminiMdPath, upsertGuardianSectionBody('', body))
+  }
+  if (restoreLink) {
+    warn(`Restoring ${linkedFile}...`)
+    await secureWriteFile(linkedPath, protocol)
+  }
+}
+
 async function runGeminiWithGuardian() {
   try {
     // Check if Guardian is initialized in this directory
@@ -21,16 +62,10 @@ async function runGeminiWithGuardian() {
 
     if (await securePathExists(guardianMarkerPath)) {
       log(chalk.cyan('🛡️  Guardian mode active\n'))
+      const markerData = await loadMarker()
 
-      // Ensure GEMINI.md exists and is up to date
-      if (!(await securePathExists(geminiMdPath))) {
-        warn('Restoring GEMINI.md...')
-        // Calculate project root and template path without using '..' in validation
-        const projectRoot = path.resolve(__dirname, '..', '..')
-        const templateFullPath = path.join(projectRoot, 'templates', 'GEMINI.md')
-        const templatePath = validateSafePath(templateFullPath, projectRoot)
-        await secureCopyFile(templatePath, geminiMdPath)
-      }
+      // Ensure GEMINI.md and any protocol file it links to exist
+      await restoreGeminiMd(geminiMdPath, markerData)
 
       // Parse and validate command line arguments
       const args = process.argv.slice(2)
@@ -93,20 +128,7 @@ async function runGeminiWithGuardian() {
       }
 
       // Set environment variables safely (no user input here)
-      const guardianEnforcement = `⚠️ GUARDIAN PROTOCOL ACTIVE ⚠️
-
-You MUST follow the Guardian Review-Gate Workflow:
-1. ANALYZE request → CREATE plan → REVIEW plan (fix if needed)
-2. IMPLEMENT only after plan passes → REVIEW code (fix if needed)
-3. PLAN tests only after code passes → REVIEW test plan (fix if needed)
-4. IMPLEMENT tests → RUN tests → REVIEW results
-5. If tests fail: DIAGNOSE → PLAN fix → REVIEW → FIX → RE-TEST
-
-CRITICAL: You cannot proceed to next step until current review passes
-FORBIDDEN: Skipping reviews, proceeding with issues, placeholder code
-REQUIRED: Show evidence of each review (checklist items checked)
-
-Each review must check relevant items from GEMINI.md quality checklist.`
+      const guardianEnforcement = getEnforcementPrompt(markerData.profile, 'GEMINI.md')
 
       const env = {
         ...process.env,
@@ -0,0 +1,539 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs-extra'
+import path from 'path'
+import {
+  EXIT_CLI_MISSING,
+  EXIT_CONFIGURED,
+  EXIT_MISCONFIGURED,
+  EXIT_OUTDATED,
+  checkCommand,
+} from '../../src/commands/check.js'
+import { initCommand } from '../../src/commands/init.js'
+import { renderCommand } from '../../src/commands/render.js'
+import { CLI_CLAUDE } from '../../src/utils/cli-detector.js'
+import { logger } from '../../src/utils/logger.js'
+import { finishJSONReport, startJSONReport } from '../../src/utils/report.js'
+import { getCurrentVersion } from '../../src/utils/version-check.js'
+import { stampWrapperVersion } from '../../src/utils/wrappers.js'
+import { createTestContext, createMockFS, readMockFile } from '../helpers/test-utils.js'
+
+const WRAPPER_SOURCE = new URL('../../src/wrapper/claude-wrapper.js', import.meta.url)
+
+describe('Check Command Tests', () => {
+  let ctx
+  let restoreCwd
+
+  // Pretend both assistant CLIs are installed
+  const allFound = { which: async (name) => `/usr/bin/${name}` }
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should pass when every configured assistant is set up', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+
+    const result = await checkCommand({ baseDir: ctx.testDir }, allFound)
+
+    assert.equal(result.ok, true)
+  })
+
+  it('should verify each configured context file', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+    await createMockFS(ctx.testDir, { 'GEMINI.md': '# Notes without Guardian\n' })
+
+    const result = await checkCommand({ baseDir: ctx.testDir }, allFound)
+
+    assert.equal(result.ok, false)
+  })
+
+  it('should fail when a configured assistant CLI is missing', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+
+    const result = await checkCommand(
+      { baseDir: ctx.testDir },
+      {
+        which: async (name) => {
+          if (name !== CLI_CLAUDE) throw new Error('not found')
+          return `/usr/bin/${name}`
+        },
+      },
+    )
+
+    assert.equal(result.ok, false)
+  })
+
+  it('should report when the recorded template has changed', async () => {
+    await createMockFS(ctx.testDir, { 'org/guardian.md': '# Org protocol v1\n' })
+    await initCommand({
+      force: true,
+      cli: 'claude,gemini',
+      template: 'org/guardian.md',
+      baseDir: ctx.testDir,
+    })
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, true)
+
+    await createMockFS(ctx.testDir, { 'org/guardian.md': '# Org protocol v2\n' })
+
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, false)
+  })
+
+  it('should check the nested context files of directory scopes', async () => {
+    await createMockFS(ctx.testDir, { 'payments/.keep': '' })
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    await initCommand({ scope: 'payments', cli: 'claude', baseDir: ctx.testDir })
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, true)
+
+    await createMockFS(ctx.testDir, { 'payments/CLAUDE.md': '# Payments notes\n' })
+
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, false)
+  })
+
+  it('should report the layering of context files for --path', async () => {
+    await createMockFS(ctx.testDir, { 'payments/api/.keep': '', 'scripts/.keep': '' })
+    await initCommand({ force: true, cli: 'claude', profile: 'light', baseDir: ctx.testDir })
+    await initCommand({ scope: 'payments', cli: 'claude', profile: 'strict', baseDir: ctx.testDir })
+    await createMockFS(ctx.testDir, { 'payments/api/CLAUDE.md': '# API notes\n' })
+    assert((await readMockFile(ctx.testDir, 'payments/CLAUDE.md')).includes('proguardian:begin'))
+
+    const lines = []
+    const originalLogHandler = logger.outputHandlers.log
+    logger.setSilent(false)
+    logger.setOutputHandler('log', (...args) => lines.push(args.join(' ')))
+    try {
+      await checkCommand({ path: 'payments/api', baseDir: ctx.testDir }, allFound)
+    } finally {
+      logger.setOutputHandler('log', originalLogHandler)
+    }
+
+    const output = lines.join('\n')
+    assert.match(output, /Context files that apply in payments\/api/)
+    assert.match(output, /CLAUDE\.md\s+Guardian, light profile\n/)
+    assert.match(output, /payments\/CLAUDE\.md\s+Guardian, strict profile.*takes precedence/)
+    assert.match(output, /payments\/api\/CLAUDE\.md\s+no Guardian section/)
+  })
+
+  it('should fail when the protocol file of a --link setup is missing', async () => {
+    await initCommand({ force: true, link: true, cli: 'claude', baseDir: ctx.testDir })
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, true)
+
+    await fs.remove(path.join(ctx.testDir, '.proguardian.d/protocol/claude.md'))
+
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, false)
+  })
+
+  it('should report whether user-level and project Guardian agree', async () => {
+    const home = await createTestContext()
+    try {
+      await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+      await initCommand({ user: true, cli: 'claude', homeDir: home.testDir })
+
+      const agreeing = await checkCommand({ baseDir: ctx.testDir, homeDir: home.testDir }, allFound)
+      assert.deepEqual(agreeing.levels, { user: true, project: true, conflicts: [] })
+
+      await initCommand({
+        user: true,
+        force: true,
+        cli: 'claude',
+        profile: 'light',
+        homeDir: home.testDir,
+      })
+      const conflicting = await checkCommand(
+        { baseDir: ctx.testDir, homeDir: home.testDir },
+        allFound,
+      )
+
+      assert.deepEqual(conflicting.levels.conflicts, [
+        { cliType: CLI_CLAUDE, reason: 'light profile at user level, strict in the project' },
+      ])
+      // The project itself is still fully configured
+      assert.equal(conflicting.ok, true)
+    } finally {
+      await home.cleanup()
+    }
+  })
+
+  it('should report when user-level Guardian is not installed', async () => {
+    const home = await createTestContext()
+    try {
+      await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+
+      const result = await checkCommand({ baseDir: ctx.testDir, homeDir: home.testDir }, allFound)
+
+      assert.deepEqual(result.levels, { user: false, project: true, conflicts: [] })
+    } finally {
+      await home.cleanup()
+    }
+  })
+
+  it('should fail when any workspace package is not configured', async () => {
+    await createMockFS(ctx.testDir, {
+      'package.json': JSON.stringify({ workspaces: ['packages/*'] }),
+      'packages/api/package.json': JSON.stringify({ name: 'api' }),
+    })
+    await initCommand({ force: true, cli: 'claude,gemini', workspaces: true, baseDir: ctx.testDir })
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, true)
+
+    // A package added after init is reported as not initialized
+    await createMockFS(ctx.testDir, {
+      'packages/web/package.json': JSON.stringify({ name: 'web' }),
+    })
+
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, false)
+  })
+
+  it('should write workspace packages as SARIF results and JUnit testcases', async () => {
+    await createMockFS(ctx.testDir, {
+      'package.json': JSON.stringify({ workspaces: ['packages/*'] }),
+      'packages/api/package.json': JSON.stringify({ name: 'api' }),
+    })
+    await initCommand({ force: true, cli: 'claude', workspaces: true, baseDir: ctx.testDir })
+    await createMockFS(ctx.testDir, {
+      'packages/web/package.json': JSON.stringify({ name: 'web' }),
+    })
+
+    const sarif = await checkCommand({ format: 'sarif', baseDir: ctx.testDir }, allFound)
+    assert.equal(sarif.reportFile, path.join(ctx.testDir, 'proguardian-check.sarif'))
+    const [run] = JSON.parse(await readMockFile(ctx.testDir, 'proguardian-check.sarif')).runs
+    const web = run.results.find((result) => result.ruleId === 'workspace-package')
+    assert.equal(web.level, 'error')
+    assert.equal(web.locations[0].physicalLocation.artifactLocation.uri, 'packages/web')
+    assert.equal(web.partialFingerprints['proguardianCheck/v1'], 'workspace-package:packages/web')
+    assert(run.tool.driver.rules.some((rule) => rule.id === 'context-file'))
+
+    await checkCommand(
+      { format: 'junit', output: 'reports/check.xml', baseDir: ctx.testDir },
+      allFound,
+    )
+    const junit = await readMockFile(ctx.testDir, 'reports/check.xml')
+    assert(
+      junit.includes(
+        '<testcase classname="proguardian.check.workspace-package" name="packages/api" />',
+      ),
+    )
+    assert(junit.includes('<failure type="error" message="web: not initialized">'))
+  })
+
+  it('should estimate the tokens of each context file for --tokens', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+
+    const result = await checkCommand({ tokens: true, baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(
+      result.tokens.map((item) => item.file),
+      ['CLAUDE.md', 'GEMINI.md'],
+    )
+    for (const item of result.tokens) {
+      assert(item.section > 0 && item.section <= item.total)
+      assert.equal(item.overBudget, false)
+    }
+    assert.equal(result.tokens[0].budget, 2000)
+  })
+
+  it('should suggest a more compact profile when over the token budget', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const budget = await readMockFile(ctx.testDir, '.proguardian').then((data) => {
+      return { ...JSON.parse(data), tokenBudget: 1000 }
+    })
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(budget) })
+
+    const result = await checkCommand({ tokens: true, baseDir: ctx.testDir }, allFound)
+    const [claude] = result.tokens
+
+    assert.equal(claude.overBudget, true)
+    assert.equal(claude.suggestion.profile, 'standard')
+    assert(claude.suggestion.total <= 1000)
+    // An over-budget context file is a warning, not a broken setup
+    assert.equal(result.ok, true)
+
+    // --budget takes precedence over the marker
+    const tight = await checkCommand({ budget: '100', baseDir: ctx.testDir }, allFound)
+    assert.equal(tight.tokens[0].suggestion.profile, 'light')
+  })
+
+  it('should collect every check with its id and remediation for --json', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    await fs.remove(path.join(ctx.testDir, 'CLAUDE.md'))
+
+    startJSONReport('check')
+    await checkCommand({ baseDir: ctx.testDir }, allFound)
+    const result = finishJSONReport()
+
+    assert.equal(result.status, 'error')
+    assert.deepEqual(result.checks[0], {
+      id: 'context-file',
+      severity: 'error',
+      message: 'CLAUDE.md not found',
+      remediation: 'Run: proguardian init',
+      file: 'CLAUDE.md',
+    })
+    assert(result.checks.some((check) => check.id === 'marker' && check.severity === 'ok'))
+    assert.deepEqual(result.files, [])
+  })
+
+  it('should report invalid and unknown marker fields by JSON path', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    await createMockFS(ctx.testDir, {
+      '.proguardian': JSON.stringify({ ...marker, tokenBugdet: 1000 }),
+    })
+
+    startJSONReport('check')
+    const lenient = await checkCommand({ baseDir: ctx.testDir }, allFound)
+    const unknown = finishJSONReport().checks.filter((check) => check.id === 'marker-schema')
+    assert.equal(lenient.exitCode, EXIT_CONFIGURED)
+    assert.deepEqual(
+      unknown.map((check) => [check.severity, check.message]),
+      [['warning', 'Unknown field in .proguardian: tokenBugdet']],
+    )
+
+    marker.assistants[0].cliType = 'codex'
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    startJSONReport('check')
+    const invalid = await checkCommand({ baseDir: ctx.testDir }, allFound)
+    const errors = finishJSONReport().checks.filter((check) => check.id === 'marker-schema')
+    assert.equal(invalid.exitCode, EXIT_MISCONFIGURED)
+    assert.deepEqual(errors, [
+      {
+        id: 'marker-schema',
+        severity: 'error',
+        message:
+          'Invalid field in .proguardian: assistants[0].cliType must be one of: claude, gemini (got: "codex")',
+        remediation: 'Correct the field, or recreate the marker with: proguardian check --fix',
+        file: '.proguardian',
+        subject: 'assistants[0].cliType',
+      },
+    ])
+  })
+
+  it('should fail when the marker is not valid JSON', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    await createMockFS(ctx.testDir, { '.proguardian': '{bad' })
+
+    startJSONReport('check')
+    const result = await checkCommand({ baseDir: ctx.testDir }, allFound)
+    const markerChecks = finishJSONReport().checks.filter((check) => check.id === 'marker')
+
+    assert.equal(result.exitCode, EXIT_MISCONFIGURED)
+    assert.deepEqual(markerChecks, [
+      {
+        id: 'marker',
+        severity: 'error',
+        message: 'Could not read .proguardian file',
+        remediation: 'Correct the JSON, or recreate the marker with: proguardian check --fix',
+        file: '.proguardian',
+      },
+    ])
+  })
+
+  it('should list the files init wrote for --json', async () => {
+    startJSONReport('init')
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const result = finishJSONReport()
+
+    assert.equal(result.status, 'ok')
+    assert(result.files.includes(path.join(ctx.testDir, 'CLAUDE.md')))
+    assert(result.files.includes(path.join(ctx.testDir, '.proguardian')))
+  })
+
+  it('should exit with a code for each kind of problem', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).exitCode, EXIT_CONFIGURED)
+
+    const claudeOnly = {
+      which: async (name) => {
+        if (name !== CLI_CLAUDE) throw new Error('not found')
+        return `/usr/bin/${name}`
+      },
+    }
+    const cliMissing = await checkCommand({ baseDir: ctx.testDir }, claudeOnly)
+    assert.equal(cliMissing.exitCode, EXIT_CLI_MISSING)
+
+    // A section installed by an older release needs `upgrade`
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': installed.replace(/proguardian:begin v[\d.]+/, 'proguardian:begin v0.9.0'),
+    })
+    const outdated = await checkCommand({ baseDir: ctx.testDir }, claudeOnly)
+    assert.equal(outdated.exitCode, EXIT_OUTDATED)
+    assert.equal(outdated.ok, false)
+
+    // Misconfiguration wins over the other codes
+    await fs.remove(path.join(ctx.testDir, 'GEMINI.md'))
+    const misconfigured = await checkCommand({ baseDir: ctx.testDir }, claudeOnly)
+    assert.equal(misconfigured.exitCode, EXIT_MISCONFIGURED)
+  })
+
+  it('should report legacy sections without version markers as outdated', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': '# Notes\n\n## 🛡️ GUARDIAN MODE ACTIVE\n\nReview every change.\n',
+    })
+
+    const result = await checkCommand({ baseDir: ctx.testDir }, allFound)
+
+    assert.equal(result.exitCode, EXIT_OUTDATED)
+  })
+
+  it('should fail on warnings only with --strict', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+
+    const lenient = await checkCommand({ budget: '100', baseDir: ctx.testDir }, allFound)
+    assert.equal(lenient.exitCode, EXIT_CONFIGURED)
+
+    const strict = await checkCommand(
+      { budget: '100', strict: true, baseDir: ctx.testDir },
+      allFound,
+    )
+    assert.equal(strict.exitCode, EXIT_MISCONFIGURED)
+    assert.equal(strict.ok, false)
+  })
+
+  it('should pass --strict after render records its timestamp', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    marker.variables.testCommand = 'npm run test:unit'
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+    await renderCommand({ baseDir: ctx.testDir })
+    assert(JSON.parse(await readMockFile(ctx.testDir, '.proguardian')).rendered)
+
+    const result = await checkCommand({ strict: true, baseDir: ctx.testDir }, allFound)
+
+    assert.equal(result.exitCode, EXIT_CONFIGURED)
+  })
+
+  it('should tell pristine sections from locally modified ones', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.match(marker.sectionHashes['CLAUDE.md'], /^[0-9a-f]{64}$/)
+
+    const pristine = await checkCommand({ baseDir: ctx.testDir }, allFound)
+    assert.deepEqual(pristine.sections, [{ file: 'CLAUDE.md', status: 'pristine' }])
+
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': installed.replace('GUARDIAN MODE ACTIVE', 'GUARDIAN MODE OPTIONAL'),
+    })
+    const output = []
+    const originalLog = logger.outputHandlers.log
+    logger.setSilent(false)
+    logger.setOutputHandler('log', (...args) => output.push(args.join(' ')))
+    logger.setOutputHandler('warn', () => {})
+    let modified
+    try {
+      modified = await checkCommand({ baseDir: ctx.testDir }, allFound)
+    } finally {
+      logger.setOutputHandler('log', originalLog)
+      logger.setSilent(true)
+    }
+
+    assert.deepEqual(modified.sections, [{ file: 'CLAUDE.md', status: 'modified' }])
+    assert.equal(modified.exitCode, EXIT_CONFIGURED)
+    const diff = output.join('\n')
+    assert(diff.includes('--- installed/CLAUDE.md'))
+    assert(diff.includes('+## 🛡️ GUARDIAN MODE OPTIONAL'))
+
+    const strict = await checkCommand({ strict: true, baseDir: ctx.testDir }, allFound)
+    assert.equal(strict.exitCode, EXIT_MISCONFIGURED)
+  })
+
+  it('should classify outdated and missing sections', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': installed.replace(/proguardian:begin v[\d.]+/, 'proguardian:begin v0.9.0'),
+      'GEMINI.md': '# Notes\n',
+    })
+
+    const result = await checkCommand({ baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(result.sections, [
+      { file: 'CLAUDE.md', status: 'outdated' },
+      { file: 'GEMINI.md', status: 'no-section' },
+    ])
+  })
+
+  it('should verify the wrapper, its original binary and its version', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const binDir = path.join(ctx.testDir, 'bin')
+    const source = await fs.readFile(WRAPPER_SOURCE, 'utf-8')
+    const version = await getCurrentVersion()
+    await createMockFS(binDir, {
+      claude: stampWrapperVersion(source, version),
+      'claude-original': '#!/bin/sh\necho "2.0.0 (Claude Code)"\n',
+    })
+    await fs.chmod(path.join(binDir, 'claude-original'), '755')
+    const claudeOnly = {
+      which: async (name) => {
+        if (name !== CLI_CLAUDE) throw new Error('not found')
+        return path.join(binDir, name)
+      },
+    }
+    const wrapperChecks = async (options = {}) => {
+      startJSONReport('check')
+      const result = await checkCommand({ baseDir: ctx.testDir, ...options }, claudeOnly)
+      const checks = finishJSONReport().checks.filter((check) => check.id === 'wrapper')
+      logger.setSilent(true)
+      return { result, checks }
+    }
+
+    const healthy = await wrapperChecks()
+    assert.equal(healthy.result.exitCode, EXIT_CONFIGURED)
+    assert.equal(healthy.checks[0].severity, 'ok')
+    assert(healthy.checks[0].message.includes('2.0.0 (Claude Code)'))
+
+    await createMockFS(binDir, { claude: stampWrapperVersion(source, '0.0.1') })
+    const stale = await wrapperChecks({ strict: true })
+    assert.equal(stale.checks[0].severity, 'warning')
+    assert.equal(stale.checks[0].remediation, 'Run: proguardian install-wrapper --force')
+    assert.equal(stale.result.exitCode, EXIT_MISCONFIGURED)
+
+    await createMockFS(binDir, { 'claude-original': '#!/bin/sh\nexit 1\n' })
+    const broken = await wrapperChecks()
+    assert.equal(broken.checks[0].severity, 'error')
+    assert.equal(broken.result.exitCode, EXIT_CLI_MISSING)
+  })
+
+  it('should report a binary earlier on PATH that shadows the wrapper', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const source = await fs.readFile(WRAPPER_SOURCE, 'utf-8')
+    const vendorDir = path.join(ctx.testDir, 'vendor')
+    const wrapperDir = path.join(ctx.testDir, 'guardian')
+    await createMockFS(ctx.testDir, {
+      'vendor/claude': '#!/bin/sh\necho vendor\n',
+      'guardian/claude': source,
+      'guardian/claude-original': '#!/bin/sh\necho vendor\n',
+    })
+    for (const file of ['vendor/claude', 'guardian/claude', 'guardian/claude-original']) {
+      await fs.chmod(path.join(ctx.testDir, file), '755')
+    }
+
+    const originalPath = process.env.PATH
+    process.env.PATH = [vendorDir, wrapperDir, originalPath].join(path.delimiter)
+    let checks
+    try {
+      startJSONReport('check')
+      await checkCommand(
+        { baseDir: ctx.testDir },
+        { which: async (name) => path.join(vendorDir, name) },
+      )
+      checks = finishJSONReport().checks.filter((check) => check.id === 'wrapper')
+    } finally {
+      process.env.PATH = originalPath
+    }
+
+    assert.equal(checks[0].severity, 'warning')
+    assert(checks[0].message.includes(`shadows the Guardian wrapper for Claude Code`))
+    assert(checks[0].remediation.startsWith(`Put ${wrapperDir} before ${vendorDir} in PATH`))
+  })
+})
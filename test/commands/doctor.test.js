@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs-extra'
+import path from 'path'
+import { DEFAULT_BUNDLE_FILE, doctorCommand } from '../../src/commands/doctor.js'
+import { initCommand } from '../../src/commands/init.js'
+import { CLI_CLAUDE } from '../../src/utils/cli-detector.js'
+import { TEMPLATE_VERSION } from '../../src/utils/guardian-section.js'
+import { logger } from '../../src/utils/logger.js'
+import { stampWrapperVersion, WRAPPER_SIGNATURE } from '../../src/utils/wrappers.js'
+import { createTestContext, createMockFS, readMockFile } from '../helpers/test-utils.js'
+
+describe('Doctor Command Tests', () => {
+  let ctx
+  let restoreCwd
+  let binDir
+  let deps
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+
+    // Claude behind a Guardian wrapper, Gemini not installed
+    binDir = path.join(ctx.testDir, 'bin')
+    await createMockFS(binDir, {
+      claude: stampWrapperVersion(
+        `#!/usr/bin/env node\n${WRAPPER_SIGNATURE}claude' command\n`,
+        '9.9.9',
+      ),
+      'claude-original': '#!/bin/sh\necho "claude 2.0"\n',
+    })
+    deps = {
+      which: async (name) => {
+        if (name !== CLI_CLAUDE) throw new Error('not found')
+        return path.join(binDir, name)
+      },
+      npmPrefix: async () => path.join(ctx.testDir, 'npm'),
+    }
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should collect binaries, marker, templates and permissions', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+
+    const { diagnostics, bundle } = await doctorCommand({ baseDir: ctx.testDir }, deps)
+
+    assert.equal(bundle, null)
+    assert.equal(diagnostics.node, process.version)
+    assert.equal(diagnostics.npmPrefix, path.join(ctx.testDir, 'npm'))
+    const [claude, gemini] = diagnostics.binaries
+    assert.equal(claude.path, path.join(binDir, 'claude'))
+    assert.equal(claude.isWrapper, true)
+    assert.equal(claude.wrapperVersion, '9.9.9')
+    assert.equal(claude.original.exists, true)
+    assert.equal(gemini.path, null)
+    assert.equal(diagnostics.marker.valid, true)
+    assert.equal(diagnostics.marker.content.cliType, CLI_CLAUDE)
+    assert.deepEqual(diagnostics.templates.sections, [
+      {
+        file: 'CLAUDE.md',
+        exists: true,
+        hasSection: true,
+        version: TEMPLATE_VERSION,
+        legacy: false,
+      },
+    ])
+    const project = diagnostics.permissions.find((dir) => dir.path === ctx.testDir)
+    assert.equal(project.readable, true)
+    assert(diagnostics.permissions.some((dir) => dir.path === binDir))
+    assert(diagnostics.permissions.some((dir) => dir.path === path.join(ctx.testDir, 'npm/bin')))
+  })
+
+  it('should report invalid marker fields', async () => {
+    await createMockFS(ctx.testDir, {
+      '.proguardian': JSON.stringify({ cliType: 'codex', targetFile: 'CODEX.md', colour: 'red' }),
+    })
+
+    const { diagnostics } = await doctorCommand({ baseDir: ctx.testDir }, deps)
+
+    assert.equal(diagnostics.marker.valid, false)
+    assert.deepEqual(
+      diagnostics.marker.errors.map((problem) => problem.path),
+      ['cliType'],
+    )
+    assert.deepEqual(diagnostics.marker.unknown, ['colour'])
+    // Without a usable marker the root context files are inspected
+    assert.deepEqual(
+      diagnostics.templates.sections.map((section) => section.file),
+      ['CLAUDE.md', 'GEMINI.md'],
+    )
+  })
+
+  it('should inspect the default context file of legacy markers', async () => {
+    await createMockFS(ctx.testDir, {
+      '.proguardian': JSON.stringify({ cliType: CLI_CLAUDE }),
+    })
+
+    const { diagnostics } = await doctorCommand({ baseDir: ctx.testDir }, deps)
+
+    assert.equal(diagnostics.marker.valid, true)
+    assert.deepEqual(
+      diagnostics.templates.sections.map((section) => [section.file, section.exists]),
+      [['CLAUDE.md', false]],
+    )
+  })
+
+  it('should not follow context files that lead outside the project', async () => {
+    const projectDir = path.join(ctx.testDir, 'project')
+    await initCommand({ force: true, cli: 'claude', baseDir: projectDir })
+    await createMockFS(ctx.testDir, { 'outside.md': '<!-- proguardian:begin v0.1.0 -->\n' })
+    await fs.remove(path.join(projectDir, 'CLAUDE.md'))
+    await fs.symlink(path.join(ctx.testDir, 'outside.md'), path.join(projectDir, 'CLAUDE.md'))
+
+    const { diagnostics } = await doctorCommand({ baseDir: projectDir }, deps)
+
+    const [section] = diagnostics.templates.sections
+    assert.equal(section.file, 'CLAUDE.md')
+    assert.equal(section.hasSection, false)
+    assert.match(section.error, /Path traversal/)
+  })
+
+  it('should write a redacted bundle with --bundle', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    marker.variables.testCommand = 'API_KEY=sk-ant-REDACTED npm test'
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    const { bundle } = await doctorCommand(
+      { bundle: true, baseDir: ctx.testDir, homeDir: ctx.testDir },
+      deps,
+    )
+
+    assert.equal(bundle, path.join(ctx.testDir, DEFAULT_BUNDLE_FILE))
+    const written = await fs.readFile(bundle, 'utf-8')
+    assert(!written.includes(ctx.testDir))
+    assert(!written.includes('sk-ant-api03'))
+    const redacted = JSON.parse(written)
+    assert.equal(redacted.binaries[0].path, '~/bin/claude')
+    assert.equal(redacted.marker.content.variables.testCommand, 'API_KEY=<token> npm test')
+    // Hashes show template drift and are kept
+    assert.deepEqual(redacted.marker.content.sectionHashes, marker.sectionHashes)
+    assert.equal(redacted.marker.content.template.hash, marker.template.hash)
+    assert.equal(
+      redacted.marker.content.assistants[0].originalHash,
+      marker.assistants[0].originalHash,
+    )
+  })
+})
@@ -0,0 +1,188 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs-extra'
+import path from 'path'
+import { checkCommand } from '../../src/commands/check.js'
+import { initCommand } from '../../src/commands/init.js'
+import { restoreCommand } from '../../src/commands/restore.js'
+import { CLI_CLAUDE } from '../../src/utils/cli-detector.js'
+import { findGuardianSection } from '../../src/utils/guardian-section.js'
+import { logger } from '../../src/utils/logger.js'
+import { getBundledTemplatePath } from '../../src/utils/template-compiler.js'
+import { WRAPPER_SIGNATURE } from '../../src/utils/wrappers.js'
+import {
+  createTestContext,
+  createMockFS,
+  mockFileExists,
+  readMockFile,
+} from '../helpers/test-utils.js'
+
+describe('Check --fix Tests', () => {
+  let ctx
+  let restoreCwd
+
+  // Pretend both assistant CLIs are installed without a Guardian wrapper
+  const allFound = { which: async (name) => `/usr/bin/${name}` }
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should recreate a missing marker from the context files', async () => {
+    await initCommand({
+      force: true,
+      cli: 'claude,gemini',
+      profile: 'standard',
+      baseDir: ctx.testDir,
+    })
+    await fs.remove(path.join(ctx.testDir, '.proguardian'))
+
+    const result = await checkCommand({ fix: true, baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(
+      result.fixes.map((fix) => fix.id),
+      ['fix-marker'],
+    )
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.equal(marker.profile, 'standard')
+    assert.deepEqual(
+      marker.assistants.map((assistant) => assistant.targetFile),
+      ['CLAUDE.md', 'GEMINI.md'],
+    )
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, true)
+  })
+
+  it('should recreate a corrupt marker and keep linked protocols', async () => {
+    await initCommand({ force: true, cli: 'claude', link: true, baseDir: ctx.testDir })
+    await createMockFS(ctx.testDir, { '.proguardian': '{ not json' })
+
+    await checkCommand({ fix: true, baseDir: ctx.testDir }, allFound)
+
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.equal(marker.assistants[0].linkedFile, '.proguardian.d/protocol/claude.md')
+  })
+
+  it('should re-insert a missing or tampered Guardian section', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    const edited = installed.replace('GUARDIAN MODE ACTIVE', 'GUARDIAN MODE OFF')
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': edited, 'GEMINI.md': '# Team notes\n' })
+
+    const result = await checkCommand({ fix: true, baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(
+      result.fixes.map((fix) => fix.message),
+      [
+        'Re-inserted the Guardian section in CLAUDE.md (changed since it was installed)',
+        'Re-inserted the Guardian section in GEMINI.md (section missing)',
+      ],
+    )
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), installed)
+    const gemini = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert(gemini.startsWith('# Team notes'))
+    assert(findGuardianSection(gemini))
+
+    // The edits were backed up before the section was rewritten
+    await restoreCommand({ baseDir: ctx.testDir })
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), edited)
+  })
+
+  it('should re-render an unedited section from an older protocol version', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': installed.replace(/proguardian:begin v[\d.]+/, 'proguardian:begin v0.9.0'),
+    })
+
+    const result = await checkCommand({ fix: true, baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(
+      result.fixes.map((fix) => fix.message),
+      ['Re-inserted the Guardian section in CLAUDE.md (outdated v0.9.0)'],
+    )
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), installed)
+  })
+
+  it('should re-copy a missing project template', async () => {
+    const bundled = await fs.readFile(getBundledTemplatePath('guardian.md'), 'utf-8')
+    await createMockFS(ctx.testDir, { '.proguardian.d/templates/guardian.md': bundled })
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    await fs.remove(path.join(ctx.testDir, '.proguardian.d/templates'))
+
+    const result = await checkCommand({ fix: true, baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(
+      result.fixes.map((fix) => fix.id),
+      ['fix-template'],
+    )
+    assert.equal(await readMockFile(ctx.testDir, '.proguardian.d/templates/guardian.md'), bundled)
+    assert.equal((await checkCommand({ baseDir: ctx.testDir }, allFound)).ok, true)
+  })
+
+  it('should leave projects without a Guardian section to init', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': '# Notes\n' })
+
+    const result = await checkCommand({ fix: true, baseDir: ctx.testDir }, allFound)
+
+    assert.equal(result.fixes.length, 0)
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), '# Notes\n')
+  })
+
+  it('should list the planned repairs with --dry-run without writing', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    await fs.remove(path.join(ctx.testDir, '.proguardian'))
+
+    const result = await checkCommand({ fix: true, dryRun: true, baseDir: ctx.testDir }, allFound)
+
+    assert.deepEqual(result.fixes, [
+      {
+        id: 'fix-marker',
+        message: 'Would recreate .proguardian from CLAUDE.md (strict profile)',
+        applied: false,
+      },
+    ])
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+  })
+
+  it('should reinstall a wrapper that a CLI update replaced', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const binDir = path.join(ctx.testDir, 'bin')
+    await createMockFS(binDir, {
+      claude: '#!/bin/sh\necho "claude 2.0"\n',
+      'claude-original': '#!/bin/sh\necho "claude 1.0"\n',
+    })
+    await fs.chmod(path.join(binDir, 'claude'), '755')
+
+    const originalPath = process.env.PATH
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`
+    try {
+      const result = await checkCommand(
+        { fix: true, baseDir: ctx.testDir },
+        {
+          which: async (name) => {
+            if (name !== CLI_CLAUDE) throw new Error('not found')
+            return path.join(binDir, name)
+          },
+        },
+      )
+      assert.deepEqual(
+        result.fixes.map((fix) => fix.id),
+        ['fix-wrapper'],
+      )
+    } finally {
+      process.env.PATH = originalPath
+    }
+
+    assert((await readMockFile(binDir, 'claude')).includes(WRAPPER_SIGNATURE))
+    assert((await readMockFile(binDir, 'claude-original')).includes('claude 2.0'))
+  })
+})
@@ -0,0 +1,439 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { initCommand, uninitCommand } from '../../src/commands/init.js'
+import { CLI_CLAUDE, CLI_GEMINI } from '../../src/utils/cli-detector.js'
+import {
+  GUARDIAN_MARKER,
+  findGuardianSection,
+  hashContent,
+  renderGuardianSection,
+} from '../../src/utils/guardian-section.js'
+import { logger } from '../../src/utils/logger.js'
+import {
+  createTestContext,
+  createMockFS,
+  mockFileExists,
+  readMockFile,
+} from '../helpers/test-utils.js'
+
+describe('Init Command Tests', () => {
+  let ctx
+  let restoreCwd
+  const deps = { determineCLI: async () => CLI_GEMINI }
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should create a Guardian-only CLAUDE.md rendered for Claude Code', async () => {
+    await initCommand(
+      { force: true, baseDir: ctx.testDir },
+      { determineCLI: async () => CLI_CLAUDE },
+    )
+
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    assert(content.includes(GUARDIAN_MARKER))
+    assert(content.includes('Use Read tool to review actual code'))
+    assert(content.includes('context from claude init above'))
+    assert(!content.includes('{{'))
+  })
+
+  it('should render and record commands for the detected stack', async () => {
+    await createMockFS(ctx.testDir, { 'go.mod': 'module example.com/app\n' })
+
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(content.includes('go test ./...'))
+    assert(!content.includes('npm test'))
+    assert(content.includes('- Technology stack: Go (Go)'))
+    assert.equal(marker.stack.ecosystem, 'go')
+    assert.equal(marker.stack.testCommand, 'go test ./...')
+    assert.equal(marker.stack.lintCommand, 'go vet ./...')
+  })
+
+  it('should report Makefile targets when no manifest is found', async () => {
+    await createMockFS(ctx.testDir, { Makefile: 'test:\n\t./run-tests\n' })
+    const output = []
+    const originalLogHandler = logger.outputHandlers.log
+    logger.setSilent(false)
+    logger.setOutputHandler('log', (...args) => output.push(args.join(' ')))
+
+    try {
+      await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+    } finally {
+      logger.setOutputHandler('log', originalLogHandler)
+    }
+
+    const text = output.join('\n')
+    assert(text.includes('Detected Makefile targets'))
+    assert(text.includes('Test command: make test'))
+    assert(!text.includes('No project manifest detected'))
+  })
+
+  it('should preview changes on --dry-run without writing', async () => {
+    const original = '# Project\n'
+    await createMockFS(ctx.testDir, { 'GEMINI.md': original })
+
+    const result = await initCommand({ dryRun: true, baseDir: ctx.testDir }, deps)
+
+    assert.deepEqual(result, { pendingChanges: true })
+    assert.equal(await readMockFile(ctx.testDir, 'GEMINI.md'), original)
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+  })
+
+  it('should report no pending changes on --dry-run when up to date', async () => {
+    await createMockFS(ctx.testDir, { 'GEMINI.md': '# Project\n' })
+    await initCommand({ baseDir: ctx.testDir }, deps)
+
+    const result = await initCommand({ dryRun: true, baseDir: ctx.testDir }, deps)
+
+    assert.deepEqual(result, { pendingChanges: false })
+  })
+
+  it('should keep content on both sides of the section on --force', async () => {
+    const before = '# Project\n\nTeam rules\n\n'
+    const after = '\n## Notes added below Guardian\n'
+    await createMockFS(ctx.testDir, {
+      'GEMINI.md': `${before}${renderGuardianSection('old protocol', '0.9.0')}${after}`,
+    })
+
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert(content.startsWith(before))
+    assert(content.endsWith(after))
+    assert(!content.includes('old protocol'))
+  })
+
+  it('should migrate a legacy section without --force', async () => {
+    await createMockFS(ctx.testDir, {
+      'GEMINI.md': `# Project\n\n${GUARDIAN_MARKER}\n\nold protocol`,
+    })
+
+    await initCommand({ baseDir: ctx.testDir }, deps)
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert.equal(findGuardianSection(content).legacy, false)
+    assert(content.startsWith('# Project\n\n'))
+    assert(!content.includes('old protocol'))
+  })
+
+  it('should leave an active bounded section alone without --force', async () => {
+    const content = `# Project\n\n${renderGuardianSection('old protocol')}`
+    await createMockFS(ctx.testDir, { 'GEMINI.md': content })
+
+    await initCommand({ baseDir: ctx.testDir }, deps)
+
+    assert.equal(await readMockFile(ctx.testDir, 'GEMINI.md'), content)
+  })
+
+  it('should configure several assistants in one pass', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': '# Claude notes\n' })
+
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+
+    const claude = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    const gemini = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(claude.startsWith('# Claude notes\n'))
+    assert(claude.includes('Use Read tool to review actual code'))
+    assert(gemini.includes('Use read_file tool to review actual code'))
+    assert.deepEqual(
+      marker.assistants.map(({ cliType, targetFile, createdFile }) => ({
+        cliType,
+        targetFile,
+        createdFile,
+      })),
+      [
+        { cliType: CLI_CLAUDE, targetFile: 'CLAUDE.md', createdFile: false },
+        { cliType: CLI_GEMINI, targetFile: 'GEMINI.md', createdFile: true },
+      ],
+    )
+    assert.equal(marker.cliType, CLI_CLAUDE)
+  })
+
+  it('should keep assistants configured by an earlier run', async () => {
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+    await initCommand(
+      { force: true, baseDir: ctx.testDir },
+      { determineCLI: async () => CLI_CLAUDE },
+    )
+
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.deepEqual(
+      marker.assistants.map((assistant) => assistant.cliType),
+      [CLI_GEMINI, CLI_CLAUDE],
+    )
+    assert(await mockFileExists(ctx.testDir, 'GEMINI.md'))
+  })
+
+  it('should reject a custom path with several assistants', async () => {
+    const originalExit = process.exit
+    let exitCode = null
+    process.exit = (code) => {
+      exitCode = code
+    }
+    try {
+      await initCommand({ cli: 'claude,gemini', path: 'AI.md', baseDir: ctx.testDir })
+    } finally {
+      process.exit = originalExit
+    }
+
+    assert.equal(exitCode, 1)
+    assert(!(await mockFileExists(ctx.testDir, 'AI.md')))
+  })
+
+  it('should render and record the chosen profile', async () => {
+    await initCommand({ force: true, profile: 'light', baseDir: ctx.testDir }, deps)
+
+    let content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.equal(marker.profile, 'light')
+    assert(content.includes('**NEVER hardcode secrets**'))
+    assert(!content.includes('STEP 1'))
+
+    // Re-running init keeps the stored profile
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+    content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert(!content.includes('STEP 1'))
+  })
+
+  it('should render a custom template and record where it came from', async () => {
+    const template = '# Org protocol\n\nRun {{testCommand}} before {{checklistFile}} reviews\n'
+    await createMockFS(ctx.testDir, { 'org/guardian.md': template })
+
+    await initCommand({ force: true, template: 'org/guardian.md', baseDir: ctx.testDir }, deps)
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(content.includes('before GEMINI.md reviews'))
+    assert(!content.includes('STEP 1'))
+    assert.deepEqual(marker.template, {
+      source: 'custom',
+      path: 'org/guardian.md',
+      hash: hashContent(template),
+    })
+  })
+
+  it('should add a scoped context file to every workspace package', async () => {
+    await createMockFS(ctx.testDir, {
+      'package.json': JSON.stringify({ workspaces: ['packages/*'] }),
+      'packages/api/package.json': JSON.stringify({
+        name: '@acme/api',
+        scripts: { test: 'vitest run' },
+      }),
+      'packages/web/package.json': JSON.stringify({ name: '@acme/web' }),
+    })
+
+    await initCommand({ force: true, workspaces: true, baseDir: ctx.testDir }, deps)
+
+    const api = await readMockFile(ctx.testDir, 'packages/api/GEMINI.md')
+    const web = await readMockFile(ctx.testDir, 'packages/web/GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(await mockFileExists(ctx.testDir, 'GEMINI.md'))
+    assert(api.includes('Workspace package `@acme/api` in `packages/api/`'))
+    assert(api.includes('npm test'))
+    assert(web.includes('Workspace package `@acme/web`'))
+    assert.deepEqual(
+      marker.workspaces.map((pkg) => [pkg.name, pkg.dir, pkg.assistants[0].targetFile]),
+      [
+        ['@acme/api', 'packages/api', 'GEMINI.md'],
+        ['@acme/web', 'packages/web', 'GEMINI.md'],
+      ],
+    )
+  })
+
+  it('should add a nested context file with its own profile for --scope', async () => {
+    await createMockFS(ctx.testDir, { 'GEMINI.md': '# Project\n', 'payments/api/.keep': '' })
+    await initCommand({ profile: 'light', baseDir: ctx.testDir }, deps)
+
+    await initCommand({ scope: './payments/', profile: 'strict', baseDir: ctx.testDir }, deps)
+
+    const root = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const scoped = await readMockFile(ctx.testDir, 'payments/GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(!root.includes('STEP 1'))
+    assert(scoped.includes('STEP 1'))
+    assert(scoped.includes('Directory scope `payments/`'))
+    assert.equal(marker.profile, 'light')
+    assert.deepEqual(
+      marker.scopes.map((scope) => [scope.dir, scope.profile, scope.assistants[0].createdFile]),
+      [['payments', 'strict', true]],
+    )
+  })
+
+  it('should reject a --scope outside the project or at its root', async () => {
+    const originalExit = process.exit
+    const exitCodes = []
+    process.exit = (code) => {
+      exitCodes.push(code)
+    }
+    try {
+      await initCommand({ scope: '.', baseDir: ctx.testDir }, deps)
+      await initCommand({ scope: 'missing', baseDir: ctx.testDir }, deps)
+      await initCommand({ scope: 'payments', workspaces: true, baseDir: ctx.testDir }, deps)
+    } finally {
+      process.exit = originalExit
+    }
+
+    assert.deepEqual(exitCodes, [1, 1, 1])
+    assert(!(await mockFileExists(ctx.testDir, '.proguardian')))
+  })
+
+  it('should install and remove user-level Guardian with --user', async () => {
+    const home = await createTestContext()
+    try {
+      await createMockFS(home.testDir, { '.claude/CLAUDE.md': '# My preferences\n' })
+
+      await initCommand(
+        { user: true, cli: 'claude,gemini', profile: 'light', homeDir: home.testDir },
+        deps,
+      )
+
+      const claude = await readMockFile(home.testDir, '.claude/CLAUDE.md')
+      const marker = JSON.parse(await readMockFile(home.testDir, '.proguardian'))
+      assert(claude.startsWith('# My preferences\n'))
+      assert(claude.includes('User-level Guardian'))
+      assert(await mockFileExists(home.testDir, '.gemini/GEMINI.md'))
+      assert.equal(marker.profile, 'light')
+      assert.deepEqual(
+        marker.assistants.map((item) => item.targetFile),
+        ['.claude/CLAUDE.md', '.gemini/GEMINI.md'],
+      )
+      // The project is left alone
+      assert(!(await mockFileExists(ctx.testDir, '.proguardian')))
+
+      await uninitCommand({ user: true, homeDir: home.testDir })
+
+      assert.equal(await readMockFile(home.testDir, '.claude/CLAUDE.md'), '# My preferences\n')
+      assert(!(await mockFileExists(home.testDir, '.gemini/GEMINI.md')))
+      assert(!(await mockFileExists(home.testDir, '.proguardian')))
+    } finally {
+      await home.cleanup()
+    }
+  })
+
+  it('should write the protocol once and import it with --link', async () => {
+    await createMockFS(ctx.testDir, { 'GEMINI.md': '# Project notes\n' })
+
+    await initCommand({ link: true, baseDir: ctx.testDir }, deps)
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const protocol = await readMockFile(ctx.testDir, '.proguardian.d/protocol/gemini.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.equal(findGuardianSection(content).body, '@./.proguardian.d/protocol/gemini.md\n')
+    assert(protocol.startsWith(GUARDIAN_MARKER))
+    assert(protocol.includes('Use read_file tool to review actual code'))
+    assert.equal(marker.assistants[0].linkedFile, '.proguardian.d/protocol/gemini.md')
+
+    // Later runs keep the link without repeating --link
+    await initCommand({ force: true, profile: 'light', baseDir: ctx.testDir }, deps)
+    const relinked = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert.equal(findGuardianSection(relinked).body, '@./.proguardian.d/protocol/gemini.md\n')
+    assert.notEqual(await readMockFile(ctx.testDir, '.proguardian.d/protocol/gemini.md'), protocol)
+
+    await uninitCommand({ baseDir: ctx.testDir })
+    assert.equal(await readMockFile(ctx.testDir, 'GEMINI.md'), '# Project notes\n')
+    assert(!(await mockFileExists(ctx.testDir, '.proguardian.d/protocol')))
+  })
+
+  it('should reject --user combined with project-only options', async () => {
+    const originalExit = process.exit
+    const exitCodes = []
+    process.exit = (code) => {
+      exitCodes.push(code)
+    }
+    try {
+      await initCommand({ user: true, workspaces: true, baseDir: ctx.testDir }, deps)
+      await initCommand({ user: true, scope: 'payments', baseDir: ctx.testDir }, deps)
+    } finally {
+      process.exit = originalExit
+    }
+
+    assert.deepEqual(exitCodes, [1, 1])
+  })
+
+  it('should apply and record the setup wizard answers', async () => {
+    await createMockFS(ctx.testDir, { '.git/hooks/.keep': '' })
+    let wrapperInstalls = 0
+
+    await initCommand(
+      { baseDir: ctx.testDir },
+      {
+        askSetup: async () => ({
+          cliTypes: [CLI_CLAUDE, CLI_GEMINI],
+          profile: 'standard',
+          testCommand: 'npm run test:ci',
+          lintCommand: 'npm run lint',
+          installWrapper: true,
+          gitHooks: true,
+        }),
+        installWrapper: async () => {
+          wrapperInstalls++
+        },
+      },
+    )
+
+    const claude = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(claude.includes('npm run test:ci'))
+    assert(await mockFileExists(ctx.testDir, 'GEMINI.md'))
+    assert.equal(marker.profile, 'standard')
+    assert.equal(marker.variables.lintCommand, 'npm run lint')
+    assert.deepEqual(marker.setup, { wrapper: true, gitHooks: true })
+    assert.equal(wrapperInstalls, 1)
+    assert(await mockFileExists(ctx.testDir, '.git/hooks/pre-commit'))
+  })
+
+  it('should keep sections edited since init when the wizard runs again', async () => {
+    await initCommand({ force: true, cli: 'claude,gemini', baseDir: ctx.testDir })
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    const gemini = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const edited = installed.replace('GUARDIAN MODE ACTIVE', 'GUARDIAN MODE ACTIVE (team rules)')
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': edited })
+
+    await initCommand(
+      { baseDir: ctx.testDir },
+      {
+        askSetup: async () => ({
+          cliTypes: [CLI_CLAUDE, CLI_GEMINI],
+          profile: 'light',
+          installWrapper: false,
+          gitHooks: false,
+        }),
+      },
+    )
+
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), edited)
+    // The unedited section is refreshed with the new answers
+    assert.notEqual(await readMockFile(ctx.testDir, 'GEMINI.md'), gemini)
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.equal(marker.profile, 'light')
+  })
+
+  it('should configure every detected assistant with --yes', async () => {
+    let received
+    await initCommand(
+      { yes: true, force: true, baseDir: ctx.testDir },
+      {
+        determineCLIs: async (opts) => {
+          received = opts
+          return [CLI_GEMINI]
+        },
+      },
+    )
+
+    assert.equal(received.allDetected, true)
+    assert(await mockFileExists(ctx.testDir, 'GEMINI.md'))
+  })
+})
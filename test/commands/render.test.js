@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { initCommand } from '../../src/commands/init.js'
+import { renderCommand } from '../../src/commands/render.js'
+import { listBackups } from '../../src/utils/backups.js'
+import { CLI_GEMINI } from '../../src/utils/cli-detector.js'
+import { logger } from '../../src/utils/logger.js'
+import { createTestContext, createMockFS, readMockFile } from '../helpers/test-utils.js'
+
+describe('Render Command Tests', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should apply edited marker variables to the Guardian section', async () => {
+    await createMockFS(ctx.testDir, {
+      'GEMINI.md': '# Project\n',
+      'package.json': JSON.stringify({ scripts: { test: 'node --test' } }),
+    })
+    await initCommand({ baseDir: ctx.testDir }, { determineCLI: async () => CLI_GEMINI })
+
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.equal(marker.variables.testCommand, 'npm test')
+    assert.deepEqual(marker.variables.protectedPaths, [])
+
+    marker.variables.testCommand = 'npm run test:ci'
+    marker.variables.protectedPaths = ['migrations/', 'infra/']
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert(content.startsWith('# Project\n'))
+    assert(content.includes('npm run test:ci'))
+    assert(content.includes('explicit approval**: migrations/, infra/'))
+    const updated = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.deepEqual(updated.variables.protectedPaths, ['migrations/', 'infra/'])
+  })
+
+  it('should keep configured variables when init runs again', async () => {
+    await createMockFS(ctx.testDir, {
+      '.proguardian': JSON.stringify({
+        cliType: 'gemini',
+        targetFile: 'GEMINI.md',
+        variables: { testCommand: 'make check' },
+      }),
+    })
+
+    await initCommand(
+      { force: true, baseDir: ctx.testDir },
+      { determineCLI: async () => CLI_GEMINI },
+    )
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(content.includes('make check'))
+    assert.equal(marker.variables.testCommand, 'make check')
+    assert(marker.variables.sensitiveDomains.includes('payments'))
+  })
+
+  it('should render the profile stored in .proguardian', async () => {
+    await initCommand(
+      { force: true, baseDir: ctx.testDir },
+      { determineCLI: async () => CLI_GEMINI },
+    )
+
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    marker.profile = 'standard'
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'GEMINI.md')
+    assert(content.includes('## STEP 3: Verify'))
+    assert(!content.includes('STEP 14'))
+  })
+
+  it('should re-render workspace packages recorded by init', async () => {
+    await createMockFS(ctx.testDir, {
+      'package.json': JSON.stringify({ workspaces: ['packages/*'] }),
+      'packages/api/package.json': JSON.stringify({ name: 'api' }),
+    })
+    await initCommand(
+      { force: true, workspaces: true, baseDir: ctx.testDir },
+      { determineCLI: async () => CLI_GEMINI },
+    )
+
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    marker.variables.protectedPaths = ['db/']
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'packages/api/GEMINI.md')
+    assert(content.includes('explicit approval**: db/'))
+    assert(content.includes('Workspace package `api`'))
+  })
+
+  it('should re-render the linked protocol file and keep the import', async () => {
+    await initCommand(
+      { force: true, link: true, baseDir: ctx.testDir },
+      { determineCLI: async () => CLI_GEMINI },
+    )
+    const before = await readMockFile(ctx.testDir, 'GEMINI.md')
+
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    marker.variables.testCommand = 'npm run test:ci'
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    const protocol = await readMockFile(ctx.testDir, '.proguardian.d/protocol/gemini.md')
+    assert.equal(await readMockFile(ctx.testDir, 'GEMINI.md'), before)
+    assert(protocol.includes('npm run test:ci'))
+  })
+
+  it('should re-render directory scopes with their own profile', async () => {
+    const deps = { determineCLI: async () => CLI_GEMINI }
+    await createMockFS(ctx.testDir, { 'scripts/.keep': '' })
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+    await initCommand({ scope: 'scripts', profile: 'light', baseDir: ctx.testDir }, deps)
+    await createMockFS(ctx.testDir, { 'scripts/GEMINI.md': '# Outdated\n' })
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    const root = await readMockFile(ctx.testDir, 'GEMINI.md')
+    const scoped = await readMockFile(ctx.testDir, 'scripts/GEMINI.md')
+    assert(root.includes('STEP 1'))
+    assert(!scoped.includes('STEP 1'))
+    assert(scoped.includes('Directory scope `scripts/`'))
+  })
+
+  it('should record section hashes for markers that predate them', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    const { sectionHashes } = marker
+    delete marker.sectionHashes
+    await createMockFS(ctx.testDir, { '.proguardian': JSON.stringify(marker) })
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    const rendered = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert.deepEqual(rendered.sectionHashes, sectionHashes)
+  })
+
+  it('should not back up anything when the sections are already up to date', async () => {
+    await initCommand({ force: true, cli: 'claude', baseDir: ctx.testDir })
+    const before = await listBackups(ctx.testDir)
+
+    await renderCommand({ baseDir: ctx.testDir })
+
+    assert.deepEqual(await listBackups(ctx.testDir), before)
+  })
+})
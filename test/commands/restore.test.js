@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { initCommand, uninitCommand } from '../../src/commands/init.js'
+import { restoreCommand } from '../../src/commands/restore.js'
+import { CLI_CLAUDE } from '../../src/utils/cli-detector.js'
+import { listBackups } from '../../src/utils/backups.js'
+import { logger } from '../../src/utils/logger.js'
+import {
+  createTestContext,
+  createMockFS,
+  mockFileExists,
+  readMockFile,
+} from '../helpers/test-utils.js'
+
+describe('Restore Command Tests', () => {
+  let ctx
+  let restoreCwd
+  let originalExit
+  const deps = { determineCLI: async () => CLI_CLAUDE }
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+    originalExit = process.exit
+  })
+
+  afterEach(async () => {
+    process.exit = originalExit
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should roll back the last init --force', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': '# Project notes\n' })
+    await initCommand({ baseDir: ctx.testDir }, deps)
+    const installed = await readMockFile(ctx.testDir, 'CLAUDE.md')
+
+    // A tweak inside the Guardian section, which --force overwrites
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': installed.replace(
+        'GUARDIAN MODE ACTIVE\n',
+        'GUARDIAN MODE ACTIVE\n\nLocal tweak\n',
+      ),
+    })
+    await initCommand({ force: true, profile: 'light', baseDir: ctx.testDir }, deps)
+    assert(!(await readMockFile(ctx.testDir, 'CLAUDE.md')).includes('Local tweak'))
+
+    const result = await restoreCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    assert(content.includes('Local tweak'))
+    assert.equal(marker.profile, 'strict')
+    assert(result.restored.some((change) => change.path === 'CLAUDE.md'))
+  })
+
+  it('should restore the session chosen with --at', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': '# Project notes\n' })
+    await initCommand({ baseDir: ctx.testDir }, deps)
+    await uninitCommand({ baseDir: ctx.testDir })
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+
+    // The uninit session holds the initialized setup
+    const [uninit] = await listBackups(ctx.testDir)
+    await restoreCommand({ at: uninit.created, baseDir: ctx.testDir })
+
+    assert(await mockFileExists(ctx.testDir, '.proguardian'))
+    assert((await readMockFile(ctx.testDir, 'CLAUDE.md')).includes('proguardian:begin'))
+
+    // The init session takes the project back to before Guardian
+    const sessions = await listBackups(ctx.testDir)
+    await restoreCommand({ at: sessions[sessions.length - 1].id, baseDir: ctx.testDir })
+
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), '# Project notes\n')
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+  })
+
+  it('should list backups without changing anything', async () => {
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+    const before = await readMockFile(ctx.testDir, 'CLAUDE.md')
+
+    const result = await restoreCommand({ list: true, baseDir: ctx.testDir })
+
+    assert.deepEqual(result, { restored: [] })
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), before)
+  })
+
+  it('should reject a timestamp that matches no backup', async () => {
+    await initCommand({ force: true, baseDir: ctx.testDir }, deps)
+    let exitCode
+    process.exit = (code) => {
+      exitCode = code
+      throw new Error('process.exit called')
+    }
+
+    await assert.rejects(
+      restoreCommand({ at: '1999-01-01', baseDir: ctx.testDir }),
+      /process.exit called/,
+    )
+    assert.equal(exitCode, 1)
+  })
+})
@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { uninitCommand } from '../../src/commands/init.js'
+import { upsertGuardianSection, hashContent } from '../../src/utils/guardian-section.js'
+import { logger } from '../../src/utils/logger.js'
+import {
+  createTestContext,
+  createMockFS,
+  mockFileExists,
+  readMockFile,
+} from '../helpers/test-utils.js'
+
+describe('Uninit Command Tests', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should restore the pre-Guardian content and delete the marker', async () => {
+    const original = '# My Project\n\nTeam notes\n'
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': upsertGuardianSection(original, 'protocol'),
+      '.proguardian': JSON.stringify({
+        cliType: 'claude',
+        targetFile: 'CLAUDE.md',
+        originalHash: hashContent(original),
+      }),
+    })
+
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), original)
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+  })
+
+  it('should delete Guardian-only files created by init --force', async () => {
+    await createMockFS(ctx.testDir, {
+      'GEMINI.md': upsertGuardianSection('', 'protocol'),
+      '.proguardian': JSON.stringify({
+        cliType: 'gemini',
+        targetFile: 'GEMINI.md',
+        createdFile: true,
+      }),
+    })
+
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await mockFileExists(ctx.testDir, 'GEMINI.md'), false)
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+  })
+
+  it('should keep a file init did not create when only its Guardian section remains', async () => {
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': upsertGuardianSection('', 'protocol'),
+      '.proguardian': JSON.stringify({
+        cliType: 'claude',
+        targetFile: 'CLAUDE.md',
+        createdFile: false,
+        originalHash: hashContent(''),
+      }),
+    })
+
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), '')
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian'), false)
+  })
+
+  it('should clean every context file when the marker is missing', async () => {
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': upsertGuardianSection('# Claude', 'protocol'),
+      'GEMINI.md': '# Gemini only',
+    })
+
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), '# Claude')
+    assert.equal(await readMockFile(ctx.testDir, 'GEMINI.md'), '# Gemini only')
+  })
+
+  it('should remove Guardian from every assistant listed in the marker', async () => {
+    const original = '# Team notes\n'
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': upsertGuardianSection(original, 'protocol'),
+      'GEMINI.md': upsertGuardianSection('', 'protocol'),
+      '.proguardian': JSON.stringify({
+        cliType: 'claude',
+        targetFile: 'CLAUDE.md',
+        assistants: [
+          { cliType: 'claude', targetFile: 'CLAUDE.md', originalHash: hashContent(original) },
+          { cliType: 'gemini', targetFile: 'GEMINI.md', createdFile: true },
+        ],
+      }),
+    })
+
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), original)
+    assert(!(await mockFileExists(ctx.testDir, 'GEMINI.md')))
+    assert(!(await mockFileExists(ctx.testDir, '.proguardian')))
+  })
+
+  it('should remove Guardian from recorded workspace packages', async () => {
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': upsertGuardianSection('', 'protocol'),
+      'packages/api/CLAUDE.md': upsertGuardianSection('# API notes\n', 'protocol'),
+      '.proguardian': JSON.stringify({
+        assistants: [{ cliType: 'claude', targetFile: 'CLAUDE.md', createdFile: true }],
+        workspaces: [
+          {
+            name: 'api',
+            dir: 'packages/api',
+            assistants: [{ cliType: 'claude', targetFile: 'CLAUDE.md' }],
+          },
+        ],
+      }),
+    })
+
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await readMockFile(ctx.testDir, 'packages/api/CLAUDE.md'), '# API notes\n')
+    assert(!(await mockFileExists(ctx.testDir, 'CLAUDE.md')))
+  })
+})
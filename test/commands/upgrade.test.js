@@ -0,0 +1,179 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs-extra'
+import path from 'path'
+import { initCommand, uninitCommand } from '../../src/commands/init.js'
+import { upgradeCommand } from '../../src/commands/upgrade.js'
+import { checkCommand } from '../../src/commands/check.js'
+import { CLI_CLAUDE } from '../../src/utils/cli-detector.js'
+import { TEMPLATE_VERSION } from '../../src/utils/guardian-section.js'
+import { SECTION_BASE_DIR } from '../../src/utils/section-base.js'
+import { logger } from '../../src/utils/logger.js'
+import {
+  createTestContext,
+  createMockFS,
+  mockFileExists,
+  readMockFile,
+} from '../helpers/test-utils.js'
+
+const TEMPLATE_V1 = '# Org protocol\n\n1. Plan\n2. Implement\n3. Run {{testCommand}}\n'
+
+describe('Upgrade Command Tests', () => {
+  let ctx
+  let restoreCwd
+  const deps = { determineCLI: async () => CLI_CLAUDE }
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+    logger.setSilent(true)
+
+    await createMockFS(ctx.testDir, {
+      'CLAUDE.md': '# Project notes\n',
+      'org/guardian.md': TEMPLATE_V1,
+    })
+    await initCommand({ template: 'org/guardian.md', baseDir: ctx.testDir }, deps)
+  })
+
+  afterEach(async () => {
+    logger.setSilent(false)
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  /**
+   * Applies a local edit to CLAUDE.md
+   */
+  async function editContextFile(search, replacement) {
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': content.replace(search, replacement) })
+  }
+
+  it('should store the installed section as the merge base', async () => {
+    const base = await readMockFile(ctx.testDir, `${SECTION_BASE_DIR}/CLAUDE.md`)
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+
+    assert(base.startsWith('## 🛡️ GUARDIAN MODE ACTIVE'))
+    assert(content.includes(base))
+  })
+
+  it('should merge template changes while keeping local edits', async () => {
+    await editContextFile('1. Plan\n', '1. Plan with the team\n')
+    await createMockFS(ctx.testDir, {
+      'org/guardian.md': `${TEMPLATE_V1}4. Review the diff\n`,
+    })
+
+    const result = await upgradeCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    assert.deepEqual(result, { conflicts: 0 })
+    assert(content.startsWith('# Project notes\n'))
+    assert(content.includes('1. Plan with the team\n'))
+    assert(content.includes('4. Review the diff\n'))
+    assert(!content.includes('<<<<<<<'))
+
+    // The new template becomes the base of the next upgrade
+    const base = await readMockFile(ctx.testDir, `${SECTION_BASE_DIR}/CLAUDE.md`)
+    assert(base.includes('4. Review the diff\n'))
+    assert(!base.includes('with the team'))
+  })
+
+  it('should show conflicting edits inline and report them', async () => {
+    await editContextFile('2. Implement\n', '2. Implement behind a flag\n')
+    await createMockFS(ctx.testDir, {
+      'org/guardian.md': TEMPLATE_V1.replace('2. Implement', '2. Implement without placeholders'),
+    })
+
+    const result = await upgradeCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    assert.deepEqual(result, { conflicts: 1 })
+    assert(
+      content.includes(
+        '<<<<<<< local\n2. Implement behind a flag\n=======\n' +
+          `2. Implement without placeholders\n>>>>>>> proguardian v${TEMPLATE_VERSION}\n`,
+      ),
+    )
+    assert(content.trimEnd().endsWith('<!-- proguardian:end -->'))
+
+    const check = await checkCommand({ baseDir: ctx.testDir }, { which: async () => '/bin/true' })
+    assert.equal(check.ok, false)
+  })
+
+  it('should bump the template version recorded in .proguardian', async () => {
+    const marker = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    await createMockFS(ctx.testDir, {
+      '.proguardian': JSON.stringify({ ...marker, templateVersion: '1.0.0' }),
+      'CLAUDE.md': (await readMockFile(ctx.testDir, 'CLAUDE.md')).replace(
+        `proguardian:begin v${TEMPLATE_VERSION}`,
+        'proguardian:begin v1.0.0',
+      ),
+    })
+
+    await upgradeCommand({ baseDir: ctx.testDir })
+
+    const updated = JSON.parse(await readMockFile(ctx.testDir, '.proguardian'))
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    assert.equal(updated.templateVersion, TEMPLATE_VERSION)
+    assert(updated.upgraded)
+    assert(content.includes(`<!-- proguardian:begin v${TEMPLATE_VERSION} -->`))
+  })
+
+  it('should leave files untouched when already up to date', async () => {
+    const before = await readMockFile(ctx.testDir, '.proguardian')
+
+    const result = await upgradeCommand({ baseDir: ctx.testDir })
+
+    assert.deepEqual(result, { conflicts: 0 })
+    assert.equal(await readMockFile(ctx.testDir, '.proguardian'), before)
+  })
+
+  it('should preview the merge without writing on --dry-run', async () => {
+    await createMockFS(ctx.testDir, { 'org/guardian.md': `${TEMPLATE_V1}4. Review\n` })
+    const before = await readMockFile(ctx.testDir, 'CLAUDE.md')
+
+    const result = await upgradeCommand({ dryRun: true, baseDir: ctx.testDir })
+
+    assert.deepEqual(result, { pendingChanges: true, conflicts: 0 })
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), before)
+  })
+
+  it('should report every difference as a conflict when no base was recorded', async () => {
+    // Setups installed before the base store existed
+    await fs.remove(path.join(ctx.testDir, SECTION_BASE_DIR))
+    await editContextFile('1. Plan\n', '1. Plan with the team\n')
+    await createMockFS(ctx.testDir, { 'org/guardian.md': `${TEMPLATE_V1}4. Review\n` })
+
+    const result = await upgradeCommand({ baseDir: ctx.testDir })
+
+    const content = await readMockFile(ctx.testDir, 'CLAUDE.md')
+    assert.equal(result.conflicts, 1)
+    assert(content.includes('<<<<<<< local\n1. Plan with the team\n2. Implement\n'))
+  })
+
+  it('should merge into the linked protocol file of --link setups', async () => {
+    await initCommand({ force: true, link: true, baseDir: ctx.testDir }, deps)
+    const linkedFile = '.proguardian.d/protocol/claude.md'
+    const protocol = await readMockFile(ctx.testDir, linkedFile)
+    await createMockFS(ctx.testDir, {
+      [linkedFile]: protocol.replace('1. Plan\n', '1. Plan with the team\n'),
+      'org/guardian.md': `${TEMPLATE_V1}4. Review the diff\n`,
+    })
+    const before = await readMockFile(ctx.testDir, 'CLAUDE.md')
+
+    const result = await upgradeCommand({ baseDir: ctx.testDir })
+
+    const merged = await readMockFile(ctx.testDir, linkedFile)
+    assert.deepEqual(result, { conflicts: 0 })
+    assert(merged.includes('1. Plan with the team\n'))
+    assert(merged.includes('4. Review the diff\n'))
+    // The context file still only imports the protocol
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), before)
+  })
+
+  it('should remove the stored bases on uninit', async () => {
+    await uninitCommand({ baseDir: ctx.testDir })
+
+    assert.equal(await mockFileExists(ctx.testDir, SECTION_BASE_DIR), false)
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  BACKUP_DIR,
+  MAX_BACKUP_SESSIONS,
+  backupFile,
+  findBackup,
+  listBackups,
+  pruneBackups,
+  restoreBackup,
+  startBackupSession,
+  toBackupId,
+} from '../../src/utils/backups.js'
+import {
+  createTestContext,
+  createMockFS,
+  mockFileExists,
+  readMockFile,
+} from '../helpers/test-utils.js'
+
+describe('Backup Utils', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+  })
+
+  afterEach(async () => {
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should derive filesystem-safe ids from timestamps', () => {
+    assert.equal(toBackupId(new Date('2026-10-19T12:30:45.123Z')), '2026-10-19T12-30-45-123Z')
+  })
+
+  it('should keep the state from before the first write of a session', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': 'original\n' })
+    startBackupSession()
+
+    await backupFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': 'first write\n' })
+    await backupFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': 'second write\n' })
+
+    const sessions = await listBackups(ctx.testDir)
+    assert.equal(sessions.length, 1)
+    assert.deepEqual(sessions[0].files, [{ path: 'CLAUDE.md', existed: true }])
+
+    await restoreBackup(ctx.testDir, sessions[0])
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), 'original\n')
+  })
+
+  it('should remove files that did not exist when they were backed up', async () => {
+    startBackupSession()
+    await backupFile(ctx.testDir, 'GEMINI.md')
+    await createMockFS(ctx.testDir, { 'GEMINI.md': 'created\n' })
+
+    const [session] = await listBackups(ctx.testDir)
+    const changes = await restoreBackup(ctx.testDir, session)
+
+    assert.deepEqual(changes, [{ path: 'GEMINI.md', action: 'removed' }])
+    assert.equal(await mockFileExists(ctx.testDir, 'GEMINI.md'), false)
+  })
+
+  it('should back up the replaced files when restoring', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': 'v1\n' })
+    startBackupSession()
+    await backupFile(ctx.testDir, 'CLAUDE.md')
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': 'v2\n' })
+
+    startBackupSession()
+    const [first] = await listBackups(ctx.testDir)
+    await restoreBackup(ctx.testDir, first)
+
+    // Restoring the newest session undoes the restore
+    const sessions = await listBackups(ctx.testDir)
+    assert.equal(sessions.length, 2)
+    await restoreBackup(ctx.testDir, sessions[0])
+    assert.equal(await readMockFile(ctx.testDir, 'CLAUDE.md'), 'v2\n')
+  })
+
+  it('should never put the backup store under version control', async () => {
+    startBackupSession()
+    await backupFile(ctx.testDir, 'CLAUDE.md')
+
+    const gitignore = await readMockFile(ctx.testDir, `${BACKUP_DIR}/.gitignore`)
+    assert.match(gitignore, /^\*$/m)
+  })
+
+  it('should prune sessions beyond the retention limit', async () => {
+    await createMockFS(ctx.testDir, { 'CLAUDE.md': 'content\n' })
+    for (let i = 0; i < MAX_BACKUP_SESSIONS + 3; i++) {
+      startBackupSession()
+      await backupFile(ctx.testDir, 'CLAUDE.md')
+    }
+
+    const sessions = await listBackups(ctx.testDir)
+    assert.equal(sessions.length, MAX_BACKUP_SESSIONS)
+    assert.equal(await pruneBackups(ctx.testDir, 5), MAX_BACKUP_SESSIONS - 5)
+    assert.equal((await listBackups(ctx.testDir)).length, 5)
+  })
+
+  it('should find sessions by id, ISO timestamp or unique prefix', () => {
+    const sessions = [{ id: '2026-10-19T12-30-45-123Z' }, { id: '2026-10-18T09-00-00-000Z' }]
+
+    assert.equal(findBackup(sessions, '2026-10-19T12:30:45.123Z'), sessions[0])
+    assert.equal(findBackup(sessions, '2026-10-18'), sessions[1])
+    assert.equal(findBackup(sessions, '2026-10'), null)
+    assert.equal(findBackup(sessions, '2025'), null)
+  })
+})
@@ -1,7 +1,14 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
 import { mockConsole } from '../helpers/test-utils.js'
-import { getTargetFilename, CLI_CLAUDE, CLI_GEMINI } from '../../src/utils/cli-detector.js'
+import {
+  determineCLIs,
+  getTargetFilename,
+  parseCLIList,
+  CLI_CLAUDE,
+  CLI_GEMINI,
+} from '../../src/utils/cli-detector.js'
+import { logger } from '../../src/utils/logger.js'
 
 describe('CLI Detector', () => {
   describe('getTargetFilename()', () => {
@@ -37,6 +44,36 @@ describe('CLI Detector', () => {
   // These functions are better tested through integration tests or by using
   // a more advanced testing framework that supports ES module mocking.
 
+  describe('parseCLIList()', () => {
+    it('should split, trim and de-duplicate a comma-separated list', () => {
+      assert.deepEqual(parseCLIList('claude, gemini,claude'), [CLI_CLAUDE, CLI_GEMINI])
+    })
+
+    it('should reject unknown assistants', () => {
+      assert.throws(() => parseCLIList('claude,cursor'), Error)
+    })
+  })
+
+  describe('determineCLIs()', () => {
+    it('should return every assistant from a --cli list', async () => {
+      assert.deepEqual(await determineCLIs({ cli: 'gemini,claude' }), [CLI_GEMINI, CLI_CLAUDE])
+    })
+
+    it('should fall back to single selection otherwise', async () => {
+      const result = await determineCLIs({ cli: 'gemini' }, async () => CLI_GEMINI)
+      assert.deepEqual(result, [CLI_GEMINI])
+    })
+
+    it('should return an empty list when the list is invalid', async () => {
+      logger.setSilent(true)
+      try {
+        assert.deepEqual(await determineCLIs({ cli: 'claude,cursor' }), [])
+      } finally {
+        logger.setSilent(false)
+      }
+    })
+  })
+
   describe('CLI constants', () => {
     it('should export correct constants', () => {
       assert.equal(CLI_CLAUDE, 'claude')
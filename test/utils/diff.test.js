@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import chalk from 'chalk'
+import { colorizeDiff, createUnifiedDiff, diffLines, splitLines } from '../../src/utils/diff.js'
+
+describe('Diff Utils', () => {
+  describe('splitLines()', () => {
+    it('should keep line terminators', () => {
+      assert.deepEqual(splitLines('a\nb'), ['a\n', 'b'])
+      assert.deepEqual(splitLines(''), [])
+    })
+  })
+
+  describe('diffLines()', () => {
+    it('should produce an edit script that rebuilds both sides', () => {
+      const samples = [
+        ['abcabba', 'cbabac'],
+        ['', 'xyz'],
+        ['xyz', ''],
+        ['same', 'same'],
+        ['aaab', 'baaa'],
+      ]
+
+      for (const [left, right] of samples) {
+        const a = [...left]
+        const b = [...right]
+        const ops = diffLines(a, b)
+        const oldSide = ops.filter((op) => op.type !== 'insert').map((op) => op.line)
+        const newSide = ops.filter((op) => op.type !== 'delete').map((op) => op.line)
+        assert.deepEqual(oldSide, a)
+        assert.deepEqual(newSide, b)
+      }
+    })
+
+    it('should find a minimal edit script', () => {
+      const ops = diffLines([...'abcabba'], [...'cbabac'])
+      assert.equal(ops.filter((op) => op.type !== 'equal').length, 5)
+    })
+  })
+
+  describe('createUnifiedDiff()', () => {
+    it('should return an empty string for identical content', () => {
+      assert.equal(createUnifiedDiff('a\n', 'a\n'), '')
+    })
+
+    it('should render git-style hunks with context', () => {
+      const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\nm\n'
+      const after = before.replace('b\n', 'B\n').replace('m\n', 'm\nn')
+      const diff = createUnifiedDiff(before, after, { oldLabel: 'a/x', newLabel: 'b/x' })
+
+      assert.equal(
+        diff,
+        [
+          '--- a/x',
+          '+++ b/x',
+          '@@ -1,5 +1,5 @@',
+          ' a',
+          '-b',
+          '+B',
+          ' c',
+          ' d',
+          ' e',
+          '@@ -11,3 +11,4 @@',
+          ' k',
+          ' l',
+          ' m',
+          '+n',
+          '\\ No newline at end of file',
+          '',
+        ].join('\n'),
+      )
+    })
+
+    it('should diff against /dev/null for new files', () => {
+      const diff = createUnifiedDiff(null, 'x\n', { newLabel: 'b/x' })
+      assert(diff.startsWith('--- /dev/null\n+++ b/x\n@@ -0,0 +1,1 @@\n+x\n'))
+    })
+  })
+
+  describe('colorizeDiff()', () => {
+    it('should color additions and removals', () => {
+      const level = chalk.level
+      chalk.level = 1
+      try {
+        const colored = colorizeDiff('+add\n-del\n same')
+        assert(colored.includes(chalk.green('+add')))
+        assert(colored.includes(chalk.red('-del')))
+      } finally {
+        chalk.level = level
+      }
+    })
+  })
+})
@@ -227,6 +227,23 @@ describe('File Security Tests', () => {
     })
   })
 
+  describe('baseDir option', () => {
+    it('should allow files under another base directory', async () => {
+      const otherDir = await fs.mkdtemp(path.join(os.tmpdir(), 'proguardian-base-'))
+      try {
+        const filePath = path.join(otherDir, '.claude', 'CLAUDE.md')
+        await secureWriteFile(filePath, 'content', { baseDir: otherDir })
+
+        assert.equal(await securePathExists(filePath, { baseDir: otherDir }), true)
+        assert.equal(await secureReadFile(filePath, { baseDir: otherDir }), 'content')
+        // Without the option, paths are still confined to the current directory
+        await assert.rejects(secureReadFile(filePath), PathTraversalError)
+      } finally {
+        await fs.remove(otherDir)
+      }
+    })
+  })
+
   describe('secureReadJSON', () => {
     it('should read and parse JSON file', async () => {
       const testFile = 'data.json'
@@ -0,0 +1,74 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs-extra'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { HOOK_SIGNATURE, installGitHooks } from '../../src/utils/git-hooks.js'
+import { createTestContext, createMockFS, readMockFile } from '../helpers/test-utils.js'
+
+describe('Git Hooks', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+  })
+
+  afterEach(async () => {
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should install an executable pre-commit hook', async () => {
+    await fs.ensureDir(path.join(ctx.testDir, '.git', 'hooks'))
+
+    const result = await installGitHooks(ctx.testDir)
+
+    const hook = await readMockFile(ctx.testDir, '.git/hooks/pre-commit')
+    const stats = await fs.stat(path.join(ctx.testDir, '.git', 'hooks', 'pre-commit'))
+    assert.equal(result.installed, true)
+    assert(hook.includes(HOOK_SIGNATURE))
+    assert(hook.includes('proguardian check\n'))
+    assert.equal(stats.mode & 0o111, 0o111)
+  })
+
+  it('should only block commits when the setup is misconfigured', async () => {
+    await fs.ensureDir(path.join(ctx.testDir, '.git', 'hooks'))
+    const { hookPath } = await installGitHooks(ctx.testDir)
+
+    // A stand-in for proguardian that exits with the code given in CHECK_EXIT
+    const binDir = path.join(ctx.testDir, 'bin')
+    await createMockFS(binDir, { proguardian: '#!/bin/sh\nexit $CHECK_EXIT\n' })
+    await fs.chmod(path.join(binDir, 'proguardian'), 0o755)
+    const runHook = (code) =>
+      spawnSync('sh', [hookPath], {
+        env: {
+          ...process.env,
+          PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+          CHECK_EXIT: code,
+        },
+      }).status
+
+    assert.equal(runHook('0'), 0)
+    assert.equal(runHook('1'), 1)
+    // Outdated protocol and a missing assistant CLI
+    assert.equal(runHook('2'), 0)
+    assert.equal(runHook('3'), 0)
+  })
+
+  it('should never overwrite a hook it did not write', async () => {
+    await createMockFS(ctx.testDir, { '.git/hooks/pre-commit': '#!/bin/sh\nnpm test\n' })
+
+    const result = await installGitHooks(ctx.testDir)
+
+    assert.equal(result.installed, false)
+    assert.equal(await readMockFile(ctx.testDir, '.git/hooks/pre-commit'), '#!/bin/sh\nnpm test\n')
+  })
+
+  it('should skip directories that are not git repositories', async () => {
+    const result = await installGitHooks(ctx.testDir)
+
+    assert.deepEqual(result, { installed: false, reason: 'not a git repository' })
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  GUARDIAN_MARKER,
+  END_MARKER,
+  beginMarker,
+  findGuardianSection,
+  hasGuardianSection,
+  hashContent,
+  removeGuardianSection,
+  renderGuardianSection,
+  upsertGuardianSection,
+} from '../../src/utils/guardian-section.js'
+
+describe('Guardian Section Utils', () => {
+  describe('renderGuardianSection()', () => {
+    it('should wrap the protocol in versioned begin/end markers', () => {
+      const section = renderGuardianSection('protocol\n\n', '2.0.0')
+      assert.equal(
+        section,
+        `<!-- proguardian:begin v2.0.0 -->\n${GUARDIAN_MARKER}\n\nprotocol\n${END_MARKER}\n`,
+      )
+    })
+  })
+
+  describe('findGuardianSection()', () => {
+    it('should locate a bounded section and its version', () => {
+      const content = `intro\n\n${renderGuardianSection('protocol', '1.2.3')}outro`
+      const section = findGuardianSection(content)
+
+      assert.equal(section.legacy, false)
+      assert.equal(section.version, '1.2.3')
+      assert.equal(content.substring(section.end), 'outro')
+    })
+
+    it('should treat a legacy heading as running to the end of the file', () => {
+      const content = `intro\n\n${GUARDIAN_MARKER}\n\nold protocol`
+      const section = findGuardianSection(content)
+
+      assert.equal(section.legacy, true)
+      assert.equal(section.version, null)
+      assert.equal(section.end, content.length)
+    })
+
+    it('should return null without a section', () => {
+      assert.equal(findGuardianSection('# Project'), null)
+      assert.equal(findGuardianSection(undefined), null)
+    })
+  })
+
+  describe('upsertGuardianSection()', () => {
+    it('should append the section after existing content', () => {
+      const result = upsertGuardianSection('# Project', 'protocol')
+      assert.equal(result, `# Project\n\n${renderGuardianSection('protocol')}`)
+    })
+
+    it('should create a Guardian-only document from empty content', () => {
+      assert.equal(upsertGuardianSection('', 'protocol'), renderGuardianSection('protocol'))
+    })
+
+    it('should replace only the bounded section and keep content on both sides', () => {
+      const before = '# Project\n\nTeam rules\n\n'
+      const after = '\n## Notes added below Guardian\n'
+      const content = `${before}${renderGuardianSection('old', '0.9.0')}${after}`
+
+      const result = upsertGuardianSection(content, 'new')
+
+      assert.equal(result, `${before}${renderGuardianSection('new')}${after}`)
+    })
+
+    it('should migrate a legacy section to bounded markers', () => {
+      const legacy = `# Project\n\n${GUARDIAN_MARKER}\n\nold protocol`
+      const result = upsertGuardianSection(legacy, 'new')
+
+      assert(result.startsWith(`# Project\n\n${beginMarker()}`))
+      assert(!result.includes('old protocol'))
+      assert.equal(findGuardianSection(result).legacy, false)
+    })
+  })
+
+  describe('removeGuardianSection()', () => {
+    it('should restore the original content byte-for-byte', () => {
+      const original = '# Project\r\n\nNotes with trailing space  \n'
+      const result = removeGuardianSection(upsertGuardianSection(original, 'protocol'))
+
+      assert.equal(result.removed, true)
+      assert.equal(result.guardianOnly, false)
+      assert.equal(result.content, original)
+      assert.equal(hashContent(result.content), hashContent(original))
+    })
+
+    it('should keep content added after the section', () => {
+      const content = `# Project\n\n${renderGuardianSection('protocol')}\n## Later notes\n`
+      assert.equal(removeGuardianSection(content).content, '# Project\n## Later notes\n')
+    })
+
+    it('should remove legacy sections', () => {
+      const result = removeGuardianSection(`# Project\n\n${GUARDIAN_MARKER}\n\nold`)
+      assert.equal(result.content, '# Project')
+    })
+
+    it('should flag Guardian-only documents', () => {
+      const result = removeGuardianSection(upsertGuardianSection('', 'protocol'))
+      assert.equal(result.removed, true)
+      assert.equal(result.guardianOnly, true)
+      assert.equal(result.content, '')
+    })
+
+    it('should leave content without a Guardian section untouched', () => {
+      const result = removeGuardianSection('# Project')
+      assert.equal(result.removed, false)
+      assert.equal(result.content, '# Project')
+    })
+  })
+
+  describe('hasGuardianSection()', () => {
+    it('should detect bounded and legacy sections', () => {
+      assert.equal(hasGuardianSection(renderGuardianSection('x')), true)
+      assert.equal(hasGuardianSection(`x\n${GUARDIAN_MARKER}`), true)
+      assert.equal(hasGuardianSection('x'), false)
+    })
+  })
+})
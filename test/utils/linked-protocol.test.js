@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  LINKED_PROTOCOL_DIR,
+  formatImport,
+  getLinkedProtocolFile,
+  parseLinkedImport,
+  readLinkedProtocol,
+  removeLinkedProtocols,
+  writeLinkedProtocol,
+} from '../../src/utils/linked-protocol.js'
+import { CLI_CLAUDE, CLI_GEMINI } from '../../src/utils/cli-detector.js'
+import { createTestContext, createMockFS, mockFileExists } from '../helpers/test-utils.js'
+
+describe('Linked Protocol Utils', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+  })
+
+  afterEach(async () => {
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  it('should keep one protocol file per assistant and scope', () => {
+    assert.equal(getLinkedProtocolFile(CLI_CLAUDE), `${LINKED_PROTOCOL_DIR}/claude.md`)
+    assert.equal(
+      getLinkedProtocolFile(CLI_GEMINI, 'packages/api'),
+      `${LINKED_PROTOCOL_DIR}/packages/api/gemini.md`,
+    )
+  })
+
+  it('should import relative to the context file in each assistant syntax', () => {
+    const rootFile = getLinkedProtocolFile(CLI_CLAUDE)
+    assert.equal(
+      formatImport(CLI_CLAUDE, 'CLAUDE.md', rootFile),
+      '@.proguardian.d/protocol/claude.md',
+    )
+    assert.equal(
+      formatImport(CLI_GEMINI, 'GEMINI.md', getLinkedProtocolFile(CLI_GEMINI)),
+      '@./.proguardian.d/protocol/gemini.md',
+    )
+    assert.equal(
+      formatImport(CLI_CLAUDE, 'payments/CLAUDE.md', getLinkedProtocolFile(CLI_CLAUDE, 'payments')),
+      '@../.proguardian.d/protocol/payments/claude.md',
+    )
+  })
+
+  it('should find the protocol file a section imports', () => {
+    assert.equal(
+      parseLinkedImport('@./.proguardian.d/protocol/gemini.md\n', 'GEMINI.md'),
+      '.proguardian.d/protocol/gemini.md',
+    )
+    assert.equal(
+      parseLinkedImport('@../.proguardian.d/protocol/payments/claude.md\n', 'payments/CLAUDE.md'),
+      '.proguardian.d/protocol/payments/claude.md',
+    )
+    assert.equal(parseLinkedImport('## 🛡️ GUARDIAN MODE ACTIVE\n', 'CLAUDE.md'), null)
+    assert.equal(parseLinkedImport('@docs/rules.md\n', 'CLAUDE.md'), null)
+  })
+
+  it('should only write a protocol file that changed', async () => {
+    const linkedFile = getLinkedProtocolFile(CLI_CLAUDE)
+
+    assert.equal(await readLinkedProtocol(ctx.testDir, linkedFile), null)
+    assert.equal(await writeLinkedProtocol(ctx.testDir, linkedFile, 'protocol\n'), true)
+    assert.equal(await writeLinkedProtocol(ctx.testDir, linkedFile, 'protocol\n'), false)
+    assert.equal(await readLinkedProtocol(ctx.testDir, linkedFile), 'protocol\n')
+  })
+
+  it('should remove the protocol files and an empty .proguardian.d', async () => {
+    await createMockFS(ctx.testDir, { [getLinkedProtocolFile(CLI_CLAUDE)]: 'protocol\n' })
+
+    assert.equal(await removeLinkedProtocols(ctx.testDir), true)
+    assert.equal(await mockFileExists(ctx.testDir, LINKED_PROTOCOL_DIR), false)
+    // Backups of the removed files stay in .proguardian.d
+    assert.equal(await mockFileExists(ctx.testDir, '.proguardian.d/backups'), true)
+    assert.equal(await removeLinkedProtocols(ctx.testDir), false)
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { hasConflictMarkers, mergeThreeWay } from '../../src/utils/merge.js'
+
+const BASE = 'one\ntwo\nthree\nfour\nfive\n'
+
+describe('Merge Utils', () => {
+  describe('mergeThreeWay()', () => {
+    it('should take changes made on only one side', () => {
+      const local = 'one\ntwo (local)\nthree\nfour\nfive\n'
+      const incoming = 'one\ntwo\nthree\nfour\nfive (new)\nsix\n'
+
+      const result = mergeThreeWay(BASE, local, incoming)
+
+      assert.equal(result.conflicts, 0)
+      assert.equal(result.content, 'one\ntwo (local)\nthree\nfour\nfive (new)\nsix\n')
+    })
+
+    it('should apply deletions from either side', () => {
+      const result = mergeThreeWay(BASE, 'one\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\n')
+
+      assert.equal(result.conflicts, 0)
+      assert.equal(result.content, 'one\nthree\nfour\n')
+    })
+
+    it('should accept identical changes on both sides', () => {
+      const changed = 'one\ntwo\nTHREE\nfour\nfive\n'
+      assert.deepEqual(mergeThreeWay(BASE, changed, changed), { content: changed, conflicts: 0 })
+    })
+
+    it('should mark overlapping changes as git-style conflicts', () => {
+      const local = 'one\ntwo\nthree (local)\nfour\nfive\n'
+      const incoming = 'one\ntwo\nthree (new)\nfour\nfive\n'
+
+      const result = mergeThreeWay(BASE, local, incoming, { incoming: 'proguardian v2' })
+
+      assert.equal(result.conflicts, 1)
+      assert.equal(
+        result.content,
+        'one\ntwo\n<<<<<<< local\nthree (local)\n=======\nthree (new)\n>>>>>>> proguardian v2\nfour\nfive\n',
+      )
+    })
+
+    it('should keep lines both sides agree on outside the conflict', () => {
+      const result = mergeThreeWay('', 'same\nlocal\nend\n', 'same\nnew\nend\n')
+
+      assert.equal(result.conflicts, 1)
+      assert.equal(
+        result.content,
+        'same\n<<<<<<< local\nlocal\n=======\nnew\n>>>>>>> incoming\nend\n',
+      )
+    })
+
+    it('should never put a conflict marker on an unterminated line', () => {
+      const result = mergeThreeWay('a\nb', 'a\nlocal', 'a\nnew')
+
+      assert.equal(result.content, 'a\n<<<<<<< local\nlocal\n=======\nnew\n>>>>>>> incoming\n')
+    })
+  })
+
+  describe('hasConflictMarkers()', () => {
+    it('should detect conflict start markers at the beginning of a line', () => {
+      assert.equal(hasConflictMarkers('a\n<<<<<<< local\nb\n'), true)
+      assert.equal(hasConflictMarkers('use <<<<<<< in prose\n'), false)
+      assert.equal(hasConflictMarkers('plain text\n'), false)
+    })
+  })
+})
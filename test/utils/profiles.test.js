@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_PROFILE,
+  PROFILE_LIGHT,
+  PROFILE_STANDARD,
+  PROFILE_STRICT,
+  getEnforcementPrompt,
+  getProfile,
+} from '../../src/utils/profiles.js'
+import { ValidationError } from '../../src/utils/errors.js'
+
+describe('Profiles', () => {
+  describe('getProfile()', () => {
+    it('should default to the strict profile', () => {
+      assert.equal(DEFAULT_PROFILE, PROFILE_STRICT)
+      assert.equal(getProfile().template, 'guardian.md')
+    })
+
+    it('should map each profile to its own template', () => {
+      const templates = [PROFILE_STRICT, PROFILE_STANDARD, PROFILE_LIGHT].map(
+        (name) => getProfile(name).template,
+      )
+      assert.equal(new Set(templates).size, 3)
+    })
+
+    it('should reject unknown profiles', () => {
+      assert.throws(() => getProfile('lax'), ValidationError)
+      assert.throws(() => getProfile(null), ValidationError)
+    })
+  })
+
+  describe('getEnforcementPrompt()', () => {
+    it('should follow the chosen profile', () => {
+      const strict = getEnforcementPrompt(PROFILE_STRICT, 'CLAUDE.md')
+      const standard = getEnforcementPrompt(PROFILE_STANDARD, 'CLAUDE.md')
+      const light = getEnforcementPrompt(PROFILE_LIGHT, 'GEMINI.md')
+
+      assert(strict.includes('Review-Gate Workflow'))
+      assert(strict.includes('CLAUDE.md quality checklist'))
+      assert(standard.includes('plan-implement-verify'))
+      assert(light.includes('SECURITY RULES'))
+      assert(light.includes('GEMINI.md'))
+    })
+
+    it('should fall back to the strict prompt for unknown or missing profiles', () => {
+      const strict = getEnforcementPrompt(PROFILE_STRICT, 'CLAUDE.md')
+      assert.equal(getEnforcementPrompt(undefined, 'CLAUDE.md'), strict)
+      assert.equal(getEnforcementPrompt('toString', 'CLAUDE.md'), strict)
+    })
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { formatJUnit, formatSarif } from '../../src/utils/report-formats.js'
+
+describe('Report Formats Tests', () => {
+  const checks = [
+    {
+      id: 'marker',
+      severity: 'ok',
+      message: '.proguardian configuration found',
+      remediation: null,
+    },
+    {
+      id: 'guardian-section',
+      severity: 'warning',
+      message: 'CLAUDE.md has local changes to its Guardian section',
+      remediation: 'Keep them, or restore the installed section with: proguardian check --fix',
+      file: 'CLAUDE.md',
+    },
+    {
+      id: 'assistant-cli',
+      severity: 'error',
+      message: 'Gemini CLI is configured but its CLI was not found',
+      remediation: 'Install with: npm install -g @google/gemini-cli',
+      subject: 'gemini',
+    },
+  ]
+
+  describe('formatSarif()', () => {
+    it('should turn check ids into rules and failed checks into results', () => {
+      const [run] = JSON.parse(formatSarif(checks, '1.0.1')).runs
+
+      assert.equal(run.tool.driver.version, '1.0.1')
+      assert.deepEqual(
+        run.tool.driver.rules.map((rule) => rule.id),
+        ['marker', 'guardian-section', 'assistant-cli'],
+      )
+      assert.deepEqual(
+        run.results.map((result) => [result.ruleId, result.ruleIndex, result.level]),
+        [
+          ['guardian-section', 1, 'warning'],
+          ['assistant-cli', 2, 'error'],
+        ],
+      )
+      // Checks without a file are located at the marker
+      assert.deepEqual(
+        run.results.map((result) => result.locations[0].physicalLocation.artifactLocation.uri),
+        ['CLAUDE.md', '.proguardian'],
+      )
+      assert.equal(
+        run.results[1].partialFingerprints['proguardianCheck/v1'],
+        'assistant-cli:gemini',
+      )
+    })
+  })
+
+  describe('formatJUnit()', () => {
+    it('should write one testcase per check and fail errors', () => {
+      const xml = formatJUnit(checks)
+
+      assert(
+        xml.includes('<testsuites name="proguardian check" tests="3" failures="1" errors="0">'),
+      )
+      assert(xml.includes('<testcase classname="proguardian.check.marker" name="marker" />'))
+      assert(xml.includes('<system-out>Warning: CLAUDE.md has local changes'))
+      assert(
+        xml.includes(
+          '<failure type="error" message="Gemini CLI is configured but its CLI was not found">',
+        ),
+      )
+    })
+
+    it('should fail warnings with --strict', () => {
+      const xml = formatJUnit(checks, { strict: true })
+
+      assert(xml.includes('failures="2"'))
+      assert(xml.includes('<failure type="warning"'))
+    })
+
+    it('should number checks that share a name and escape XML', () => {
+      const xml = formatJUnit([
+        { id: 'marker', severity: 'error', message: 'Bad <marker> & "quotes"' },
+        { id: 'marker', severity: 'ok', message: 'Found' },
+      ])
+
+      assert(xml.includes('name="marker (2)"'))
+      assert(xml.includes('message="Bad &lt;marker&gt; &amp; &quot;quotes&quot;"'))
+    })
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import {
+  SEVERITY_ERROR,
+  SEVERITY_OK,
+  SEVERITY_WARNING,
+  finishJSONReport,
+  isJSONReport,
+  printJSONReport,
+  recordError,
+  recordFile,
+  reportCheck,
+  startJSONReport,
+} from '../../src/utils/report.js'
+import { ValidationError, handleError } from '../../src/utils/errors.js'
+import { logger } from '../../src/utils/logger.js'
+
+describe('Report Utils', () => {
+  afterEach(() => {
+    finishJSONReport()
+    logger.setSilent(false)
+  })
+
+  it('should collect nothing while --json is off', () => {
+    logger.setSilent(true)
+    reportCheck({ id: 'marker', severity: SEVERITY_OK, message: '.proguardian found' })
+    recordFile('CLAUDE.md')
+
+    assert.equal(isJSONReport(), false)
+    assert.equal(finishJSONReport(), null)
+  })
+
+  it('should collect checks and files into one result', () => {
+    startJSONReport('check')
+    reportCheck({ id: 'marker', severity: SEVERITY_OK, message: '.proguardian found' })
+    reportCheck({
+      id: 'context-file',
+      severity: SEVERITY_WARNING,
+      message: 'CLAUDE.md is over budget',
+      file: 'CLAUDE.md',
+    })
+    recordFile('CLAUDE.md', '/project')
+    recordFile('/project/CLAUDE.md')
+
+    const result = finishJSONReport()
+
+    assert.equal(result.command, 'check')
+    assert.equal(result.status, SEVERITY_WARNING)
+    assert.deepEqual(result.checks[1], {
+      id: 'context-file',
+      severity: SEVERITY_WARNING,
+      message: 'CLAUDE.md is over budget',
+      remediation: null,
+      file: 'CLAUDE.md',
+    })
+    assert.deepEqual(result.files, [path.resolve('/project/CLAUDE.md')])
+    assert.equal(result.error, null)
+    assert.equal(isJSONReport(), false)
+  })
+
+  it('should fail the result on an error check or error', () => {
+    startJSONReport('check')
+    reportCheck({ id: 'marker', severity: SEVERITY_ERROR, message: '.proguardian missing' })
+    assert.equal(finishJSONReport().status, SEVERITY_ERROR)
+
+    startJSONReport('render')
+    recordError({ code: 'VALIDATION_ERROR', message: 'Invalid profile' })
+    const result = finishJSONReport()
+    assert.equal(result.status, SEVERITY_ERROR)
+    assert.deepEqual(result.error, { code: 'VALIDATION_ERROR', message: 'Invalid profile' })
+  })
+
+  it('should print the result once, including errors from handleError', () => {
+    const originalWrite = process.stdout.write
+    const originalExit = process.exit
+    const written = []
+    process.stdout.write = (chunk) => written.push(chunk)
+    process.exit = () => {}
+    try {
+      startJSONReport('init')
+      handleError(new ValidationError('profile', 'Must be one of: strict'), { exit: true })
+      printJSONReport()
+    } finally {
+      process.stdout.write = originalWrite
+      process.exit = originalExit
+    }
+
+    assert.equal(written.length, 1)
+    const result = JSON.parse(written[0])
+    assert.equal(result.status, SEVERITY_ERROR)
+    assert.equal(result.error.code, 'VALIDATION_ERROR')
+  })
+
+  it('should keep the message of unexpected errors out of the result', () => {
+    startJSONReport('init')
+    handleError(new Error('EACCES /home/alice/secret'), { exit: false })
+
+    assert.equal(finishJSONReport().error.message, 'An unexpected error occurred')
+  })
+})
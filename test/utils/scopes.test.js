@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getScopeVariables,
+  mergeScopes,
+  normalizeScopeDir,
+  resolveLayers,
+} from '../../src/utils/scopes.js'
+import { PathTraversalError, ValidationError } from '../../src/utils/errors.js'
+import { createTestContext, createMockFS } from '../helpers/test-utils.js'
+
+describe('Scope Utils', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+  })
+
+  afterEach(async () => {
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  describe('normalizeScopeDir()', () => {
+    it('should return a forward-slash path relative to the root', () => {
+      assert.equal(normalizeScopeDir('./payments/', ctx.testDir), 'payments')
+      assert.equal(normalizeScopeDir('services/payments/api', ctx.testDir), 'services/payments/api')
+    })
+
+    it('should reject the root and paths outside the project', () => {
+      assert.throws(() => normalizeScopeDir('.', ctx.testDir), ValidationError)
+      assert.throws(() => normalizeScopeDir('../elsewhere', ctx.testDir), PathTraversalError)
+    })
+  })
+
+  describe('getScopeVariables()', () => {
+    it('should say where the rules apply and keep the root commands', () => {
+      const variables = getScopeVariables(
+        'payments',
+        { ecosystem: 'unknown' },
+        { testCommand: 'make test' },
+      )
+
+      assert.equal(variables.testCommand, 'make test')
+      assert(variables.projectContext.startsWith('Directory scope `payments/`'))
+    })
+  })
+
+  describe('mergeScopes()', () => {
+    it('should replace the assistants of a re-initialized scope and keep the others', () => {
+      const recorded = [
+        { dir: 'scripts', profile: 'light', assistants: [{ cliType: 'claude' }] },
+        { dir: 'payments', profile: 'standard', assistants: [{ cliType: 'gemini' }] },
+      ]
+
+      const scopes = mergeScopes(recorded, {
+        dir: 'payments',
+        profile: 'strict',
+        assistants: [{ cliType: 'claude' }],
+      })
+
+      assert.deepEqual(scopes, [
+        {
+          dir: 'payments',
+          profile: 'strict',
+          assistants: [{ cliType: 'gemini' }, { cliType: 'claude' }],
+        },
+        recorded[0],
+      ])
+    })
+  })
+
+  describe('resolveLayers()', () => {
+    it('should list the context files from the root down with their profiles', async () => {
+      await createMockFS(ctx.testDir, {
+        'CLAUDE.md': '<!-- proguardian:begin v1 -->\n## 🛡️ GUARDIAN MODE ACTIVE\n',
+        'payments/CLAUDE.md': '<!-- proguardian:begin v1 -->\n## 🛡️ GUARDIAN MODE ACTIVE\n',
+        'payments/api/CLAUDE.md': '# API notes\n',
+      })
+      const marker = {
+        profile: 'light',
+        assistants: [{ cliType: 'claude', targetFile: 'CLAUDE.md' }],
+        scopes: [{ dir: 'payments', profile: 'strict', assistants: [{ cliType: 'claude' }] }],
+      }
+
+      const [claude] = await resolveLayers(marker, 'payments/api', ctx.testDir)
+
+      assert.equal(claude.cliType, 'claude')
+      assert.deepEqual(
+        claude.layers.map((layer) => [layer.file, layer.guardian, layer.profile]),
+        [
+          ['CLAUDE.md', true, 'light'],
+          ['payments/CLAUDE.md', true, 'strict'],
+          ['payments/api/CLAUDE.md', false, null],
+        ],
+      )
+    })
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  detectStack,
+  getStackVariables,
+  parseMakefileTargets,
+} from '../../src/utils/stack-detector.js'
+import { createTestContext, createMockFS } from '../helpers/test-utils.js'
+
+describe('Stack Detector', () => {
+  let ctx
+  let restoreCwd
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+    restoreCwd = ctx.changeToTestDir()
+  })
+
+  afterEach(async () => {
+    restoreCwd()
+    await ctx.cleanup()
+  })
+
+  describe('detectStack()', () => {
+    it('should use package.json scripts and the lockfile package manager', async () => {
+      await createMockFS(ctx.testDir, {
+        'package.json': JSON.stringify({
+          scripts: { test: 'vitest run', lint: 'eslint .' },
+          dependencies: { express: '^4.0.0' },
+        }),
+        'pnpm-lock.yaml': '',
+        'tsconfig.json': '{}',
+        'src/index.ts': '',
+        Makefile: 'test:\n\tmake-test\n',
+      })
+
+      const stack = await detectStack(ctx.testDir)
+
+      assert.equal(stack.ecosystem, 'node')
+      assert.equal(stack.language, 'TypeScript')
+      assert.equal(stack.testCommand, 'pnpm test')
+      assert.equal(stack.lintCommand, 'pnpm run lint')
+      assert.deepEqual(stack.dependencies, ['express'])
+      assert.deepEqual(stack.directories, ['src'])
+      assert(stack.searchCommands[0].includes('--include="*.ts"'))
+    })
+
+    it('should detect Python tooling from pyproject.toml', async () => {
+      await createMockFS(ctx.testDir, {
+        'pyproject.toml': '[tool.ruff]\nline-length = 100\n',
+        'poetry.lock': '',
+      })
+
+      const stack = await detectStack(ctx.testDir)
+
+      assert.equal(stack.ecosystem, 'python')
+      assert.equal(stack.testCommand, 'poetry run pytest')
+      assert.equal(stack.lintCommand, 'poetry run ruff check .')
+      assert(stack.searchCommands[0].includes('*.py'))
+    })
+
+    it('should prefer Makefile targets over Go defaults', async () => {
+      await createMockFS(ctx.testDir, {
+        'go.mod': 'module example.com/app\n\ngo 1.22\n',
+        Makefile: 'VAR := 1\ntest: build\n\tgo test -race ./...\n',
+      })
+
+      const stack = await detectStack(ctx.testDir)
+
+      assert.equal(stack.ecosystem, 'go')
+      assert.equal(stack.module, 'example.com/app')
+      assert.equal(stack.testCommand, 'make test')
+      assert.equal(stack.lintCommand, 'go vet ./...')
+    })
+
+    it('should detect Rust projects', async () => {
+      await createMockFS(ctx.testDir, { 'Cargo.toml': '[package]\nname = "app"\n' })
+
+      const stack = await detectStack(ctx.testDir)
+
+      assert.equal(stack.testCommand, 'cargo test')
+      assert.equal(stack.lintCommand, 'cargo clippy -- -D warnings')
+    })
+
+    it('should report unknown projects without commands', async () => {
+      const stack = await detectStack(ctx.testDir)
+
+      assert.equal(stack.ecosystem, 'unknown')
+      assert.equal(stack.testCommand, null)
+    })
+  })
+
+  describe('parseMakefileTargets()', () => {
+    it('should ignore variable assignments', () => {
+      const targets = parseMakefileTargets('CC := gcc\nlint:\n\tx\n.PHONY: lint\n')
+      assert.deepEqual([...targets].sort(), ['.PHONY', 'lint'])
+    })
+  })
+
+  describe('getStackVariables()', () => {
+    it('should render detected commands into the CONTEXT section', () => {
+      const variables = getStackVariables({
+        ecosystem: 'go',
+        language: 'Go',
+        testCommand: 'go test ./...',
+        lintCommand: null,
+        searchCommands: ['a', 'b'],
+      })
+
+      assert.equal(variables.testCommand, 'go test ./...')
+      assert.equal(variables.lintCommand, '# No lint command detected')
+      assert.equal(variables.placeholderSearch, 'a')
+      assert(variables.projectContext.includes('- Technology stack: Go (Go)'))
+      assert(variables.projectContext.includes('- Test command: `go test ./...`'))
+    })
+
+    it('should list Makefile commands for projects without a manifest', async () => {
+      await createMockFS(ctx.testDir, { Makefile: 'test:\n\t./run-tests.sh\n' })
+
+      const { projectContext } = getStackVariables(await detectStack(ctx.testDir))
+
+      assert(projectContext.includes('- Technology stack: unknown, no supported manifest found'))
+      assert(!projectContext.includes('Makefile'))
+      assert(projectContext.includes('- Test command: `make test`'))
+    })
+
+    it('should fall back to generic wording without a stack', () => {
+      const variables = getStackVariables(null)
+      assert(variables.testCommand.startsWith('#'))
+      assert(variables.securitySearch.startsWith('grep'))
+    })
+  })
+})
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  compileTemplate,
+  getAssistantVariables,
+  loadTemplate,
+  renderGuardianTemplate,
+  validateTemplate,
+} from '../../src/utils/template-compiler.js'
+import { hashContent } from '../../src/utils/guardian-section.js'
+import { ValidationError } from '../../src/utils/errors.js'
+import { createTestContext, createMockFS } from '../helpers/test-utils.js'
+
+describe('Template Compiler', () => {
+  describe('compileTemplate()', () => {
+    it('should substitute placeholders, tolerating inner whitespace', () => {
+      const result = compileTemplate('Use {{readTool}} and {{ readTool }}', { readTool: 'X' })
+      assert.equal(result, 'Use X and X')
+    })
+
+    it('should reject unknown placeholders', () => {
+      assert.throws(
+        () => compileTemplate('{{nope}} {{other}}', {}),
+        (err) => {
+          assert(err instanceof ValidationError)
+          assert(err.message.includes('nope, other'))
+          return true
+        },
+      )
+    })
+
+    it('should format arrays as comma-separated lists', () => {
+      assert.equal(
+        compileTemplate('{{a}} / {{b}}', { a: ['x', 'y'], b: [] }),
+        'x, y / none configured',
+      )
+    })
+
+    it('should not treat inherited properties as variables', () => {
+      assert.throws(() => compileTemplate('{{constructor}}', {}), ValidationError)
+    })
+  })
+
+  describe('getAssistantVariables()', () => {
+    it('should return assistant wording', () => {
+      assert.equal(getAssistantVariables('claude').checklistFile, 'CLAUDE.md')
+      assert.equal(getAssistantVariables('gemini').initCommand, 'gemini init')
+    })
+
+    it('should reject unsupported assistants', () => {
+      assert.throws(() => getAssistantVariables('copilot'), ValidationError)
+    })
+  })
+
+  describe('renderGuardianTemplate()', () => {
+    it('should render assistant-specific protocols from one source', async () => {
+      const claude = await renderGuardianTemplate('claude')
+      const gemini = await renderGuardianTemplate('gemini')
+
+      assert(claude.includes('Use Read tool to review actual code'))
+      assert(claude.includes('checklists in CLAUDE.md'))
+      assert(gemini.includes('Use read_file tool to review actual code'))
+      assert(gemini.includes('context from gemini init above'))
+      assert(!claude.includes('{{') && !gemini.includes('{{'))
+    })
+
+    it('should render a different protocol for each profile', async () => {
+      const strict = await renderGuardianTemplate('claude', {}, { profile: 'strict' })
+      const standard = await renderGuardianTemplate('claude', {}, { profile: 'standard' })
+      const light = await renderGuardianTemplate('claude', {}, { profile: 'light' })
+
+      assert(strict.includes('## STEP 14: Final Verification'))
+      assert(standard.includes('## STEP 3: Verify'))
+      assert(!standard.includes('STEP 4'))
+      assert(!light.includes('STEP 1'))
+      assert(light.includes('**NEVER hardcode secrets**'))
+      for (const content of [standard, light]) {
+        assert(!content.includes('{{'))
+        assert(content.includes('context from claude init above'))
+      }
+    })
+
+    it('should reject unknown profiles', async () => {
+      await assert.rejects(
+        renderGuardianTemplate('claude', {}, { profile: 'lax' }),
+        ValidationError,
+      )
+    })
+  })
+
+  describe('validateTemplate()', () => {
+    it('should accept well-formed templates', () => {
+      assert.doesNotThrow(() => validateTemplate('# Rules\n\nRun {{ testCommand }}\n'))
+    })
+
+    it('should reject empty templates', () => {
+      assert.throws(() => validateTemplate('  \n'), ValidationError)
+    })
+
+    it('should reject templates containing section markers', () => {
+      assert.throws(() => validateTemplate('<!-- proguardian:end -->\n'), /proguardian markers/)
+    })
+
+    it('should reject malformed placeholders', () => {
+      assert.throws(() => validateTemplate('Run {{test command}}\n'), /Malformed placeholder/)
+    })
+  })
+
+  describe('loadTemplate()', () => {
+    let ctx
+    let restoreCwd
+
+    beforeEach(async () => {
+      ctx = await createTestContext()
+      restoreCwd = ctx.changeToTestDir()
+    })
+
+    afterEach(async () => {
+      restoreCwd()
+      await ctx.cleanup()
+    })
+
+    it('should use the bundled template for the profile by default', async () => {
+      const template = await loadTemplate({ profile: 'standard', baseDir: ctx.testDir })
+      assert.equal(template.source, 'bundled')
+      assert.equal(template.path, 'guardian-standard.md')
+      assert.equal(template.hash, hashContent(template.content))
+    })
+
+    it('should discover a project-level override', async () => {
+      await createMockFS(ctx.testDir, { '.proguardian.d/templates/guardian.md': '# Org rules\n' })
+
+      const template = await loadTemplate({ baseDir: ctx.testDir })
+
+      assert.equal(template.source, 'project')
+      assert.equal(template.path, '.proguardian.d/templates/guardian.md')
+      assert.equal(template.content, '# Org rules\n')
+    })
+
+    it('should prefer an explicit template path', async () => {
+      await createMockFS(ctx.testDir, {
+        '.proguardian.d/templates/guardian.md': '# Project rules\n',
+        'org/guardian.md': '# Org rules\n',
+      })
+
+      const template = await loadTemplate({ baseDir: ctx.testDir, templatePath: 'org/guardian.md' })
+
+      assert.equal(template.source, 'custom')
+      assert.equal(template.content, '# Org rules\n')
+    })
+
+    it('should reject missing or invalid templates', async () => {
+      await createMockFS(ctx.testDir, { 'bad.md': '<!-- proguardian:begin -->\n' })
+
+      await assert.rejects(
+        loadTemplate({ baseDir: ctx.testDir, templatePath: 'missing.md' }),
+        ValidationError,
+      )
+      await assert.rejects(
+        loadTemplate({ baseDir: ctx.testDir, templatePath: 'bad.md' }),
+        ValidationError,
+      )
+    })
+  })
+})
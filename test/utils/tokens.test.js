@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { renderGuardianSection } from '../../src/utils/guardian-section.js'
+import {
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  measureContextTokens,
+  parseTokenBudget,
+} from '../../src/utils/tokens.js'
+
+describe('Token Utils', () => {
+  it('should count short words and punctuation as one token each', () => {
+    assert.equal(estimateTokens(''), 0)
+    assert.equal(estimateTokens('Run the app.'), 4)
+    assert.equal(estimateTokens('## Plan'), 3)
+  })
+
+  it('should split long words into several tokens', () => {
+    assert.equal(estimateTokens('implementation'), 4)
+    assert.equal(estimateTokens('12345678'), 2)
+  })
+
+  it('should measure the Guardian section within the context file', () => {
+    const section = renderGuardianSection('## 🛡️ GUARDIAN MODE ACTIVE\n\nReview every change.\n')
+    const content = `# Project notes\n\n${section}`
+
+    const { section: sectionTokens, total } = measureContextTokens(content)
+
+    assert.equal(total, estimateTokens(content))
+    assert.equal(sectionTokens, estimateTokens(section))
+    assert.equal(measureContextTokens('# Project notes\n').section, 0)
+  })
+
+  it('should count an imported protocol file towards the section and the total', () => {
+    const content = renderGuardianSection('@.proguardian.d/protocol/claude.md')
+    const protocol = 'Review every change before moving on.\n'
+
+    const linked = measureContextTokens(content, protocol)
+    const stub = measureContextTokens(content)
+
+    assert.equal(linked.section, stub.section + estimateTokens(protocol))
+    assert.equal(linked.total, stub.total + estimateTokens(protocol))
+  })
+
+  it('should parse token budgets', () => {
+    assert.equal(parseTokenBudget(), DEFAULT_TOKEN_BUDGET)
+    assert.equal(parseTokenBudget('1500'), 1500)
+    assert.equal(parseTokenBudget(800), 800)
+    for (const value of ['0', '-5', '1.5', 'lots', '']) {
+      assert.throws(() => parseTokenBudget(value), /Invalid budget/)
+    }
+  })
+})
@@ -7,7 +7,10 @@ import {
   sanitizePath,
   validateCommand,
   validateJSON,
+  validateSchema,
+  validateTemplateVariables,
   escapeShellArg,
+  MARKER_SCHEMA,
 } from '../../src/utils/validation.js'
 import {
   ValidationError,
@@ -163,6 +166,8 @@ describe('Validation Utils', () => {
       assert.doesNotThrow(() => validateOptions('init', { force: true }))
       assert.doesNotThrow(() => validateOptions('init', { cli: 'claude' }))
       assert.doesNotThrow(() => validateOptions('init', { force: false, cli: 'gemini' }))
+      assert.doesNotThrow(() => validateOptions('init', { cli: 'claude,gemini' }))
+      assert.doesNotThrow(() => validateOptions('init', { allDetected: true }))
 
       // Invalid options
       assert.throws(
@@ -177,6 +182,12 @@ describe('Validation Utils', () => {
         'Should reject invalid CLI type',
       )
 
+      assert.throws(
+        () => validateOptions('init', { cli: 'claude,cursor' }),
+        ValidationError,
+        'Should reject invalid CLI type in a list',
+      )
+
       assert.throws(
         () => validateOptions('init', { force: 'yes' }),
         ValidationError,
@@ -319,6 +330,46 @@ describe('Validation Utils', () => {
       )
     })
 
+    it('should validate nested objects, enums, patterns and arrays', () => {
+      const schema = {
+        template: {
+          type: 'object',
+          properties: { source: { type: 'string', required: true, enum: ['bundled', 'custom'] } },
+        },
+        assistants: {
+          type: 'array',
+          items: { type: 'object', properties: { cliType: { type: 'string', enum: ['claude'] } } },
+        },
+        hashes: { type: 'object', values: { type: 'string', pattern: /^[0-9a-f]+$/ } },
+      }
+
+      assert.doesNotThrow(() =>
+        validateJSON(
+          {
+            template: { source: 'custom' },
+            assistants: [{ cliType: 'claude' }],
+            hashes: { a: 'f0' },
+          },
+          schema,
+        ),
+      )
+      assert.throws(() => validateJSON({ template: {} }, schema), {
+        field: 'template.source',
+        message: /Required field missing/,
+      })
+      assert.throws(() => validateJSON({ assistants: [{}, { cliType: 'codex' }] }, schema), {
+        field: 'assistants[1].cliType',
+        requirement: 'Expected one of: claude',
+      })
+      assert.throws(() => validateJSON({ hashes: { 'CLAUDE.md': 'xyz' } }, schema), {
+        field: 'hashes["CLAUDE.md"]',
+      })
+      assert.throws(() => validateJSON({ assistants: { cliType: 'claude' } }, schema), {
+        field: 'assistants',
+        requirement: 'Expected array',
+      })
+    })
+
     it('should reject invalid JSON', () => {
       const invalidJSON = [
         '{invalid json}',
@@ -337,6 +388,37 @@ describe('Validation Utils', () => {
     })
   })
 
+  describe('validateSchema()', () => {
+    it('should collect every invalid field and list unknown ones', () => {
+      const result = validateSchema(
+        {
+          profile: 'paranoid',
+          assistants: [{ cliType: 'claude', targetFile: 'CLAUDE.md', extra: true }, { cliType: 7 }],
+          tokenBudget: '2k',
+          tokenBugdet: 4000,
+        },
+        MARKER_SCHEMA,
+      )
+
+      assert.deepEqual(result.errors, [
+        { path: 'profile', expected: 'one of: strict, standard, light', value: 'paranoid' },
+        { path: 'assistants[1].targetFile', expected: 'string' },
+        { path: 'assistants[1].cliType', expected: 'one of: claude, gemini', value: 7 },
+        { path: 'tokenBudget', expected: 'number or string matching /^\\d+$/', value: '2k' },
+      ])
+      assert.deepEqual(result.unknown, ['tokenBugdet', 'assistants[0].extra'])
+    })
+
+    it('should accept markers written before multi-assistant support', () => {
+      const result = validateSchema(
+        { cliType: 'gemini', targetFile: 'GEMINI.md', createdFile: true },
+        MARKER_SCHEMA,
+      )
+
+      assert.deepEqual(result, { errors: [], unknown: [] })
+    })
+  })
+
   describe('escapeShellArg()', () => {
     it('should handle simple arguments', () => {
       assert.equal(escapeShellArg('simple'), 'simple')
@@ -368,4 +450,30 @@ describe('Validation Utils', () => {
       assert.equal(escapeShellArg(true), 'true')
     })
   })
+
+  describe('validateTemplateVariables()', () => {
+    it('should accept strings, numbers, booleans and string arrays', () => {
+      const variables = {
+        testCommand: 'pytest',
+        retries: 2,
+        strict: true,
+        protectedPaths: ['migrations/', '.env'],
+      }
+      assert.equal(validateTemplateVariables(variables), variables)
+    })
+
+    it('should reject invalid names and values', () => {
+      assert.throws(() => validateTemplateVariables({ 'bad-name': 'x' }), ValidationError)
+      assert.throws(() => validateTemplateVariables({ paths: [1, 2] }), ValidationError)
+      assert.throws(() => validateTemplateVariables({ nested: { a: 1 } }), ValidationError)
+      assert.throws(() => validateTemplateVariables([]), ValidationError)
+    })
+
+    it('should reject values that could close the Guardian section', () => {
+      assert.throws(
+        () => validateTemplateVariables({ testCommand: '<!-- proguardian:end -->' }),
+        ValidationError,
+      )
+    })
+  })
 })
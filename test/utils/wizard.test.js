@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { PassThrough } from 'node:stream'
+import {
+  createPrompter,
+  getWizardDefaults,
+  parseYesNo,
+  runInitWizard,
+} from '../../src/utils/wizard.js'
+import { ValidationError } from '../../src/utils/errors.js'
+import { logger } from '../../src/utils/logger.js'
+
+/**
+ * Prompter that replays scripted answers and records the questions asked
+ */
+function scriptedPrompter(answers) {
+  const questions = []
+  return {
+    questions,
+    ask: async (question) => {
+      questions.push(question)
+      return answers.shift() ?? ''
+    },
+    close: () => {},
+  }
+}
+
+const defaults = {
+  cliTypes: ['claude'],
+  profile: 'strict',
+  testCommand: 'npm test',
+  lintCommand: undefined,
+  installWrapper: false,
+  gitHooks: false,
+}
+
+describe('Init Wizard', () => {
+  beforeEach(() => {
+    logger.setSilent(true)
+  })
+
+  afterEach(() => {
+    logger.setSilent(false)
+  })
+
+  describe('parseYesNo()', () => {
+    it('should accept yes and no in any case', () => {
+      assert.equal(parseYesNo('Y'), true)
+      assert.equal(parseYesNo('yes'), true)
+      assert.equal(parseYesNo('n'), false)
+      assert.equal(parseYesNo('No'), false)
+    })
+
+    it('should reject anything else', () => {
+      assert.throws(() => parseYesNo('maybe'), ValidationError)
+    })
+  })
+
+  describe('getWizardDefaults()', () => {
+    it('should prefer flags, then the marker, then detection', () => {
+      const result = getWizardDefaults({
+        options: { profile: 'light' },
+        stack: { testCommand: 'pytest', lintCommand: 'ruff check .' },
+        existingMarker: {
+          assistants: [{ cliType: 'gemini' }],
+          variables: { testCommand: 'make test' },
+          setup: { gitHooks: true },
+        },
+        available: { claude: true, gemini: true },
+      })
+
+      assert.deepEqual(result, {
+        cliTypes: ['gemini'],
+        profile: 'light',
+        testCommand: 'make test',
+        lintCommand: 'ruff check .',
+        installWrapper: false,
+        gitHooks: true,
+      })
+    })
+
+    it('should default to every detected assistant on a fresh project', () => {
+      const result = getWizardDefaults({
+        options: {},
+        existingMarker: null,
+        available: { claude: true, gemini: true },
+      })
+
+      assert.deepEqual(result.cliTypes, ['claude', 'gemini'])
+      assert.equal(result.profile, 'strict')
+    })
+  })
+
+  describe('runInitWizard()', () => {
+    it('should accept every default on empty answers', async () => {
+      const answers = await runInitWizard(scriptedPrompter([]), defaults)
+
+      assert.deepEqual(answers, defaults)
+    })
+
+    it('should record the answers given', async () => {
+      const prompter = scriptedPrompter([
+        'claude,gemini',
+        'standard',
+        'npm run test:ci',
+        'npm run lint',
+        'y',
+        'yes',
+      ])
+
+      const answers = await runInitWizard(prompter, defaults)
+
+      assert.deepEqual(answers, {
+        cliTypes: ['claude', 'gemini'],
+        profile: 'standard',
+        testCommand: 'npm run test:ci',
+        lintCommand: 'npm run lint',
+        installWrapper: true,
+        gitHooks: true,
+      })
+      assert(prompter.questions[2].includes('[npm test]'))
+    })
+
+    it('should ask again instead of falling back on invalid input', async () => {
+      const prompter = scriptedPrompter(['cursor', 'gemini', 'lax', 'light'])
+
+      const answers = await runInitWizard(prompter, defaults)
+
+      assert.deepEqual(answers.cliTypes, ['gemini'])
+      assert.equal(answers.profile, 'light')
+      assert.equal(prompter.questions.length, 8)
+    })
+  })
+
+  describe('createPrompter()', () => {
+    it('should read answers line by line and use defaults after input ends', async () => {
+      const input = new PassThrough()
+      const output = new PassThrough()
+      const prompter = await createPrompter(input, output)
+
+      const first = prompter.ask('Assistants: ')
+      input.write('gemini\n')
+      assert.equal(await first, 'gemini')
+
+      const second = prompter.ask('Profile: ')
+      input.end()
+      assert.equal(await second, '')
+      assert.equal(await prompter.ask('Test command: '), '')
+      prompter.close()
+    })
+  })
+})
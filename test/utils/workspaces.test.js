@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  discoverWorkspaces,
+  getWorkspaceVariables,
+  parsePnpmWorkspace,
+} from '../../src/utils/workspaces.js'
+import { createTestContext, createMockFS } from '../helpers/test-utils.js'
+
+const manifest = (name) => JSON.stringify({ name })
+
+describe('Workspaces', () => {
+  describe('parsePnpmWorkspace()', () => {
+    it('should read the packages list', () => {
+      const yaml = [
+        'packages:',
+        "  - 'packages/*'",
+        '  - "apps/**" # every app',
+        '  - !tools/legacy',
+        'catalog:',
+        '  - ignored',
+      ].join('\n')
+
+      assert.deepEqual(parsePnpmWorkspace(yaml), ['packages/*', 'apps/**', '!tools/legacy'])
+    })
+  })
+
+  describe('discoverWorkspaces()', () => {
+    let ctx
+    let restoreCwd
+
+    beforeEach(async () => {
+      ctx = await createTestContext()
+      restoreCwd = ctx.changeToTestDir()
+    })
+
+    afterEach(async () => {
+      restoreCwd()
+      await ctx.cleanup()
+    })
+
+    it('should expand package.json workspaces', async () => {
+      await createMockFS(ctx.testDir, {
+        'package.json': JSON.stringify({ workspaces: ['packages/*', '!packages/skip'] }),
+        'packages/api/package.json': manifest('@acme/api'),
+        'packages/web/package.json': manifest('@acme/web'),
+        'packages/skip/package.json': manifest('@acme/skip'),
+        'packages/docs/README.md': '# Not a package',
+      })
+
+      assert.deepEqual(await discoverWorkspaces(ctx.testDir), [
+        { name: '@acme/api', dir: 'packages/api' },
+        { name: '@acme/web', dir: 'packages/web' },
+      ])
+    })
+
+    it('should combine pnpm-workspace.yaml and lerna.json', async () => {
+      await createMockFS(ctx.testDir, {
+        'pnpm-workspace.yaml': "packages:\n  - 'apps/**'\n",
+        'lerna.json': JSON.stringify({ packages: ['libs/core'] }),
+        'apps/site/package.json': manifest('site'),
+        'apps/nested/admin/package.json': manifest('admin'),
+        'libs/core/package.json': manifest('core'),
+      })
+
+      const dirs = (await discoverWorkspaces(ctx.testDir)).map((pkg) => pkg.dir)
+      assert.deepEqual(dirs, ['apps/nested/admin', 'apps/site', 'libs/core'])
+    })
+
+    it('should return nothing outside a monorepo', async () => {
+      await createMockFS(ctx.testDir, { 'package.json': manifest('single') })
+
+      assert.deepEqual(await discoverWorkspaces(ctx.testDir), [])
+    })
+
+    it('should ignore patterns that escape the repository', async () => {
+      await createMockFS(ctx.testDir, {
+        'package.json': JSON.stringify({ workspaces: ['../*'] }),
+      })
+
+      assert.deepEqual(await discoverWorkspaces(ctx.testDir), [])
+    })
+  })
+
+  describe('getWorkspaceVariables()', () => {
+    it('should scope the context and prefer package commands', () => {
+      const variables = getWorkspaceVariables(
+        { name: '@acme/api', dir: 'packages/api' },
+        { ecosystem: 'node', language: 'Node.js', testCommand: 'npm test -w api' },
+        { testCommand: 'npm test', lintCommand: 'npm run lint' },
+      )
+
+      assert.equal(variables.testCommand, 'npm test -w api')
+      assert.equal(variables.lintCommand, 'npm run lint')
+      assert(
+        variables.projectContext.startsWith('Workspace package `@acme/api` in `packages/api/`'),
+      )
+    })
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import fs from 'fs-extra'
+import {
+  findAllOnPath,
+  inspectWrapper,
+  isGuardianWrapper,
+  probeOriginal,
+  readWrapperVersion,
+  stampWrapperVersion,
+} from '../../src/utils/wrappers.js'
+import { createTestContext, createMockFS } from '../helpers/test-utils.js'
+
+describe('Wrapper Utils', () => {
+  let ctx
+
+  beforeEach(async () => {
+    ctx = await createTestContext()
+  })
+
+  afterEach(async () => {
+    await ctx.cleanup()
+  })
+
+  it('should tell the Guardian wrappers from vendor binaries', async () => {
+    assert.equal(await isGuardianWrapper(path.resolve('src/wrapper/claude-wrapper.js')), true)
+    assert.equal(await isGuardianWrapper(path.resolve('src/wrapper/gemini-wrapper.js')), true)
+
+    await createMockFS(ctx.testDir, { claude: '#!/bin/sh\necho claude\n' })
+    assert.equal(await isGuardianWrapper(path.join(ctx.testDir, 'claude')), false)
+    assert.equal(await isGuardianWrapper(path.join(ctx.testDir, 'missing')), false)
+  })
+
+  it('should inspect the binary a CLI resolves to', async () => {
+    await createMockFS(ctx.testDir, {
+      claude: '#!/bin/sh\necho claude\n',
+      'claude-original': '#!/bin/sh\necho claude\n',
+    })
+    const whichFn = async (name) => {
+      if (name !== 'claude') throw new Error('not found')
+      return path.join(ctx.testDir, name)
+    }
+
+    assert.deepEqual(await inspectWrapper('claude', whichFn), {
+      cliType: 'claude',
+      cliPath: path.join(ctx.testDir, 'claude'),
+      originalPath: path.join(ctx.testDir, 'claude-original'),
+      hasOriginal: true,
+      isWrapper: false,
+      version: null,
+      shadowedWrapper: null,
+    })
+    assert.equal((await inspectWrapper('gemini', whichFn)).cliPath, null)
+  })
+
+  it('should stamp the package version into a wrapper', () => {
+    const stamped = stampWrapperVersion('#!/usr/bin/env node\n\nrun()\n', '1.2.3')
+
+    assert.equal(stamped, '#!/usr/bin/env node\n// proguardian-wrapper-version: 1.2.3\n\nrun()\n')
+    assert.equal(readWrapperVersion(stamped), '1.2.3')
+    assert.equal(readWrapperVersion('#!/usr/bin/env node\nrun()\n'), null)
+  })
+
+  it('should list every executable on PATH in order', async () => {
+    await createMockFS(ctx.testDir, {
+      'first/claude': '#!/bin/sh\n',
+      'second/claude': '#!/bin/sh\n',
+      'third/claude': 'not executable',
+    })
+    await fs.chmod(path.join(ctx.testDir, 'first/claude'), '755')
+    await fs.chmod(path.join(ctx.testDir, 'second/claude'), '755')
+    const dirs = ['first', 'second', 'third', 'missing'].map((dir) => path.join(ctx.testDir, dir))
+
+    assert.deepEqual(await findAllOnPath('claude', dirs.join(path.delimiter)), [
+      path.join(ctx.testDir, 'first/claude'),
+      path.join(ctx.testDir, 'second/claude'),
+    ])
+  })
+
+  it('should run the original binary to prove it works', async () => {
+    await createMockFS(ctx.testDir, {
+      works: '#!/bin/sh\necho "1.0.0"\n',
+      fails: '#!/bin/sh\nexit 3\n',
+    })
+    await fs.chmod(path.join(ctx.testDir, 'works'), '755')
+    await fs.chmod(path.join(ctx.testDir, 'fails'), '755')
+
+    assert.deepEqual(await probeOriginal(path.join(ctx.testDir, 'works')), {
+      ok: true,
+      output: '1.0.0',
+    })
+    assert.equal((await probeOriginal(path.join(ctx.testDir, 'fails'))).ok, false)
+  })
+})
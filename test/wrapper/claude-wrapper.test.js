@@ -115,7 +115,7 @@ describe('Claude Wrapper Tests', () => {
       // Should use security utilities
       assert(content.includes('validateSafePath'))
       assert(content.includes('securePathExists'))
-      assert(content.includes('secureCopyFile'))
+      assert(content.includes('secureWriteFile'))
 
       // Should not use raw fs operations
       assert(!content.includes('fs.readFile'))